@@ -3,6 +3,7 @@ import { transaction } from '../database/service.js';
 import { generateToken } from '../middleware/auth.js';
 import { AppError, asyncHandler, mapDatabaseError } from '../middleware/errorHandler.js';
 import { validateRequired, sanitizeText } from '../middleware/validation.js';
+import { isDisposableEmail, checkEmail } from '../utils/emailHygiene.js';
 
 const router = Router();
 
@@ -95,9 +96,38 @@ router.post('/register', asyncHandler(async (req, res) => {
   const userPayload = extractUserPayload(req.body);
   validateUserPayload(userPayload);
 
+  // Existing accounts can still log in; only new registrations are refused
+  if (isDisposableEmail(userPayload.email.toLowerCase())) {
+    throw new AppError("Disposable email addresses can't be used. Sign up with your regular email.", {
+      status: 400,
+      code: 'DISPOSABLE_EMAIL',
+    });
+  }
+
+  // Likely typos come back with a suggestion until the client confirms the address
+  const emailCheck = checkEmail(userPayload.email, { acceptTypos: Boolean(req.body?.ignore_email_suggestion) });
+  if (emailCheck.suggestion) {
+    return res.status(400).json({ error: emailCheck.error, code: 'EMAIL_SUGGESTION', suggestion: emailCheck.suggestion });
+  }
+  if (emailCheck.error) {
+    throw new AppError(emailCheck.error, { status: 400, code: 'INVALID_EMAIL' });
+  }
+
   let dbUser = null;
 
   await transaction(async (run) => {
+    // Another spelling of the same mailbox (dots, +alias, googlemail.com) is the same person
+    const duplicates = await run(
+      'SELECT 1 FROM users WHERE canonical_email(email) = ? AND LOWER(email) <> ? LIMIT 1',
+      [emailCheck.canonicalEmail, emailCheck.email]
+    );
+    if (duplicates.length > 0) {
+      throw new AppError('An account already exists for this email address. Log in instead.', {
+        status: 409,
+        code: 'DUPLICATE_EMAIL',
+      });
+    }
+
     const result = await run(
       `INSERT INTO users (user_id, name, email, auth_provider, avatar_url, created_at, updated_at)
        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
@@ -0,0 +1,24 @@
+-- Waitlist referral program: per-contact referral codes and queue bumping (PostgreSQL)
+
+CREATE TABLE IF NOT EXISTS waitlist (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  first_name VARCHAR(100),
+  last_name VARCHAR(100),
+  phone_number VARCHAR(20),
+  contact_consent BOOLEAN DEFAULT FALSE
+);
+
+ALTER TABLE waitlist
+  ADD COLUMN IF NOT EXISTS referral_code VARCHAR(16),
+  ADD COLUMN IF NOT EXISTS referred_by VARCHAR(16),
+  ADD COLUMN IF NOT EXISTS referral_count INT NOT NULL DEFAULT 0;
+
+-- Backfill codes for contacts who joined before the referral program
+UPDATE waitlist
+SET referral_code = UPPER(SUBSTRING(MD5(RANDOM()::TEXT || id::TEXT) FROM 1 FOR 8))
+WHERE referral_code IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_referral_code ON waitlist(referral_code);
+CREATE INDEX IF NOT EXISTS idx_waitlist_referred_by ON waitlist(referred_by);
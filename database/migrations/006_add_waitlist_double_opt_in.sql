@@ -0,0 +1,11 @@
+-- Double opt-in for waitlist signups (PostgreSQL)
+-- Existing contacts are grandfathered in as confirmed; new rows start as pending.
+
+ALTER TABLE waitlist
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'confirmed',
+  ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP NULL DEFAULT NULL;
+
+ALTER TABLE waitlist
+  ALTER COLUMN status SET DEFAULT 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_status ON waitlist(status);
@@ -0,0 +1,52 @@
+-- Invite waves: batches of confirmed waitlist contacts turned into accounts (PostgreSQL)
+
+CREATE TABLE IF NOT EXISTS invite_waves (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- Wave status: 'pending', 'processing', 'completed'
+  status VARCHAR(50) NOT NULL DEFAULT 'pending',
+
+  -- Number of contacts selected for this wave
+  size INT NOT NULL,
+
+  -- Who launched the wave (operator name or email)
+  created_by VARCHAR(255),
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL DEFAULT NULL,
+  completed_at TIMESTAMP NULL DEFAULT NULL
+);
+
+CREATE TABLE IF NOT EXISTS invite_wave_members (
+  id BIGSERIAL PRIMARY KEY,
+  wave_id BIGINT NOT NULL,
+  waitlist_id INT NOT NULL,
+  email VARCHAR(255) NOT NULL,
+
+  -- Member status: 'pending', 'invited', 'failed', 'skipped' (already has an account, or the email is suppressed)
+  status VARCHAR(50) NOT NULL DEFAULT 'pending',
+
+  -- Firebase uid once the account exists
+  user_id VARCHAR(255),
+
+  -- Error message from the last failed attempt, or why the member was skipped
+  error_message TEXT,
+
+  attempts INT NOT NULL DEFAULT 0,
+  invited_at TIMESTAMP NULL DEFAULT NULL,
+
+  CONSTRAINT fk_invite_wave_members_wave
+    FOREIGN KEY (wave_id)
+    REFERENCES invite_waves(id)
+    ON DELETE CASCADE,
+  CONSTRAINT unique_invite_wave_member UNIQUE (wave_id, waitlist_id)
+);
+
+ALTER TABLE waitlist
+  ADD COLUMN IF NOT EXISTS invited_at TIMESTAMP NULL DEFAULT NULL;
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_invite_wave_members_wave_status ON invite_wave_members(wave_id, status);
+CREATE INDEX IF NOT EXISTS idx_invite_wave_members_waitlist_id ON invite_wave_members(waitlist_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_invited_at ON waitlist(invited_at);
@@ -0,0 +1,25 @@
+-- User-submitted reviews with AI moderation queue (PostgreSQL)
+-- Existing hand-inserted reviews stay live as 'published'.
+
+CREATE TABLE IF NOT EXISTS reviews (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  rating INT NOT NULL,
+  title VARCHAR(255),
+  review_text TEXT NOT NULL,
+  is_verified BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE reviews
+  ADD COLUMN IF NOT EXISTS user_id VARCHAR(255),
+
+  -- Review status: 'published', 'pending', 'rejected'
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published',
+
+  -- Reason given by the moderator when a review is held back
+  ADD COLUMN IF NOT EXISTS moderation_reason TEXT;
+
+-- One review per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reviews_user_id ON reviews(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status);
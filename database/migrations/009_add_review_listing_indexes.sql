@@ -0,0 +1,14 @@
+-- Indexes backing paginated, filterable review listing (PostgreSQL)
+-- Each matches one sort order in reviewService.listReviews for published reviews.
+
+CREATE INDEX IF NOT EXISTS idx_reviews_published_newest
+  ON reviews(created_at DESC, id DESC) WHERE status = 'published';
+
+CREATE INDEX IF NOT EXISTS idx_reviews_published_rating
+  ON reviews(rating DESC, created_at DESC, id DESC) WHERE status = 'published';
+
+CREATE INDEX IF NOT EXISTS idx_reviews_published_rating_asc
+  ON reviews(rating ASC, created_at DESC, id DESC) WHERE status = 'published';
+
+CREATE INDEX IF NOT EXISTS idx_reviews_published_verified_newest
+  ON reviews(created_at DESC, id DESC) WHERE status = 'published' AND is_verified = TRUE;
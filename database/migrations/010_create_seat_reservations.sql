@@ -0,0 +1,36 @@
+-- Founder seat reservations held for the lifetime of a Stripe checkout session (PostgreSQL)
+
+CREATE TABLE IF NOT EXISTS seat_reservations (
+  id BIGSERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  plan_name VARCHAR(50) NOT NULL DEFAULT 'founder',
+
+  -- Reservation status: 'held', 'converted', 'released'
+  status VARCHAR(20) NOT NULL DEFAULT 'held',
+
+  -- Stripe checkout session holding the seat (NULL for backfilled sales)
+  stripe_session_id VARCHAR(255) UNIQUE,
+
+  -- Firebase uid of the buyer once the plan is granted
+  user_id VARCHAR(255),
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NULL DEFAULT NULL,
+  converted_at TIMESTAMP NULL DEFAULT NULL,
+  released_at TIMESTAMP NULL DEFAULT NULL
+);
+
+-- Seats sold before reservations existed count as converted
+INSERT INTO seat_reservations (email, plan_name, status, user_id, created_at, converted_at)
+SELECT COALESCE(u.email, p.user_id), 'founder', 'converted', p.user_id, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM user_plans p
+LEFT JOIN users u ON u.user_id = p.user_id
+WHERE p.plan_name = 'founder'
+  AND NOT EXISTS (
+    SELECT 1 FROM seat_reservations r WHERE r.user_id = p.user_id AND r.plan_name = 'founder'
+  );
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_seat_reservations_plan_status ON seat_reservations(plan_name, status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_seat_reservations_email ON seat_reservations(email);
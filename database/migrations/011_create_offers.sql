@@ -0,0 +1,51 @@
+-- Offers / product catalogue for checkout (PostgreSQL)
+-- Prices, seat caps and sale windows live here instead of in server code.
+
+CREATE TABLE IF NOT EXISTS offers (
+  id SERIAL PRIMARY KEY,
+
+  -- Public product id used by the landing page, e.g. 'founder-lifetime'
+  slug VARCHAR(100) UNIQUE NOT NULL,
+
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+
+  -- Price in minor units (pence, cents) and ISO currency code
+  price_amount INT NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'gbp',
+
+  -- Maximum seats on sale (NULL = unlimited)
+  seat_cap INT NULL DEFAULT NULL,
+
+  -- Plan granted in user_plans when the offer is bought
+  plan_name VARCHAR(50) NOT NULL,
+
+  -- Sale window (NULL = open-ended)
+  starts_at TIMESTAMP NULL DEFAULT NULL,
+  ends_at TIMESTAMP NULL DEFAULT NULL,
+
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- Offer used when checkout doesn't name a product
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one default offer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_single_default ON offers(is_default) WHERE is_default = TRUE;
+
+-- Seed the original founder offer (£29, 25 seats)
+INSERT INTO offers (slug, name, description, price_amount, currency, seat_cap, plan_name, is_default)
+VALUES ('founder-lifetime', 'Wurlo Lifetime Access', 'One-time payment for lifetime access to Wurlo', 2900, 'gbp', 25, 'founder', TRUE)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Seat reservations are now counted per offer
+ALTER TABLE seat_reservations
+  ADD COLUMN IF NOT EXISTS offer_id INT NULL DEFAULT NULL;
+
+UPDATE seat_reservations
+SET offer_id = (SELECT id FROM offers WHERE slug = 'founder-lifetime')
+WHERE offer_id IS NULL AND plan_name = 'founder';
+
+CREATE INDEX IF NOT EXISTS idx_seat_reservations_offer_status ON seat_reservations(offer_id, status, expires_at);
@@ -0,0 +1,62 @@
+-- Promo codes and discount campaigns for checkout (PostgreSQL)
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id SERIAL PRIMARY KEY,
+
+  -- Code as typed by customers, stored uppercase
+  code VARCHAR(50) UNIQUE NOT NULL,
+
+  -- Discount type: 'percent' (value 1-100) or 'fixed' (value in minor units of currency)
+  discount_type VARCHAR(20) NOT NULL,
+  discount_value INT NOT NULL,
+  currency VARCHAR(3) NULL DEFAULT NULL,
+
+  -- Total redemptions allowed (NULL = unlimited)
+  max_redemptions INT NULL DEFAULT NULL,
+
+  -- Restrict the code to one offer (NULL = any offer)
+  offer_id INT NULL DEFAULT NULL,
+
+  expires_at TIMESTAMP NULL DEFAULT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- Stripe coupon mirroring this code, created on first use
+  stripe_coupon_id VARCHAR(255) NULL DEFAULT NULL,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT chk_promo_codes_discount CHECK (
+    (discount_type = 'percent' AND discount_value BETWEEN 1 AND 100)
+    OR (discount_type = 'fixed' AND discount_value > 0 AND currency IS NOT NULL)
+  )
+);
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id BIGSERIAL PRIMARY KEY,
+  promo_code_id INT NOT NULL,
+  email VARCHAR(255) NOT NULL,
+
+  -- Redemption status: 'pending' (checkout open), 'redeemed', 'released'
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+
+  stripe_session_id VARCHAR(255) UNIQUE,
+
+  -- Discount applied, in minor units of the offer currency
+  discount_amount INT NOT NULL DEFAULT 0,
+
+  -- Plan granted by the discounted purchase
+  user_plan_id INT NULL DEFAULT NULL,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NULL DEFAULT NULL,
+  redeemed_at TIMESTAMP NULL DEFAULT NULL,
+
+  CONSTRAINT fk_promo_redemptions_code
+    FOREIGN KEY (promo_code_id)
+    REFERENCES promo_codes(id)
+    ON DELETE CASCADE
+);
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code_status ON promo_redemptions(promo_code_id, status, expires_at);
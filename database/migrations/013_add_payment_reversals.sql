@@ -0,0 +1,21 @@
+-- Refund and dispute tracking for checkout purchases (PostgreSQL)
+
+-- Payment intent of a sold seat, so refunds and disputes can find the purchase
+ALTER TABLE seat_reservations ADD COLUMN IF NOT EXISTS stripe_payment_intent_id VARCHAR(255) NULL DEFAULT NULL;
+
+-- Checkout session that granted a plan (NULL for free plans and legacy purchases)
+ALTER TABLE user_plans ADD COLUMN IF NOT EXISTS stripe_session_id VARCHAR(255) NULL DEFAULT NULL;
+
+-- Stripe references on payment ledger entries for refunds and disputes
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_charge_id VARCHAR(255) NULL DEFAULT NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_dispute_id VARCHAR(255) NULL DEFAULT NULL;
+-- One ledger entry per Stripe refund, so a replayed charge.refunded event can't record it twice
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_refund_id VARCHAR(255) NULL DEFAULT NULL;
+
+-- Seat reservation status gains 'revoked' (sold seat freed by a refund or lost dispute)
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_seat_reservations_payment_intent ON seat_reservations(stripe_payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_user_plans_stripe_session ON user_plans(stripe_session_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_stripe_refund_unique
+  ON payments(stripe_refund_id) WHERE stripe_refund_id IS NOT NULL;
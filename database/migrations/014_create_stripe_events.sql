@@ -0,0 +1,27 @@
+-- Ledger of verified Stripe webhook events for idempotency and replay (PostgreSQL)
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  -- Stripe event id (evt_...)
+  id VARCHAR(255) PRIMARY KEY,
+  type VARCHAR(100) NOT NULL,
+
+  -- Full verified event, so failed events can be re-run without Stripe
+  payload JSONB NOT NULL,
+
+  -- Processing status: 'processing', 'processed', 'failed'
+  status VARCHAR(20) NOT NULL DEFAULT 'processing',
+  attempts INT NOT NULL DEFAULT 1,
+  last_error TEXT NULL DEFAULT NULL,
+
+  -- Timestamps
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  processed_at TIMESTAMP NULL DEFAULT NULL
+);
+
+-- One plan per checkout session, so a re-delivered event can't grant a second plan
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_plans_stripe_session_unique
+  ON user_plans(stripe_session_id) WHERE stripe_session_id IS NOT NULL;
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON stripe_events(status, received_at);
@@ -0,0 +1,38 @@
+-- Persisted post-payment fulfilment pipeline (PostgreSQL)
+
+CREATE TABLE IF NOT EXISTS fulfilments (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- One fulfilment per paid checkout session
+  stripe_session_id VARCHAR(255) UNIQUE NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  offer_id INT NULL DEFAULT NULL,
+  plan_name VARCHAR(50) NOT NULL,
+  promo_redemption_id BIGINT NULL DEFAULT NULL,
+
+  -- Next step to run: 'account', 'plan', 'welcome_email', 'password_email', 'done'
+  step VARCHAR(30) NOT NULL DEFAULT 'account',
+
+  -- Status: 'pending', 'running', 'failed', 'completed'
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+
+  -- Outputs of completed steps
+  user_id VARCHAR(255) NULL DEFAULT NULL,
+  user_plan_id INT NULL DEFAULT NULL,
+
+  -- Runs of the pipeline (each run retries the failing step with backoff)
+  runs INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL DEFAULT NULL,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP NULL DEFAULT NULL,
+  alerted_at TIMESTAMP NULL DEFAULT NULL
+);
+
+-- How each email step went, by step name: 'sent' or 'suppressed'
+ALTER TABLE fulfilments ADD COLUMN IF NOT EXISTS email_statuses JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_fulfilments_status_updated ON fulfilments(status, updated_at);
@@ -0,0 +1,44 @@
+-- Recurring subscriptions via Stripe Billing (PostgreSQL)
+
+-- Billing interval for subscription offers: 'month' or 'year' (NULL = one-time payment)
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS billing_interval VARCHAR(10) NULL DEFAULT NULL;
+
+-- Post-founder subscription offers; inactive until pricing is switched on
+INSERT INTO offers (slug, name, description, price_amount, currency, seat_cap, plan_name, billing_interval, is_active)
+VALUES
+  ('pro-monthly', 'Wurlo Pro (Monthly)', 'Full access to Wurlo, billed monthly', 799, 'gbp', NULL, 'pro', 'month', FALSE),
+  ('pro-annual', 'Wurlo Pro (Annual)', 'Full access to Wurlo, billed yearly', 7900, 'gbp', NULL, 'pro', 'year', FALSE)
+ON CONFLICT (slug) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  stripe_subscription_id VARCHAR(255) UNIQUE NOT NULL,
+  stripe_customer_id VARCHAR(255) NOT NULL,
+
+  -- Checkout that started the subscription
+  stripe_session_id VARCHAR(255) NULL DEFAULT NULL,
+  email VARCHAR(255) NULL DEFAULT NULL,
+  offer_id INT NULL DEFAULT NULL,
+
+  -- Stripe subscription status: 'active', 'trialing', 'past_due', 'canceled', 'unpaid', ...
+  status VARCHAR(30) NOT NULL,
+  current_period_end TIMESTAMP NULL DEFAULT NULL,
+  cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+
+  -- Access is kept until this time while a renewal payment is failing
+  grace_until TIMESTAMP NULL DEFAULT NULL,
+
+  -- Plan kept in sync with this subscription (set once fulfilment grants it)
+  user_plan_id INT NULL DEFAULT NULL,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Subscription that fulfilment should link the granted plan to
+ALTER TABLE fulfilments ADD COLUMN IF NOT EXISTS stripe_subscription_id VARCHAR(255) NULL DEFAULT NULL;
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user_plan ON subscriptions(user_plan_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_status_grace ON subscriptions(status, grace_until);
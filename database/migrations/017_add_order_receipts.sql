@@ -0,0 +1,20 @@
+-- Order history and receipts for checkout and subscription payments (PostgreSQL)
+
+-- Payment ledger entries for purchases (refunds and disputes were added in 013)
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_session_id VARCHAR(255) NULL DEFAULT NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_invoice_id VARCHAR(255) NULL DEFAULT NULL;
+
+-- Amount actually charged at checkout, so fulfilment can record the payment
+ALTER TABLE fulfilments ADD COLUMN IF NOT EXISTS amount_total INT NULL DEFAULT NULL;
+ALTER TABLE fulfilments ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NULL DEFAULT NULL;
+ALTER TABLE fulfilments ADD COLUMN IF NOT EXISTS payment_id INT NULL DEFAULT NULL;
+
+-- One payment per checkout session and per invoice, so retries can't double-record
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_stripe_session_unique
+  ON payments(stripe_session_id) WHERE stripe_session_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_stripe_invoice_unique
+  ON payments(stripe_invoice_id) WHERE stripe_invoice_id IS NOT NULL;
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_payments_user ON payments(user_id);
@@ -0,0 +1,33 @@
+-- Gift purchases with single-use redemption codes (PostgreSQL)
+
+CREATE TABLE IF NOT EXISTS gifts (
+  id BIGSERIAL PRIMARY KEY,
+  purchaser_email VARCHAR(255) NOT NULL,
+  recipient_email VARCHAR(255) NOT NULL,
+  message TEXT NULL DEFAULT NULL,
+
+  -- Offer bought and the plan it grants on redemption
+  offer_id INT NOT NULL,
+  plan_name VARCHAR(50) NOT NULL,
+
+  -- Gift status: 'pending' (checkout open), 'paid' (code issued), 'redeemed', 'canceled', 'revoked'
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+
+  stripe_session_id VARCHAR(255) UNIQUE,
+
+  -- Single-use redemption code, issued once payment completes
+  code VARCHAR(32) UNIQUE,
+
+  -- Account that redeemed the gift and the plan it received
+  redeemed_by_user_id VARCHAR(255) NULL DEFAULT NULL,
+  user_plan_id INT NULL DEFAULT NULL,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  paid_at TIMESTAMP NULL DEFAULT NULL,
+  emailed_at TIMESTAMP NULL DEFAULT NULL,
+  redeemed_at TIMESTAMP NULL DEFAULT NULL
+);
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_gifts_purchaser ON gifts(purchaser_email, status);
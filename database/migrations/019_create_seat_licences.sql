@@ -0,0 +1,65 @@
+-- Bulk seat licences owned by organisations (PostgreSQL)
+
+-- Organisation accounts (schools, tutoring centres); managed by the admin who bought the licence
+CREATE TABLE IF NOT EXISTS organisations (
+  id BIGSERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  admin_email VARCHAR(255) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- N seats of one offer bought in a single Stripe payment
+CREATE TABLE IF NOT EXISTS seat_licences (
+  id BIGSERIAL PRIMARY KEY,
+  organisation_id BIGINT NOT NULL REFERENCES organisations(id),
+  offer_id INT NOT NULL,
+  plan_name VARCHAR(50) NOT NULL,
+  seat_count INT NOT NULL CHECK (seat_count > 0),
+
+  -- Licence status: 'pending' (checkout open), 'active', 'suspended' (payment disputed), 'canceled', 'revoked'
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+
+  stripe_session_id VARCHAR(255) UNIQUE,
+  amount_total INT NULL DEFAULT NULL,
+  currency VARCHAR(3) NULL DEFAULT NULL,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  paid_at TIMESTAMP NULL DEFAULT NULL,
+  emailed_at TIMESTAMP NULL DEFAULT NULL
+);
+
+-- One row per invitation; reassigning a seat revokes its row and invites someone new
+CREATE TABLE IF NOT EXISTS licence_seats (
+  id BIGSERIAL PRIMARY KEY,
+  licence_id BIGINT NOT NULL REFERENCES seat_licences(id),
+  email VARCHAR(255) NOT NULL,
+
+  -- Seat status: 'invited', 'assigned' (invite accepted), 'revoked'
+  status VARCHAR(20) NOT NULL DEFAULT 'invited',
+
+  -- Single-use token from the invitation email
+  invite_token VARCHAR(64) NOT NULL UNIQUE,
+
+  -- Account that accepted the invitation and the plan it received
+  user_id VARCHAR(255) NULL DEFAULT NULL,
+  user_plan_id INT NULL DEFAULT NULL,
+
+  -- Timestamps
+  invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  assigned_at TIMESTAMP NULL DEFAULT NULL,
+  revoked_at TIMESTAMP NULL DEFAULT NULL
+);
+
+-- A learner holds at most one live seat per licence
+CREATE UNIQUE INDEX IF NOT EXISTS idx_licence_seats_live_email
+  ON licence_seats(licence_id, email) WHERE status <> 'revoked';
+
+CREATE INDEX IF NOT EXISTS idx_seat_licences_organisation ON seat_licences(organisation_id);
+
+-- Plans granted through a licence seat
+ALTER TABLE user_plans ADD COLUMN IF NOT EXISTS licence_id BIGINT NULL DEFAULT NULL;
+CREATE INDEX IF NOT EXISTS idx_user_plans_licence ON user_plans(licence_id) WHERE licence_id IS NOT NULL;
+
+-- A licence checkout holds all of its seats against the offer's seat cap in one reservation
+ALTER TABLE seat_reservations ADD COLUMN IF NOT EXISTS quantity INT NOT NULL DEFAULT 1;
@@ -0,0 +1,11 @@
+-- Rate limit counters for public form endpoints, used when RATE_LIMIT_STORE=postgres (PostgreSQL)
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  -- '<limiter>:<ip|email>:<value>'
+  key VARCHAR(320) PRIMARY KEY,
+  count INT NOT NULL DEFAULT 0,
+  reset_at TIMESTAMP NOT NULL
+);
+
+-- Expired windows are pruned hourly
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
@@ -0,0 +1,31 @@
+-- Canonical emails for spotting one person behind several spellings (PostgreSQL)
+-- Gmail ignores dots and googlemail.com is the same mailbox; several providers ignore +aliases.
+-- Must match normalizeEmail in utils/emailHygiene.js.
+
+CREATE OR REPLACE FUNCTION canonical_email(email TEXT) RETURNS TEXT
+LANGUAGE SQL IMMUTABLE AS $$
+  SELECT CASE
+      WHEN split_part(lower(email), '@', 2) IN ('gmail.com', 'googlemail.com')
+        THEN replace(split_part(split_part(lower(email), '@', 1), '+', 1), '.', '') || '@gmail.com'
+      WHEN split_part(lower(email), '@', 2) IN ('outlook.com', 'hotmail.com', 'hotmail.co.uk', 'live.com', 'live.co.uk',
+                                                'icloud.com', 'me.com', 'mac.com', 'fastmail.com', 'proton.me', 'protonmail.com')
+        THEN split_part(split_part(lower(email), '@', 1), '+', 1) || '@' || split_part(lower(email), '@', 2)
+      ELSE lower(email)
+    END
+$$;
+
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS email_canonical VARCHAR(255) NULL DEFAULT NULL;
+ALTER TABLE seat_reservations ADD COLUMN IF NOT EXISTS email_canonical VARCHAR(255) NULL DEFAULT NULL;
+
+-- Backfill existing rows
+UPDATE waitlist SET email_canonical = canonical_email(email)
+WHERE email_canonical IS NULL;
+
+UPDATE seat_reservations SET email_canonical = canonical_email(email)
+WHERE email_canonical IS NULL;
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_waitlist_email_canonical ON waitlist(email_canonical);
+CREATE INDEX IF NOT EXISTS idx_seat_reservations_canonical ON seat_reservations(offer_id, email_canonical);
+-- Accounts are created in several places, so registration matches them through the function
+CREATE INDEX IF NOT EXISTS idx_users_canonical_email ON users(canonical_email(email));
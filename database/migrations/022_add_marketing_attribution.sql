@@ -0,0 +1,29 @@
+-- Marketing attribution (UTM parameters, referrer, landing variant) for the conversion funnel (PostgreSQL)
+
+-- First touch for waitlist signups (repeat signups keep the original values)
+ALTER TABLE waitlist
+  ADD COLUMN IF NOT EXISTS utm_source VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS utm_term VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS utm_content VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS referrer VARCHAR(500),
+  ADD COLUMN IF NOT EXISTS landing_variant VARCHAR(100);
+
+-- Attribution for each checkout session (also copied into the Stripe session metadata)
+CREATE TABLE IF NOT EXISTS checkout_attributions (
+  stripe_session_id VARCHAR(255) PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  utm_source VARCHAR(100),
+  utm_medium VARCHAR(100),
+  utm_campaign VARCHAR(100),
+  utm_term VARCHAR(100),
+  utm_content VARCHAR(100),
+  referrer VARCHAR(500),
+  landing_variant VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_checkout_attributions_email ON checkout_attributions(email);
+CREATE INDEX IF NOT EXISTS idx_seat_reservations_email ON seat_reservations(email);
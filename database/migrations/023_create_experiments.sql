@@ -0,0 +1,65 @@
+-- Server-driven A/B experiments for landing copy and pricing (PostgreSQL)
+--
+-- Experiments are configured with rows, not deploys. Example price test on the founder offer:
+--   INSERT INTO experiments (key, name, status, offer_id, started_at)
+--     SELECT 'founder-price', 'Founder price point', 'running', id, CURRENT_TIMESTAMP FROM offers WHERE slug = 'founder';
+--   INSERT INTO experiment_variants (experiment_id, key, weight, price_amount)
+--     SELECT id, 'control', 50, NULL FROM experiments WHERE key = 'founder-price'
+--     UNION ALL SELECT id, 'higher', 50, 3900 FROM experiments WHERE key = 'founder-price';
+
+CREATE TABLE IF NOT EXISTS experiments (
+  id BIGSERIAL PRIMARY KEY,
+  key VARCHAR(64) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+
+  -- Experiment status: 'draft', 'running', 'stopped'
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+
+  -- Offer whose price the variants override (null for copy-only experiments)
+  offer_id INT NULL DEFAULT NULL,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL DEFAULT NULL,
+  ended_at TIMESTAMP NULL DEFAULT NULL
+);
+
+CREATE TABLE IF NOT EXISTS experiment_variants (
+  id BIGSERIAL PRIMARY KEY,
+  experiment_id BIGINT NOT NULL REFERENCES experiments(id),
+  -- The variant called 'control' (or the first one) is the baseline in results
+  key VARCHAR(64) NOT NULL,
+  -- Relative share of visitors
+  weight INT NOT NULL DEFAULT 1 CHECK (weight >= 0),
+  -- Copy and other settings handed to the frontend, e.g. { "headline": "..." }
+  content JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- Price in minor units charged instead of the offer's price (null keeps the offer price)
+  price_amount INT NULL DEFAULT NULL,
+  UNIQUE (experiment_id, key)
+);
+
+-- First time each visitor was shown an experiment (denominator for results)
+CREATE TABLE IF NOT EXISTS experiment_exposures (
+  experiment_id BIGINT NOT NULL REFERENCES experiments(id),
+  visitor_id VARCHAR(64) NOT NULL,
+  variant_key VARCHAR(64) NOT NULL,
+  first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (experiment_id, visitor_id)
+);
+
+-- Variant each waitlist signup and checkout was assigned
+CREATE TABLE IF NOT EXISTS experiment_assignments (
+  id BIGSERIAL PRIMARY KEY,
+  experiment_id BIGINT NOT NULL REFERENCES experiments(id),
+  variant_key VARCHAR(64) NOT NULL,
+  visitor_id VARCHAR(64) NOT NULL,
+  email VARCHAR(255) NULL DEFAULT NULL,
+  -- 'waitlist' or 'checkout'
+  context VARCHAR(20) NOT NULL,
+  stripe_session_id VARCHAR(255) NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_experiment_assignments_experiment ON experiment_assignments(experiment_id, context);
+CREATE INDEX IF NOT EXISTS idx_experiment_assignments_session ON experiment_assignments(stripe_session_id);
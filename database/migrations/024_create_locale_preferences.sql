@@ -0,0 +1,11 @@
+-- Preferred language per email address, used for API messages and emails (PostgreSQL)
+
+CREATE TABLE IF NOT EXISTS locale_preferences (
+  -- Lowercase email; covers waitlist contacts, buyers and signed-in users alike
+  email VARCHAR(255) PRIMARY KEY,
+  -- Supported locale: 'en-GB', 'es'
+  locale VARCHAR(10) NOT NULL,
+  -- 'detected' (from the browser at signup or checkout) or 'chosen' (set by the person)
+  source VARCHAR(20) NOT NULL DEFAULT 'detected',
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
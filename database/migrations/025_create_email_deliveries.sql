@@ -0,0 +1,56 @@
+-- Email send log, Resend delivery events and the suppression list (PostgreSQL)
+
+-- One row per email we tried to send
+CREATE TABLE IF NOT EXISTS email_sends (
+  id SERIAL PRIMARY KEY,
+  -- Lowercase recipient
+  email VARCHAR(255) NOT NULL,
+  -- Template name from services/emailTemplates.js
+  template VARCHAR(100) NOT NULL,
+  -- Resend email id; null when the send failed, was suppressed or Resend isn't configured
+  provider_message_id VARCHAR(255) NULL DEFAULT NULL,
+
+  -- Latest known status: 'sent', 'delivered', 'delivery_delayed', 'bounced', 'complained', 'failed', 'suppressed'
+  status VARCHAR(30) NOT NULL DEFAULT 'sent',
+  last_error TEXT NULL DEFAULT NULL,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP NULL DEFAULT NULL
+);
+
+-- Verified Resend webhook events, keyed by the webhook message id so re-deliveries are ignored
+CREATE TABLE IF NOT EXISTS email_events (
+  -- svix-id header (msg_...)
+  id VARCHAR(255) PRIMARY KEY,
+  -- e.g. 'email.delivered', 'email.bounced'
+  type VARCHAR(50) NOT NULL,
+  provider_message_id VARCHAR(255) NULL DEFAULT NULL,
+  email VARCHAR(255) NULL DEFAULT NULL,
+  payload JSONB NOT NULL,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Addresses we no longer send to (hard bounces, spam complaints)
+CREATE TABLE IF NOT EXISTS email_suppressions (
+  email VARCHAR(255) PRIMARY KEY,
+  -- 'bounced' or 'complained'
+  reason VARCHAR(30) NOT NULL,
+  -- Bounce or complaint detail from the provider
+  detail TEXT NULL DEFAULT NULL,
+  provider_message_id VARCHAR(255) NULL DEFAULT NULL,
+  -- Keyed hash of the address, set when a privacy erasure replaces the email with a pseudonym
+  email_hash VARCHAR(64) NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE email_suppressions ADD COLUMN IF NOT EXISTS email_hash VARCHAR(64) NULL DEFAULT NULL;
+
+-- Indexes for efficient queries
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_sends_provider_message_id
+  ON email_sends(provider_message_id) WHERE provider_message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_email_sends_email ON email_sends(email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_sends_status ON email_sends(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_events_provider_message_id ON email_events(provider_message_id);
+CREATE INDEX IF NOT EXISTS idx_email_suppressions_email_hash ON email_suppressions(email_hash) WHERE email_hash IS NOT NULL;
@@ -0,0 +1,20 @@
+/**
+ * British English catalogue.
+ * en-GB is the source language: API messages and email templates are written
+ * in it in the code, so this catalogue only holds the shared email layout copy
+ * and any wording that should differ from the source text.
+ */
+
+export default {
+  // Language name in English, for prompts to the moderation model
+  name: 'British English',
+
+  layout: {
+    tagline: 'Smarter paths, faster progress.',
+    signOff: '— The Wurlo Team',
+  },
+
+  messages: {},
+
+  emails: {},
+};
@@ -0,0 +1,350 @@
+/**
+ * Spanish catalogue.
+ * `messages` maps the English API message (as written in the code) to its
+ * translation; `emails` overrides the copy fields of the templates in
+ * services/emailTemplates.js. Keep {placeholders} and {{variables}} as they are.
+ */
+
+const PRIVACY_EXPIRY_NOTE = `
+  <p><strong>Aviso de seguridad:</strong> Este enlace caduca en {{expiresInHours}} hora{{#if plural}}s{{/if}}. Si no has hecho esta solicitud, ignora este correo: no cambiará nada.</p>`;
+
+export default {
+  // Language name in English, for prompts to the moderation model
+  name: 'Spanish',
+
+  layout: {
+    tagline: 'Caminos más inteligentes, progreso más rápido.',
+    signOff: '— El equipo de Wurlo',
+  },
+
+  messages: {
+    // Offers and checkout
+    'Could not load offers.': 'No se han podido cargar las ofertas.',
+    'Offer not found.': 'No se ha encontrado la oferta.',
+    'Could not load remaining spots.': 'No se han podido cargar las plazas disponibles.',
+    'This offer is not available.': 'Esta oferta no está disponible.',
+    "Subscriptions can't be bought as gifts.": 'Las suscripciones no se pueden regalar.',
+    "Subscriptions can't be bought as seat licences.": 'Las suscripciones no se pueden comprar como licencias de plazas.',
+    'Sorry! All {count} {offer} spots have been claimed.': '¡Lo sentimos! Ya se han reservado las {count} plazas de {offer}.',
+    'Sorry! Only {count} {offer} spots are left.': '¡Lo sentimos! Solo quedan {count} plazas de {offer}.',
+    "You've already claimed a {offer} spot.": 'Ya has reservado una plaza de {offer}.',
+    'Could not create checkout session. Try again soon.': 'No se ha podido iniciar el pago. Inténtalo de nuevo en breve.',
+    "We haven't received this payment yet. Check again in a moment.": 'Todavía no hemos recibido este pago. Vuelve a comprobarlo en un momento.',
+    'Checkout not found.': 'No se ha encontrado el pago.',
+    'Could not load your order status.': 'No se ha podido cargar el estado de tu pedido.',
+    'Too many checkout attempts. Please wait a few minutes and try again.': 'Demasiados intentos de pago. Espera unos minutos y vuelve a intentarlo.',
+
+    // Promo codes
+    'This promo code is not valid.': 'Este código promocional no es válido.',
+    'This promo code has expired.': 'Este código promocional ha caducado.',
+    "This promo code can't be used with this offer.": 'Este código promocional no se puede usar con esta oferta.',
+    'This promo code has been fully redeemed.': 'Este código promocional ya se ha agotado.',
+    'Could not check this promo code. Try again soon.': 'No se ha podido comprobar este código promocional. Inténtalo de nuevo en breve.',
+
+    // Gifts
+    "Enter a valid email for the gift's recipient.": 'Introduce un correo válido para la persona que recibe el regalo.',
+    "The gift's recipient must be someone other than you.": 'La persona que recibe el regalo no puedes ser tú.',
+    'Gift messages must be {max} characters or fewer.': 'Los mensajes de regalo deben tener como máximo {max} caracteres.',
+    'Enter a valid gift code.': 'Introduce un código de regalo válido.',
+    "We couldn't find that gift code.": 'No hemos encontrado ese código de regalo.',
+    'This gift code has already been redeemed.': 'Este código de regalo ya se ha canjeado.',
+    'Gift redeemed! Enjoy Wurlo.': '¡Regalo canjeado! Disfruta de Wurlo.',
+    'Could not redeem this gift. Try again soon.': 'No se ha podido canjear este regalo. Inténtalo de nuevo en breve.',
+    'Could not load your gifts.': 'No se han podido cargar tus regalos.',
+    'Verify your email address to see the gifts you bought.': 'Verifica tu dirección de correo para ver los regalos que has comprado.',
+
+    // Organisations and seat licences
+    "Enter your organisation's name.": 'Introduce el nombre de tu organización.',
+    'Choose between {min} and {max} seats.': 'Elige entre {min} y {max} plazas.',
+    'This invitation link is invalid.': 'Este enlace de invitación no es válido.',
+    "This invitation isn't valid any more. Ask your organisation for a new one.": 'Esta invitación ya no es válida. Pide una nueva a tu organización.',
+    'This invitation has already been accepted.': 'Esta invitación ya se ha aceptado.',
+    "Your organisation's licence isn't active right now.": 'La licencia de tu organización no está activa en este momento.',
+    "You've joined {organisation} on Wurlo!": '¡Te has unido a {organisation} en Wurlo!',
+    'Could not accept this invitation. Try again soon.': 'No se ha podido aceptar esta invitación. Inténtalo de nuevo en breve.',
+    "This account doesn't manage an organisation.": 'Esta cuenta no gestiona ninguna organización.',
+    'Verify your email address to manage your organisation.': 'Verifica tu dirección de correo para gestionar tu organización.',
+    'Could not load your organisation.': 'No se ha podido cargar tu organización.',
+    'Could not load seat usage.': 'No se ha podido cargar el uso de plazas.',
+    'Licence not found.': 'No se ha encontrado la licencia.',
+    'Seat not found.': 'No se ha encontrado la plaza.',
+    "This licence isn't active, so seats can't be assigned.": 'Esta licencia no está activa, así que no se pueden asignar plazas.',
+    'All {count} seats on this licence are in use.': 'Las {count} plazas de esta licencia están en uso.',
+    '{email} already has a seat on this licence.': '{email} ya tiene una plaza en esta licencia.',
+    'Enter a valid email for the learner.': 'Introduce un correo válido para el alumno.',
+    'Invitation sent to {email}.': 'Invitación enviada a {email}.',
+    'Seat reassigned to {email}.': 'Plaza reasignada a {email}.',
+    'Seat revoked for {email}.': 'Plaza retirada a {email}.',
+    'Could not send this invitation. Try again soon.': 'No se ha podido enviar esta invitación. Inténtalo de nuevo en breve.',
+    'Could not reassign this seat. Try again soon.': 'No se ha podido reasignar esta plaza. Inténtalo de nuevo en breve.',
+    'Could not revoke this seat. Try again soon.': 'No se ha podido retirar esta plaza. Inténtalo de nuevo en breve.',
+
+    // Billing and orders
+    "You don't have a subscription to manage.": 'No tienes ninguna suscripción que gestionar.',
+    'Could not open billing settings. Try again soon.': 'No se ha podido abrir la configuración de facturación. Inténtalo de nuevo en breve.',
+    'Could not load your orders.': 'No se han podido cargar tus pedidos.',
+    'Order not found.': 'No se ha encontrado el pedido.',
+    'Could not generate your receipt. Try again soon.': 'No se ha podido generar tu recibo. Inténtalo de nuevo en breve.',
+
+    // Reviews
+    'Rating must be a whole number from 1 to 5.': 'La valoración debe ser un número entero del 1 al 5.',
+    'Name is required.': 'El nombre es obligatorio.',
+    'min_rating must be a whole number from 1 to 5.': 'min_rating debe ser un número entero del 1 al 5.',
+    'limit must be a positive whole number.': 'limit debe ser un número entero positivo.',
+    'Invalid cursor.': 'El cursor no es válido.',
+    'Name must be {max} characters or fewer.': 'El nombre debe tener como máximo {max} caracteres.',
+    'Title must be {max} characters or fewer.': 'El título debe tener como máximo {max} caracteres.',
+    'Review must be between {min} and {max} characters.': 'La opinión debe tener entre {min} y {max} caracteres.',
+    'Sort must be one of: {sorts}.': 'El orden debe ser uno de estos: {sorts}.',
+    "Thanks! Your review will appear once it's been checked by our team.": '¡Gracias! Tu opinión aparecerá cuando nuestro equipo la haya revisado.',
+    'Thanks for your review!': '¡Gracias por tu opinión!',
+    "You've already reviewed Wurlo.": 'Ya has valorado Wurlo.',
+    'Could not save your review. Try again soon.': 'No se ha podido guardar tu opinión. Inténtalo de nuevo en breve.',
+
+    // Email checks
+    'Enter a valid email.': 'Introduce un correo electrónico válido.',
+    "Disposable email addresses can't be used. Enter your regular email.": 'No se pueden usar direcciones de correo temporales. Introduce tu correo habitual.',
+    'Did you mean {suggestion}?': '¿Querías decir {suggestion}?',
+
+    // Waitlist
+    'First name is required.': 'El nombre es obligatorio.',
+    "You're already on the waitlist.": 'Ya estás en la lista de espera.',
+    'Almost there! Check your inbox to confirm your spot.': '¡Ya casi está! Revisa tu bandeja de entrada para confirmar tu plaza.',
+    'Could not save your email. Try again soon.': 'No se ha podido guardar tu correo. Inténtalo de nuevo en breve.',
+    'This confirmation link is invalid or has expired.': 'Este enlace de confirmación no es válido o ha caducado.',
+    'This signup has expired. Please join the waitlist again.': 'Este registro ha caducado. Vuelve a apuntarte a la lista de espera.',
+    "You're on the waitlist!": '¡Ya estás en la lista de espera!',
+    'Could not confirm your email. Try again soon.': 'No se ha podido confirmar tu correo. Inténtalo de nuevo en breve.',
+    "If you're on the waitlist, we've emailed you a link to your status.": 'Si estás en la lista de espera, te hemos enviado por correo un enlace a tu estado.',
+    'Could not send your status link. Try again soon.': 'No se ha podido enviar tu enlace de estado. Inténtalo de nuevo en breve.',
+    'This status link is invalid or has expired.': 'Este enlace de estado no es válido o ha caducado.',
+    "We couldn't find you on the waitlist.": 'No te hemos encontrado en la lista de espera.',
+    'Could not load your waitlist status.': 'No se ha podido cargar tu estado en la lista de espera.',
+    'Invalid referral code.': 'Código de invitación no válido.',
+    'Referral code not found.': 'No se ha encontrado el código de invitación.',
+    'Could not look up referral code.': 'No se ha podido consultar el código de invitación.',
+    'Too many signup attempts. Please wait a few minutes and try again.': 'Demasiados intentos de registro. Espera unos minutos y vuelve a intentarlo.',
+
+    // Password setup
+    'Token required': 'Falta el token',
+    'Invalid token': 'Token no válido',
+    'Token already used': 'Este token ya se ha usado',
+    'Token expired': 'El token ha caducado',
+    'Token and password required': 'Faltan el token y la contraseña',
+    'Password must be at least 6 characters': 'La contraseña debe tener al menos 6 caracteres',
+    'Password set successfully': 'Contraseña creada correctamente',
+    'Firebase not configured': 'La autenticación no está configurada',
+    'Authentication is not configured.': 'La autenticación no está configurada.',
+    'No token provided.': 'Falta el token de acceso.',
+    'Invalid or expired token.': 'El token de acceso no es válido o ha caducado.',
+    'Server error': 'Error del servidor',
+    'Too many attempts. Please wait a few minutes and try again.': 'Demasiados intentos. Espera unos minutos y vuelve a intentarlo.',
+    'Too many requests. Please wait a few minutes and try again.': 'Demasiadas solicitudes. Espera unos minutos y vuelve a intentarlo.',
+    'Too many promo code attempts. Please wait a few minutes and try again.': 'Demasiados intentos con códigos promocionales. Espera unos minutos y vuelve a intentarlo.',
+
+    // Privacy requests
+    'Check your inbox to confirm this request.': 'Revisa tu bandeja de entrada para confirmar esta solicitud.',
+    'Could not process your request. Try again soon.': 'No se ha podido procesar tu solicitud. Inténtalo de nuevo en breve.',
+    'This download link is invalid or has expired.': 'Este enlace de descarga no es válido o ha caducado.',
+    'Could not export your data. Try again soon.': 'No se han podido exportar tus datos. Inténtalo de nuevo en breve.',
+    'Your personal data has been deleted.': 'Tus datos personales se han eliminado.',
+    'Could not delete your data. Try again soon.': 'No se han podido eliminar tus datos. Inténtalo de nuevo en breve.',
+
+    // Language preference
+    'Choose a supported language.': 'Elige un idioma disponible.',
+    'Language preference saved.': 'Preferencia de idioma guardada.',
+    'Could not save your language preference. Try again soon.': 'No se ha podido guardar tu preferencia de idioma. Inténtalo de nuevo en breve.',
+
+    // Onboarding and placement
+    'A valid user_id is required.': 'Se necesita un user_id válido.',
+    'A valid attempt_id is required.': 'Se necesita un attempt_id válido.',
+    'A valid question_id is required.': 'Se necesita un question_id válido.',
+    'Response is required when not skipping.': 'Escribe una respuesta o salta la pregunta.',
+    'Placement attempt not found.': 'No se ha encontrado el intento de la prueba de nivel.',
+    'User does not own this attempt.': 'Este intento pertenece a otro usuario.',
+    'Placement question not found.': 'No se ha encontrado la pregunta de la prueba de nivel.',
+    'Question does not belong to this test.': 'La pregunta no pertenece a esta prueba.',
+    'Approved': 'Aprobado',
+    'Responses require updates before continuing.': 'Tienes que actualizar tus respuestas antes de continuar.',
+    'Onboarding saved successfully.': 'Tus respuestas se han guardado correctamente.',
+    'Gemini moderation is currently unavailable.': 'La revisión de respuestas no está disponible en este momento.',
+    'Unable to process onboarding submission.': 'No se han podido procesar tus respuestas.',
+    'Unable to submit answer.': 'No se ha podido enviar tu respuesta.',
+  },
+
+  emails: {
+    welcome: {
+      subject: 'Te damos la bienvenida a Wurlo: ¡tu {{offerName}} está activo! 🎉',
+      heading: '¡Bienvenido a Wurlo! 🎉',
+      intro: 'Tu {{offerName}} ya está activo.',
+      body: `
+      <h2>¡Gracias por tu compra!</h2>
+      <p>Ya tienes {{offerName}} a la plataforma de aprendizaje adaptativo de Wurlo. Te daremos acceso anticipado antes del lanzamiento{{#if launchLabel}} de {{launchLabel}}{{/if}}.</p>
+      <div class="panel">
+        <h3>¿Y ahora qué?</h3>
+        <ul>
+          <li>Busca en tu bandeja de entrada el correo para crear tu contraseña</li>
+          <li>Tendrás acceso anticipado {{#if launchLabel}}antes de {{launchLabel}}{{else}}antes del lanzamiento{{/if}}</li>
+          <li>Empieza a aprender con cursos adaptativos impulsados por IA</li>
+        </ul>
+      </div>
+      <p class="muted">¿Tienes dudas? Responde a este correo y te ayudamos.</p>`,
+      defaults: { offerName: 'acceso de por vida' },
+    },
+
+    'waitlist-opt-in': {
+      subject: 'Confirma tu plaza en la lista de espera de Wurlo',
+      heading: 'Confirma tu correo ✉️',
+      intro: 'Un clic y estarás en la lista de espera de Wurlo.',
+      body: `
+      <p>Alguien (¡esperamos que tú!) ha pedido unirse a la lista de espera de Wurlo con esta dirección. Confírmala abajo para asegurar tu lugar en la cola.</p>
+      <div class="actions"><a class="button" href="{{confirmUrl}}">Confirmar mi plaza</a></div>
+      <p class="small">Si el botón no funciona, copia y pega este enlace en tu navegador:<br><a href="{{confirmUrl}}">{{confirmUrl}}</a></p>
+      <div class="note">
+        <p><strong>Nota:</strong> Este enlace caduca en {{expiresInHours}} horas. Si no te has apuntado, ignora este correo y no volveremos a escribirte.</p>
+      </div>`,
+    },
+
+    'waitlist-confirmed': {
+      subject: '¡Ya estás en la lista de espera de Wurlo! 🚀',
+      heading: '¡Ya estás en la lista! 🎉',
+      intro: 'Gracias por unirte a la lista de espera de Wurlo.',
+      body: `
+      <p>¡Nos alegra tenerte aquí! Serás de los primeros en saber cuándo se lanza Wurlo{{#if launchLabel}} en {{launchLabel}}{{/if}}.</p>
+      {{#if position}}<p>Ahora mismo eres el <strong>n.º {{position}}</strong> de la cola.</p>{{/if}}
+      {{#if shareUrl}}
+      <div class="note-accent">
+        <p><strong>Sube en la cola:</strong> cada amigo que se una con tu enlace te acerca un poco más al principio.</p>
+        <a href="{{shareUrl}}">{{shareUrl}}</a>
+      </div>
+      {{/if}}
+      {{#if statusUrl}}<p class="muted">Consulta tu posición cuando quieras: <a href="{{statusUrl}}">ver tu estado en la lista de espera</a>.</p>{{/if}}
+      <div class="panel">
+        <h3>¿Qué es Wurlo?</h3>
+        <ul>
+          <li>Una plataforma de aprendizaje adaptativo impulsada por IA</li>
+          <li>Cursos personalizados que se adaptan a tu ritmo</li>
+          <li>Pruebas de nivel inteligentes para empezar en el punto justo</li>
+        </ul>
+      </div>
+      <div class="note-info">
+        <p><strong>Oferta fundadores por tiempo limitado:</strong> consigue acceso de por vida con un único pago antes del lanzamiento. ¡Quienes nos apoyan primero tienen la mejor oferta!</p>
+      </div>
+      <p class="muted">Te mantendremos al tanto de nuestros avances.</p>`,
+    },
+
+    'waitlist-status-link': {
+      subject: 'Tu estado en la lista de espera de Wurlo',
+      heading: '¿En qué posición estás? 📍',
+      intro: 'Tu enlace personal a la lista de espera.',
+      body: `
+      <p>Usa el botón de abajo para ver tu posición en la cola, cuándo te uniste y a cuántos amigos has invitado.</p>
+      <div class="actions"><a class="button" href="{{statusUrl}}">Ver mi estado</a></div>
+      <p class="small">Este enlace es personal, así que no lo compartas. Si no lo has pedido, puedes ignorar este correo.</p>`,
+    },
+
+    'password-setup': {
+      subject: 'Crea la contraseña de tu cuenta de Wurlo',
+      heading: 'Crea tu contraseña 🔐',
+      intro: 'Termina de configurar tu cuenta de Wurlo.',
+      body: `
+      <p>¡Ya casi puedes empezar a aprender! Pulsa el botón de abajo para crear tu contraseña y entrar en tu cuenta.</p>
+      <div class="actions"><a class="button" href="{{setupUrl}}">Crear contraseña</a></div>
+      <p class="small">Si el botón no funciona, copia y pega este enlace en tu navegador:<br><a href="{{setupUrl}}">{{setupUrl}}</a></p>
+      <div class="note">
+        <p><strong>Aviso de seguridad:</strong> Este enlace caduca en 24 horas. Si no lo has pedido, ignora este correo.</p>
+      </div>`,
+    },
+
+    'privacy-export': {
+      subject: 'Descarga tus datos de Wurlo',
+      heading: 'Exportación de tus datos 📦',
+      intro: 'Confirma esta solicitud.',
+      body: `
+      <p>Hemos recibido una solicitud de copia de los datos personales que Wurlo tiene sobre ti. Usa el botón de abajo para descargarlos en un archivo JSON.</p>
+      <div class="actions"><a class="button" href="{{confirmUrl}}">Descargar mis datos</a></div>
+      <div class="note">${PRIVACY_EXPIRY_NOTE}
+      </div>`,
+    },
+
+    'privacy-erase': {
+      subject: 'Confirma la eliminación de tus datos de Wurlo',
+      heading: 'Eliminar tus datos 🗑️',
+      intro: 'Confirma esta solicitud.',
+      body: `
+      <p>Hemos recibido una solicitud para eliminar de forma permanente tu cuenta de Wurlo y tus datos personales. No se puede deshacer. Los registros de pago se conservan por motivos contables, pero anonimizados.</p>
+      <div class="actions"><a class="button" href="{{confirmUrl}}">Eliminar mis datos</a></div>
+      <div class="note-danger">${PRIVACY_EXPIRY_NOTE}
+      </div>`,
+    },
+
+    'plan-refunded': {
+      subject: 'Hemos procesado tu reembolso de Wurlo',
+      heading: 'Reembolso procesado',
+      body: `
+      <p>Te hemos devuelto el pago completo, así que tu plan de pago se ha cancelado. Los reembolsos suelen llegar a tu cuenta en un plazo de 5 a 10 días hábiles. Sentimos que te vayas.</p>
+      <p>¿Tienes dudas? Responde a este correo.</p>`,
+    },
+
+    'plan-suspended': {
+      subject: 'Tu plan de Wurlo está en pausa',
+      heading: 'Plan en pausa',
+      body: `
+      <p>Tu banco nos ha comunicado que el pago de tu plan de Wurlo está en disputa, así que hemos pausado tu plan mientras se revisa. Si no querías disputar el pago, ponte en contacto con tu banco o responde a este correo.</p>
+      <p>¿Tienes dudas? Responde a este correo.</p>`,
+    },
+
+    'plan-reinstated': {
+      subject: 'Tu plan de Wurlo vuelve a estar activo',
+      heading: 'Plan restablecido 🎉',
+      body: `
+      <p>La disputa del pago se ha resuelto y tu plan de Wurlo vuelve a estar activo. Gracias por tu paciencia.</p>
+      <p>¿Tienes dudas? Responde a este correo.</p>`,
+    },
+
+    'plan-revoked': {
+      subject: 'Tu plan de Wurlo se ha cancelado',
+      heading: 'Plan cancelado',
+      body: `
+      <p>La disputa del pago de tu plan de Wurlo se ha resuelto con un reembolso, así que tu plan de pago se ha cancelado. Puedes volver a comprarlo cuando quieras.</p>
+      <p>¿Tienes dudas? Responde a este correo.</p>`,
+    },
+
+    gift: {
+      subject: '¡Te han regalado Wurlo! 🎁',
+      heading: '¡Tienes un regalo! 🎁',
+      intro: '{{purchaserEmail}} te ha regalado {{offerName}}.',
+      body: `
+      {{#if message}}
+      <div class="panel">
+        <p class="quote">"{{message}}"</p>
+        <p class="byline">— {{purchaserEmail}}</p>
+      </div>
+      {{/if}}
+      <p>Wurlo es una plataforma de aprendizaje adaptativo de matemáticas. Inicia sesión o crea una cuenta y canjea tu código:</p>
+      <p class="code">{{code}}</p>
+      <div class="actions"><a class="button" href="{{redeemUrl}}">Canjear mi regalo</a></div>
+      <p class="muted">El código solo se puede usar una vez. ¿Tienes dudas? Responde a este correo.</p>`,
+      defaults: { offerName: 'acceso de por vida a Wurlo' },
+    },
+
+    'licence-ready': {
+      subject: 'Tus {{seatCount}} plazas de Wurlo están listas 🏫',
+      heading: 'Tus plazas están listas 🏫',
+      intro: '{{seatCount}} plazas de {{offerName}} para {{organisationName}}.',
+      body: `
+      <p>¡Gracias por tu compra! Inicia sesión con esta dirección de correo para invitar a tus alumnos. Puedes reasignar o retirar plazas cuando quieras y ver quién se ha unido.</p>
+      <div class="actions"><a class="button" href="{{manageUrl}}">Gestionar plazas</a></div>`,
+    },
+
+    'seat-invite': {
+      subject: '{{organisationName}} te ha invitado a Wurlo',
+      heading: '¡Estás invitado! 🎓',
+      intro: '{{organisationName}} tiene una plaza de Wurlo para ti.',
+      body: `
+      <p>Wurlo es una plataforma de aprendizaje adaptativo de matemáticas. Inicia sesión o crea una cuenta y acepta tu plaza:</p>
+      <div class="actions"><a class="button" href="{{acceptUrl}}">Aceptar mi plaza</a></div>
+      <p class="small">Esta invitación es personal, así que no la compartas. Si no la esperabas, puedes ignorar este correo.</p>`,
+    },
+  },
+};
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+
+/**
+ * Express middleware for internal admin endpoints (reports, previews).
+ * Requires `Authorization: Bearer <ADMIN_API_KEY>`; admin endpoints are
+ * switched off while ADMIN_API_KEY is unset.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * @example
+ * app.get('/api/admin/reports/funnel', requireAdmin, (req, res) => { ... });
+ */
+export function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin access is not configured.' });
+  }
+
+  const authHeader = req.headers.authorization;
+  const token = authHeader?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided.' });
+  }
+
+  // Compare digests so the check takes the same time whatever the token length
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const provided = crypto.createHash('sha256').update(token).digest();
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({ error: 'Invalid admin token.' });
+  }
+
+  next();
+}
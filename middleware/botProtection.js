@@ -0,0 +1,59 @@
+/**
+ * Bot checks for public forms.
+ *
+ * Honeypot: the form renders a field that is hidden from people, so any value
+ * in it was filled in by a bot. Timing: the form sends the time it was
+ * rendered, and a submission faster than a person could type is rejected.
+ * Forms that don't send a render time (older clients) skip the timing check.
+ *
+ * Bots are answered with the same response a real signup gets, so they can't
+ * tell they were caught.
+ */
+
+/**
+ * Create a bot-check middleware for a form endpoint.
+ *
+ * @param {Object} [options] - Check configuration
+ * @param {string} [options.honeypotField='website'] - Hidden field that must stay empty
+ * @param {string} [options.renderedAtField='form_rendered_at'] - Field holding the render time (ms since epoch)
+ * @param {number} [options.minSubmitMs=3000] - Fastest plausible time from render to submit
+ * @param {number} [options.maxAgeMs=86400000] - Oldest render time accepted (stale or forged values)
+ * @param {Object} [options.decoyResponse={ ok: true }] - JSON body sent to suspected bots
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * app.post('/api/subscribe', createBotCheck({ decoyResponse: { ok: true, pending: true } }), handleWaitlistSignup);
+ */
+export function createBotCheck({
+  honeypotField = 'website',
+  renderedAtField = 'form_rendered_at',
+  minSubmitMs = 3000,
+  maxAgeMs = 24 * 60 * 60 * 1000,
+  decoyResponse = { ok: true },
+} = {}) {
+  return function botCheck(req, res, next) {
+    const body = req.body || {};
+    let reason = null;
+
+    if (body[honeypotField] !== undefined && String(body[honeypotField]).trim() !== '') {
+      reason = 'honeypot filled';
+    } else if (body[renderedAtField] !== undefined && body[renderedAtField] !== null && body[renderedAtField] !== '') {
+      const renderedAt = Number(body[renderedAtField]);
+      const elapsed = Date.now() - renderedAt;
+      if (!Number.isFinite(renderedAt) || elapsed > maxAgeMs || elapsed < -60 * 1000) {
+        reason = 'invalid render time';
+      } else if (elapsed < minSubmitMs) {
+        reason = `submitted after ${elapsed}ms`;
+      }
+    }
+
+    if (reason) {
+      console.warn(`🤖 Suspected bot submission to ${req.path} from ${req.ip} (${reason})`);
+      // Same wording a real signup gets, in the visitor's language when locale detection ran
+      const message = decoyResponse.message && req.t ? req.t(decoyResponse.message) : decoyResponse.message;
+      return res.json(message ? { ...decoyResponse, message } : decoyResponse);
+    }
+
+    return next();
+  };
+}
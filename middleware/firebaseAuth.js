@@ -0,0 +1,46 @@
+import admin from 'firebase-admin';
+
+/**
+ * Express middleware to verify Firebase ID tokens from the Authorization header.
+ * Attaches { user_id, email, email_verified, name } to req.user if valid.
+ * Firebase lets anyone sign up with any address, so check email_verified before
+ * trusting req.user.email to identify a buyer.
+ *
+ * Used by the landing server, where users sign in with Firebase on the frontend
+ * and there is no app-issued JWT. Error messages are localised, so mount it after
+ * the locale detector (middleware/locale.js).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * @example
+ * app.post('/api/reviews', authenticateFirebaseUser, (req, res) => {
+ *   res.json({ user_id: req.user.user_id });
+ * });
+ */
+export async function authenticateFirebaseUser(req, res, next) {
+  if (!admin.apps.length) {
+    return res.status(503).json({ message: req.t('Authentication is not configured.') });
+  }
+
+  const authHeader = req.headers.authorization;
+  const token = authHeader?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: req.t('No token provided.') });
+  }
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(token);
+    req.user = {
+      user_id: decoded.uid,
+      email: decoded.email ? decoded.email.toLowerCase() : null,
+      email_verified: decoded.email_verified === true,
+      name: decoded.name || null,
+    };
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: req.t('Invalid or expired token.') });
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Locale detection.
+ *
+ * Works out which language to answer in and attaches it to the request as
+ * req.locale, with req.t(message, vars) to translate messages into it. In order
+ * of precedence:
+ *   1. An explicit `locale` in the query string or body (a language switcher)
+ *   2. The stored preference for the email in the body, when a lookup is given
+ *   3. The Accept-Language header
+ *   4. en-GB
+ */
+
+import { DEFAULT_LOCALE, matchLocale, negotiateLocale, translate } from '../utils/i18n.js';
+import { isValidEmailFormat } from '../utils/emailHygiene.js';
+
+/**
+ * Create the locale detection middleware.
+ *
+ * Register it after express.json() so the body is available.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.lookupPreference] - async (email) => stored locale or null
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * app.use(createLocaleDetector({ lookupPreference: email => getLocalePreference(pool, email) }));
+ * app.get('/api/things', (req, res) => res.status(404).json({ message: req.t('Thing not found.') }));
+ */
+export function createLocaleDetector({ lookupPreference = null } = {}) {
+  return async function detectLocale(req, res, next) {
+    let locale = matchLocale(req.query?.locale ?? req.body?.locale);
+
+    if (!locale && lookupPreference) {
+      const email = String(req.body?.email ?? '').trim().toLowerCase();
+      if (isValidEmailFormat(email)) {
+        try {
+          locale = matchLocale(await lookupPreference(email));
+        } catch (err) {
+          // A missing preference just means falling back to the browser's language
+          console.error('❌ Could not load locale preference:', err.message);
+        }
+      }
+    }
+
+    req.locale = locale || negotiateLocale(req.headers['accept-language']) || DEFAULT_LOCALE;
+    req.t = (message, vars) => translate(req.locale, message, vars);
+
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+    next();
+  };
+}
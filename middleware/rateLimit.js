@@ -0,0 +1,138 @@
+/**
+ * Rate limiting for public form endpoints.
+ *
+ * Requests are counted per client IP and, where the body carries one, per email
+ * in fixed windows. Counts live in a store: in memory (single instance, reset
+ * on restart) or in Postgres (shared between instances). Requests over the
+ * limit get a 429 with a Retry-After header.
+ */
+
+import { isValidEmailFormat, normalizeEmail } from '../utils/emailHygiene.js';
+
+/**
+ * In-memory rate limit store.
+ *
+ * @returns {Object} Store with increment(key, windowMs) and prune()
+ */
+export function createMemoryRateLimitStore() {
+  const windows = new Map();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async prune() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [key, entry] of windows) {
+        if (entry.resetAt <= now) {
+          windows.delete(key);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * Postgres-backed rate limit store (rate_limits table), shared by every server instance.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @returns {Object} Store with increment(key, windowMs) and prune()
+ */
+export function createPostgresRateLimitStore(pool) {
+  return {
+    async increment(key, windowMs) {
+      const result = await pool.query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, CURRENT_TIMESTAMP + make_interval(secs => $2))
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs / 1000]
+      );
+      const { count, reset_at } = result.rows[0];
+      return { count, resetAt: new Date(reset_at).getTime() };
+    },
+
+    async prune() {
+      const result = await pool.query('DELETE FROM rate_limits WHERE reset_at <= CURRENT_TIMESTAMP');
+      return result.rowCount;
+    },
+  };
+}
+
+const KEY_EXTRACTORS = {
+  ip: req => req.ip || req.socket?.remoteAddress || null,
+  // Canonical form, so Gmail dots and +aliases share one budget
+  email: req => {
+    const email = String(req.body?.email ?? '').trim();
+    return isValidEmailFormat(email) ? normalizeEmail(email) : null;
+  },
+};
+
+/**
+ * Create a rate-limiting middleware.
+ *
+ * Each key (IP, email) has its own budget of `max` requests per window. When the
+ * store is unavailable requests are let through rather than blocking signups.
+ *
+ * @param {Object} options - Limiter configuration
+ * @param {string} options.name - Limiter name, keeps counts separate between endpoints
+ * @param {Object} options.store - Store from createMemoryRateLimitStore or createPostgresRateLimitStore
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {string[]} [options.keys=['ip', 'email']] - What to count requests by
+ * @param {string} [options.message] - Message returned with the 429
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * const waitlistLimit = createRateLimiter({ name: 'waitlist', store, windowMs: 60 * 60 * 1000, max: 10 });
+ * app.post('/api/subscribe', waitlistLimit, handleWaitlistSignup);
+ */
+export function createRateLimiter({
+  name,
+  store,
+  windowMs,
+  max,
+  keys = ['ip', 'email'],
+  message = 'Too many requests. Please wait a moment and try again.',
+}) {
+  return async function rateLimit(req, res, next) {
+    let retryAfterMs = 0;
+
+    try {
+      for (const keyType of keys) {
+        const value = KEY_EXTRACTORS[keyType](req);
+        if (!value) continue;
+
+        const { count, resetAt } = await store.increment(`${name}:${keyType}:${value}`, windowMs);
+        if (count > max) {
+          retryAfterMs = Math.max(retryAfterMs, resetAt - Date.now());
+        }
+      }
+    } catch (err) {
+      console.error(`❌ Rate limiter '${name}' unavailable, allowing request:`, err.message);
+      return next();
+    }
+
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+      console.warn(`🚦 Rate limit '${name}' hit by ${req.ip} - retry in ${retryAfter}s`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: req.t ? req.t(message) : message, retry_after: retryAfter });
+    }
+
+    return next();
+  };
+}
@@ -5,12 +5,17 @@ import { summarizePlacementResults } from '../services/placementSummaryService.j
 import { query, transaction } from '../database/service.js';
 import { generateAndStorePlacementTest } from '../services/placementTestService.js';
 import { evaluateTextAnswer } from '../services/textAnswerEvaluator.js';
+import { createLocaleDetector } from '../middleware/locale.js';
+import { DEFAULT_LOCALE, getLanguageName, translate } from '../utils/i18n.js';
 
 const router = Router();
 
 // Shared Gemini client configured with the requested default model
 const geminiClient = createGeminiClient({ model: 'gemini-2.5-flash' });
 
+// Messages go back in the learner's language (req.locale, req.t)
+router.use(createLocaleDetector());
+
 /**
  * POST /onboarding/moderate
  * Checks onboarding responses for inappropriate content using Gemini.
@@ -23,15 +28,15 @@ router.post('/moderate', async (req, res) => {
     sanitizedAnswers = sanitizeOnboardingAnswers(req.body || {});
   } catch (error) {
     const status = error.statusCode || 400;
-    return res.status(status).json({ error: error.message });
+    return res.status(status).json({ error: req.t(error.message) });
   }
 
   try {
-    const moderationResult = await moderateSanitizedAnswers(sanitizedAnswers);
+    const moderationResult = await moderateSanitizedAnswers(sanitizedAnswers, req.locale);
     return res.json(moderationResult);
   } catch (error) {
     console.error('Onboarding moderation failed:', error);
-    const message = error.message || 'Gemini moderation is currently unavailable.';
+    const message = error.message || req.t('Gemini moderation is currently unavailable.');
     return res.status(502).json({ error: message });
   }
 });
@@ -39,7 +44,7 @@ router.post('/moderate', async (req, res) => {
 router.post('/submit', async (req, res) => {
   const { user_id: userId } = req.body || {};
   if (!userId || typeof userId !== 'string') {
-    return res.status(400).json({ error: 'A valid user_id is required.' });
+    return res.status(400).json({ error: req.t('A valid user_id is required.') });
   }
 
   let sanitizedAnswers;
@@ -47,13 +52,13 @@ router.post('/submit', async (req, res) => {
     sanitizedAnswers = sanitizeOnboardingAnswers(req.body || {});
   } catch (error) {
     const status = error.statusCode || 400;
-    return res.status(status).json({ error: error.message });
+    return res.status(status).json({ error: req.t(error.message) });
   }
 
   try {
-    const moderationResult = await moderateSanitizedAnswers(sanitizedAnswers);
+    const moderationResult = await moderateSanitizedAnswers(sanitizedAnswers, req.locale);
     if (!moderationResult.approved) {
-      const moderationMessage = moderationResult.message || 'Responses require updates before continuing.';
+      const moderationMessage = moderationResult.message || req.t('Responses require updates before continuing.');
       return res.status(422).json({
         error: moderationMessage,
         approved: false,
@@ -92,14 +97,14 @@ router.post('/submit', async (req, res) => {
 
     return res.json({
       approved: true,
-      message: moderationResult.message || 'Onboarding saved successfully.',
+      message: moderationResult.message || req.t('Onboarding saved successfully.'),
       placementTest: placementTestResult?.placementTest || null,
       placement_test_id: placementTestResult?.placementTestId || null,
       api_usage_id: placementTestResult?.apiUsageId || null,
       api_metadata: placementTestResult?.metadata || null,
     });
   } catch (error) {
-    const message = error.message || 'Unable to process onboarding submission.';
+    const message = error.message || req.t('Unable to process onboarding submission.');
     return res.status(502).json({ error: message });
   }
 });
@@ -114,23 +119,23 @@ router.post('/answer', async (req, res) => {
   } = req.body || {};
 
   if (!userId || typeof userId !== 'string') {
-    return res.status(400).json({ error: 'A valid user_id is required.' });
+    return res.status(400).json({ error: req.t('A valid user_id is required.') });
   }
 
   const numericAttemptId = Number(attemptId);
   if (!attemptId || !Number.isFinite(numericAttemptId)) {
-    return res.status(400).json({ error: 'A valid attempt_id is required.' });
+    return res.status(400).json({ error: req.t('A valid attempt_id is required.') });
   }
 
   const numericQuestionId = Number(questionId);
   if (!questionId || !Number.isFinite(numericQuestionId)) {
-    return res.status(400).json({ error: 'A valid question_id is required.' });
+    return res.status(400).json({ error: req.t('A valid question_id is required.') });
   }
 
   const isSkip = Boolean(skip);
   const hasTypedResponse = response !== undefined && response !== null && String(response).trim() !== '';
   if (!isSkip && !hasTypedResponse) {
-    return res.status(400).json({ error: 'Response is required when not skipping.' });
+    return res.status(400).json({ error: req.t('Response is required when not skipping.') });
   }
 
   const runQuery = query;
@@ -148,12 +153,12 @@ router.post('/answer', async (req, res) => {
       [numericAttemptId]
     );
     if (attemptRows.length === 0) {
-      return res.status(404).json({ error: 'Placement attempt not found.' });
+      return res.status(404).json({ error: req.t('Placement attempt not found.') });
     }
 
     const attempt = attemptRows[0];
     if (attempt.user_id !== userId) {
-      return res.status(403).json({ error: 'User does not own this attempt.' });
+      return res.status(403).json({ error: req.t('User does not own this attempt.') });
     }
 
     const questionRows = await runQuery(
@@ -161,12 +166,12 @@ router.post('/answer', async (req, res) => {
       [numericQuestionId]
     );
     if (questionRows.length === 0) {
-      return res.status(404).json({ error: 'Placement question not found.' });
+      return res.status(404).json({ error: req.t('Placement question not found.') });
     }
 
     const question = questionRows[0];
     if (question.test_id !== attempt.test_id) {
-      return res.status(400).json({ error: 'Question does not belong to this test.' });
+      return res.status(400).json({ error: req.t('Question does not belong to this test.') });
     }
 
     let userResponse = null;
@@ -391,7 +396,7 @@ router.post('/answer', async (req, res) => {
     });
   } catch (error) {
     console.error('Answer submission failed:', error);
-    return res.status(502).json({ error: error.message || 'Unable to submit answer.' });
+    return res.status(502).json({ error: error.message || req.t('Unable to submit answer.') });
   }
 });
 
@@ -421,7 +426,7 @@ function sanitizeOnboardingAnswers({ goal, experience }) {
 }
 
 // Query Gemini to review the learner responses and return a compact decision payload.
-async function moderateSanitizedAnswers({ goal, experience }) {
+async function moderateSanitizedAnswers({ goal, experience }, locale = DEFAULT_LOCALE) {
   const moderationPrompt = `You are a strict content and subject reviewer for math-only learning topics.
 Analyse the learner onboarding responses below.
 Return ONLY a compact JSON object with the following shape:
@@ -450,6 +455,7 @@ Set "approved": false if the topic or goal contains or promotes:
 set "approved": false if the users goal or experience make no sense or are not math-related, or give a good understanding for generating a placement test.
 
 When rejecting, give a polite short message asking for a clear math-related educational topic.
+Write the rejection message in ${getLanguageName(locale)}.
 
 When approving, just set approved: true and message: "Approved".
 
@@ -475,6 +481,10 @@ Learner responses to moderate:
   const approved = Boolean(parsed.approved);
   const message = (parsed.message ?? text ?? '').trim();
 
+  if (approved) {
+    return { approved, message: translate(locale, 'Approved') };
+  }
+
   return { approved, message };
 }
 
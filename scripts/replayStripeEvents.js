@@ -0,0 +1,107 @@
+import dotenv from 'dotenv';
+import Stripe from 'stripe';
+import admin from 'firebase-admin';
+import { Resend } from 'resend';
+import getPool from '../database/pool.js';
+import { initializeFirebase } from '../utils/firebaseInit.js';
+import { replayStripeEvent, listFailedStripeEvents } from '../services/stripeEventService.js';
+import { handleStripeEvent } from '../services/stripeWebhookService.js';
+
+dotenv.config();
+
+/**
+ * Stripe event replay
+ * Re-runs stored webhook events (e.g. after a Firebase or database outage) without Stripe resending them.
+ *
+ * Usage:
+ *   node scripts/replayStripeEvents.js --list
+ *   node scripts/replayStripeEvents.js --id evt_123[,evt_456] [--force]
+ *
+ * Only failed (or stalled) events are re-run unless --force is given.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (!key.startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key.slice(2)] = true;
+    } else {
+      args[key.slice(2)] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function replayStripeEvents() {
+  const args = parseArgs(process.argv.slice(2));
+  const eventIds = typeof args.id === 'string' ? args.id.split(',').map(id => id.trim()).filter(Boolean) : [];
+
+  if (!args.list && eventIds.length === 0) {
+    console.error('Usage: node scripts/replayStripeEvents.js --list | --id <evt_id>[,<evt_id>] [--force]');
+    process.exit(1);
+  }
+
+  const pool = getPool();
+
+  try {
+    if (args.list) {
+      const failed = await listFailedStripeEvents(pool);
+      if (failed.length === 0) {
+        console.log('✅ No failed Stripe events.');
+        return;
+      }
+      for (const event of failed) {
+        const firstLine = String(event.last_error || '').split('\n')[0];
+        console.log(`${event.id}  ${event.type}  attempts=${event.attempts}  ${firstLine}`);
+      }
+      return;
+    }
+
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY not configured');
+    }
+    const firebaseReady = initializeFirebase();
+    if (!firebaseReady) {
+      console.warn('⚠️  Firebase not configured - accounts will not be created');
+    }
+    const resendFrom = process.env.RESEND_FROM;
+    const resend = process.env.RESEND_KEY && resendFrom ? new Resend(process.env.RESEND_KEY) : null;
+
+    const deps = {
+      stripe: new Stripe(process.env.STRIPE_SECRET_KEY),
+      admin: firebaseReady ? admin : null,
+      resend,
+      resendFrom,
+      frontendUrl: (process.env.FRONTEND_BASE_URL || 'http://localhost:5173').replace(/\/?$/, ''),
+      waitForFulfilment: true,
+    };
+
+    for (const eventId of eventIds) {
+      const result = await replayStripeEvent(pool, eventId, event => handleStripeEvent(pool, deps, event), {
+        force: Boolean(args.force),
+      });
+
+      if (result.status === 'processed') {
+        console.log(`✅ ${eventId} processed`);
+      } else if (result.status === 'not_found') {
+        console.error(`❌ ${eventId} not found in stripe_events`);
+        process.exitCode = 1;
+      } else if (result.status === 'skipped') {
+        console.log(`ℹ️  ${eventId} is ${result.current} - skipped (use --force to re-run)`);
+      } else {
+        console.error(`❌ ${eventId} failed again:`, result.error?.message);
+        process.exitCode = 1;
+      }
+    }
+  } catch (error) {
+    console.error('\n❌ Replay failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+replayStripeEvents();
@@ -0,0 +1,93 @@
+import dotenv from 'dotenv';
+import admin from 'firebase-admin';
+import { Resend } from 'resend';
+import getPool from '../database/pool.js';
+import { initializeFirebase } from '../utils/firebaseInit.js';
+import { createInviteWave, processInviteWave } from '../services/inviteWaveService.js';
+
+dotenv.config();
+
+/**
+ * Invite wave runner
+ * Invites the next batch of confirmed waitlist contacts, or resumes an earlier wave.
+ *
+ * Usage:
+ *   node scripts/runInviteWave.js --size 50 [--by you@wurlo.org] [--delay-ms 1000]
+ *   node scripts/runInviteWave.js --resume 3 [--retry-failed] [--delay-ms 1000]
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (!key.startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key.slice(2)] = true;
+    } else {
+      args[key.slice(2)] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function runInviteWave() {
+  const args = parseArgs(process.argv.slice(2));
+  const size = parseInt(args.size, 10);
+  const resumeId = parseInt(args.resume, 10);
+  const delayMs = args['delay-ms'] !== undefined ? parseInt(args['delay-ms'], 10) : 1000;
+
+  if (!size && !resumeId) {
+    console.error('Usage: node scripts/runInviteWave.js --size <n> | --resume <waveId> [--retry-failed] [--delay-ms <ms>] [--by <name>]');
+    process.exit(1);
+  }
+
+  if (!initializeFirebase()) {
+    console.error('❌ Firebase is required to create accounts.');
+    process.exit(1);
+  }
+
+  const resendFrom = process.env.RESEND_FROM;
+  const resend = process.env.RESEND_KEY && resendFrom ? new Resend(process.env.RESEND_KEY) : null;
+  if (!resend) {
+    console.warn('⚠️  Resend not configured - password setup links will only be logged');
+  }
+
+  const pool = getPool();
+  const deps = {
+    admin,
+    resend,
+    resendFrom,
+    frontendUrl: (process.env.FRONTEND_BASE_URL || 'http://localhost:5173').replace(/\/?$/, ''),
+  };
+
+  try {
+    let waveId = resumeId;
+    if (!waveId) {
+      const wave = await createInviteWave(pool, size, args.by || process.env.USER || null);
+      waveId = wave.waveId;
+      if (wave.size === 0) {
+        console.log('ℹ️  No confirmed contacts left to invite.');
+        return;
+      }
+    } else {
+      console.log(`🔄 Resuming invite wave ${waveId}...`);
+    }
+
+    const { failed } = await processInviteWave(pool, waveId, deps, {
+      delayMs,
+      retryFailed: Boolean(args['retry-failed']),
+    });
+
+    if (failed > 0) {
+      console.log(`\nℹ️  Retry failures with: node scripts/runInviteWave.js --resume ${waveId} --retry-failed`);
+    }
+  } catch (error) {
+    console.error('\n❌ Invite wave failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+runInviteWave();
@@ -4,11 +4,26 @@
  * Pre-launch landing page and waitlist management server.
  * 
  * Features:
- * - Stripe payment integration for founder plan
- * - Waitlist management
+ * - Stripe payment integration for configurable offers (founder plan and future tiers)
+ * - Monthly and annual subscriptions via Stripe Billing, with a customer portal
+ * - Order history and branded PDF receipts
+ * - Promo codes with usage limits, expiry and per-offer restrictions
+ * - Gift purchases with single-use redemption codes
+ * - Bulk seat licences for organisations (invite, reassign and revoke learners)
+ * - Refund and dispute handling (plan revocation/suspension, seat release)
+ * - Persisted post-payment fulfilment with retries and stuck-order alerts
+ * - Review submission with AI moderation
+ * - Waitlist management with double opt-in, referral codes and queue bumping
+ * - Email hygiene (disposable-domain blocking, duplicate detection, typo suggestions)
+ * - Marketing attribution (UTM, referrer, landing variant) and a conversion funnel report
+ * - Server-driven A/B experiments for landing copy and pricing
+ * - Localised API messages and emails (en-GB, es) from Accept-Language or a stored preference
+ * - Rate limiting and bot checks on public form endpoints
  * - Firebase user creation
- * - Email notifications (welcome, password setup, waitlist confirmation)
+ * - Email notifications from shared templates (welcome, password setup, waitlist confirmation), with admin previews
+ * - Email delivery tracking from Resend webhooks, with a suppression list for bounces and complaints
  * - Password reset functionality
+ * - GDPR data export and erasure
  * 
  * Port: 3000 (configurable via PORT env variable)
  */
@@ -21,8 +36,33 @@ import { Resend } from 'resend';
 import admin from 'firebase-admin';
 import crypto from 'crypto';
 import pkg from 'pg';
-import { sendWelcomeEmail, sendWaitlistConfirmationEmail, sendPasswordSetupEmail } from './services/emailService.js';
-import { createFirebaseUser as createFirebaseUserHelper, createPasswordResetToken, isValidEmail } from './services/authService.js';
+import { sendWaitlistConfirmationEmail, sendWaitlistOptInEmail, sendWaitlistStatusLinkEmail, sendPrivacyRequestEmail, sendSeatInviteEmail, renderEmail, listEmailTemplates, getPreviewVariables, createPreviewToken, verifyPreviewToken, PREVIEW_LINK_TTL_MINUTES } from './services/emailService.js';
+import { constructResendEvent, recordResendEvent, getDeliveryOverview, getRecipientDeliveries, removeSuppression } from './services/emailDeliveryService.js';
+import { isValidEmail } from './services/authService.js';
+import { checkEmail } from './utils/emailHygiene.js';
+import { ATTRIBUTION_FIELDS, parseAttribution, toStripeMetadata, recordCheckoutAttribution, getFunnelReport } from './services/attributionService.js';
+import { requireAdmin } from './middleware/adminAuth.js';
+import { createVisitorToken, verifyVisitorToken, getAssignments, recordExposures, recordAssignments, priceOfferForAssignments, toExperimentMetadata, getExperimentResults } from './services/experimentService.js';
+import { generateReferralCode, normalizeReferralCode, buildShareUrl, creditReferral, getQueuePosition, getReferralSummary } from './services/referralService.js';
+import { getOffer, getDefaultOffer, listActiveOffers, isOfferOnSale, toPublicOffer } from './services/offerService.js';
+import { SEAT_HOLD_MINUTES, reserveSeat, expireCheckoutSessions, attachCheckoutSession, releaseReservation, releaseExpiredHolds, getSeatCounts } from './services/seatReservationService.js';
+import { processStripeEvent } from './services/stripeEventService.js';
+import { handleStripeEvent } from './services/stripeWebhookService.js';
+import { getFulfilmentStatus, resumeFulfilments, alertStuckFulfilments } from './services/fulfilmentService.js';
+import { expireGracePeriods, getCustomerIdForUser } from './services/subscriptionService.js';
+import { listOrders, getOrder, generateReceiptPdf } from './services/receiptService.js';
+import { resolvePromoForOffer, hasRedemptionsLeft, reservePromoRedemption, getStripeCouponId, attachPromoSession, releasePromoRedemption } from './services/promoService.js';
+import { validateGiftInput, createPendingGift, attachGiftSession, cancelPendingGift, normalizeGiftCode, redeemGift, listPurchasedGifts } from './services/giftService.js';
+import { validateLicenceInput, createPendingLicence, attachLicenceSession, cancelPendingLicence, acceptSeatInvite, getOrganisationForAdmin, getOrganisationUsage, inviteLearner, reassignSeat, revokeSeat, buildSeatInviteUrl } from './services/licenceService.js';
+import { validateReviewInput, submitReview, parseReviewListQuery, listReviews, getReviewStats } from './services/reviewService.js';
+import { authenticateFirebaseUser } from './middleware/firebaseAuth.js';
+import { createLocaleDetector } from './middleware/locale.js';
+import { SUPPORTED_LOCALES, matchLocale } from './utils/i18n.js';
+import { getLocalePreference, getEmailLocale, setLocalePreference } from './services/localeService.js';
+import { createMemoryRateLimitStore, createPostgresRateLimitStore, createRateLimiter } from './middleware/rateLimit.js';
+import { createBotCheck } from './middleware/botProtection.js';
+import { PRIVACY_LINK_TTL_HOURS, createPrivacyToken, verifyPrivacyToken, exportSubjectData, eraseSubjectData } from './services/privacyService.js';
+import { CONFIRMATION_TTL_HOURS, buildConfirmationUrl, verifyConfirmationToken, confirmWaitlistSignup, expireUnconfirmedSignups, buildStatusUrl, verifyStatusToken, getWaitlistStatus } from './services/waitlistService.js';
 
 const { Pool } = pkg;
 
@@ -68,7 +108,7 @@ const corsOptions = {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Accept', 'Authorization'],
   credentials: true,
   optionsSuccessStatus: 200
@@ -76,7 +116,9 @@ const corsOptions = {
 
 // Apply security and CORS settings
 app.disable('x-powered-by');
-app.set('trust proxy', true);
+// Trust only the hops our host adds (Render: 1), so clients can't pick their own req.ip with X-Forwarded-For
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10);
+app.set('trust proxy', Number.isInteger(TRUST_PROXY_HOPS) ? TRUST_PROXY_HOPS : 1);
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
@@ -137,11 +179,22 @@ if (resendApiKey && resendFrom) {
   console.warn('⚠️  Resend not configured - emails disabled');
 }
 
+// Clients used by webhook handling and the fulfilment pipeline
+const paymentDeps = {
+  stripe,
+  admin: firebaseEnabled ? admin : null,
+  resend,
+  resendFrom,
+  frontendUrl: DEFAULT_FRONTEND_URL,
+};
+
 /**
  * Stripe Webhook Handler
  * 
  * MUST be registered before express.json() to access raw body.
- * Handles successful checkout sessions and creates users with founder plan.
+ * Every verified event is stored in stripe_events; re-deliveries of processed events
+ * are skipped and failed ones can be re-run with scripts/replayStripeEvents.js.
+ * Event handling lives in services/stripeWebhookService.js.
  */
 app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -161,59 +214,148 @@ app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req,
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
   
-  // Handle successful payment
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    const email = session.customer_details?.email || session.customer_email;
-    
-    if (email) {
-      try {
-        // Add to waitlist (idempotent)
-        await pool.query(
-          'INSERT INTO waitlist (email) VALUES ($1) ON CONFLICT (email) DO NOTHING',
-          [email.toLowerCase()]
-        );
-        
-        // Create Firebase user and store in database (non-blocking)
-        if (firebaseEnabled) {
-          createFirebaseUserHelper(admin, email)
-            .then(async (userRecord) => {
-              if (userRecord) {
-                await pool.query(
-                  'INSERT INTO users (user_id, email, auth_provider) VALUES ($1, $2, $3) ON CONFLICT (email) DO UPDATE SET user_id = $1, auth_provider = $3',
-                  [userRecord.uid, email, 'firebase']
-                );
-                await pool.query(
-                  'INSERT INTO user_plans (user_id, plan_name, renewal_date) VALUES ($1, $2, $3)',
-                  [userRecord.uid, 'founder', null]
-                );
-                console.log('✅ User created with founder plan:', userRecord.uid);
-              }
-            })
-            .catch(err => console.error('❌ Firebase user creation failed:', err));
-        }
-        
-        // Send welcome and password setup emails (non-blocking)
-        const emailBaseUrl = 'https://wurlolanding.onrender.com';
-        sendWelcomeEmail(resend, resendFrom, email).catch(err => console.error('❌ Welcome email failed:', err));
-        
-        // Create password token and send setup email
-        createPasswordResetToken(pool, email)
-          .then(token => sendPasswordSetupEmail(resend, resendFrom, email, token, emailBaseUrl))
-          .catch(err => console.error('❌ Password setup email failed:', err));
-      } catch (err) {
-        console.error('❌ Webhook processing error:', err);
-        return res.json({ received: true, error: 'Database error but acknowledged' });
-      }
-    }
+  // Record the event and process it once; failures stay in stripe_events for replay
+  const outcome = await processStripeEvent(pool, event, evt => handleStripeEvent(pool, paymentDeps, evt)).catch(err => {
+    console.error('❌ Stripe event ledger error:', err);
+    return { status: 'failed' };
+  });
+  
+  if (outcome.status === 'failed') {
+    return res.json({ received: true, error: 'Processing failed but acknowledged' });
   }
   
   res.json({ received: true });
 });
 
+/**
+ * Resend Webhook Handler
+ *
+ * Delivery, delay, bounce and complaint events for the emails we send, signed by Svix.
+ * MUST be registered before express.json() to access raw body.
+ * Event handling lives in services/emailDeliveryService.js.
+ */
+app.post('/api/webhooks/resend', express.raw({ type: 'application/json' }), async (req, res) => {
+  const webhookSecret = process.env.RESEND_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    console.error('❌ RESEND_WEBHOOK_SECRET not configured');
+    return res.status(500).send('Webhook secret not configured');
+  }
+
+  let webhook;
+  try {
+    webhook = constructResendEvent(req.body, req.headers, webhookSecret);
+    console.log('📬 Resend webhook received:', webhook.event.type);
+  } catch (err) {
+    console.error('❌ Resend webhook verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  try {
+    await recordResendEvent(pool, webhook.id, webhook.event);
+    return res.json({ received: true });
+  } catch (err) {
+    // Not acknowledged, so Resend retries the delivery
+    console.error('❌ Error recording Resend event:', err);
+    return res.status(500).json({ received: false });
+  }
+});
+
 // Body parsing middleware (MUST be after webhook handler)
 app.use(express.json());
 
+// Sets req.locale and req.t for every route below (needs the parsed body for stored preferences)
+app.use(createLocaleDetector({ lookupPreference: email => getLocalePreference(pool, email) }));
+
+/**
+ * Localised message for a failed email check (typo suggestions name the suggested address)
+ */
+function emailCheckMessage(req, emailCheck) {
+  return emailCheck.suggestion
+    ? req.t('Did you mean {suggestion}?', { suggestion: emailCheck.suggestion })
+    : req.t(emailCheck.error);
+}
+
+/**
+ * Remember the language someone used at signup or checkout (non-blocking, never overrides a chosen one)
+ */
+function rememberLocale(email, locale) {
+  setLocalePreference(pool, email, locale).catch(err =>
+    console.error('❌ Failed to store locale preference:', err)
+  );
+}
+
+/**
+ * Rate limits for public form endpoints (per IP and per email)
+ * RATE_LIMIT_STORE=postgres shares counts between instances; the default keeps them in memory.
+ */
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'postgres'
+  ? createPostgresRateLimitStore(pool)
+  : createMemoryRateLimitStore();
+console.log(`🚦 Rate limits stored in ${process.env.RATE_LIMIT_STORE === 'postgres' ? 'Postgres' : 'memory'}`);
+
+const RATE_LIMIT_WINDOW_MS = (parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+
+const waitlistRateLimit = createRateLimiter({
+  name: 'waitlist',
+  store: rateLimitStore,
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_WAITLIST_MAX, 10) || 5,
+  message: 'Too many signup attempts. Please wait a few minutes and try again.',
+});
+
+const checkoutRateLimit = createRateLimiter({
+  name: 'checkout',
+  store: rateLimitStore,
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_CHECKOUT_MAX, 10) || 10,
+  message: 'Too many checkout attempts. Please wait a few minutes and try again.',
+});
+
+// Password tokens are only ever guessed by IP - the body carries no email
+const passwordTokenRateLimit = createRateLimiter({
+  name: 'password-token',
+  store: rateLimitStore,
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_PASSWORD_MAX, 10) || 10,
+  keys: ['ip'],
+  message: 'Too many attempts. Please wait a few minutes and try again.',
+});
+
+// Endpoints that email a link to any address they're given
+const emailLinkRateLimit = createRateLimiter({
+  name: 'email-link',
+  store: rateLimitStore,
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_EMAIL_LINK_MAX, 10) || 5,
+  message: 'Too many requests. Please wait a few minutes and try again.',
+});
+
+// Promo codes are guessed by IP - checking codes needs no email
+const promoRateLimit = createRateLimiter({
+  name: 'promo',
+  store: rateLimitStore,
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_PROMO_MAX, 10) || 20,
+  keys: ['ip'],
+  message: 'Too many promo code attempts. Please wait a few minutes and try again.',
+});
+
+// Every visitor id issued is a fresh draw at the price experiments, and each one records an exposure
+const experimentRateLimit = createRateLimiter({
+  name: 'experiments',
+  store: rateLimitStore,
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_EXPERIMENTS_MAX, 10) || 30,
+  keys: ['ip'],
+  message: 'Too many requests. Please wait a few minutes and try again.',
+});
+
+// Waitlist form honeypot and submit-timing checks; bots get the normal "check your inbox" reply
+const waitlistBotCheck = createBotCheck({
+  decoyResponse: { ok: true, pending: true, message: 'Almost there! Check your inbox to confirm your spot.' },
+});
+
 /**
  * Health check endpoint
  */
@@ -222,31 +364,55 @@ app.get('/', async (req, res) => {
 });
 
 /**
- * Get remaining waitlist spots
- * Returns count of remaining free-for-life spots out of 20 total
+ * List offers currently on sale
+ */
+app.get('/api/offers', async (req, res) => {
+  try {
+    const offers = await listActiveOffers(pool);
+    return res.json({ offers: offers.map(toPublicOffer) });
+  } catch (err) {
+    console.error('❌ Error fetching offers:', err);
+    return res.status(500).json({ message: req.t('Could not load offers.') });
+  }
+});
+
+/**
+ * Get remaining seats for an offer (?product_id=, defaults to the default offer)
+ * Sold and reserved (held by open checkouts) seats both come from seat_reservations;
+ * subscribed is the number of confirmed waitlist contacts. total is null for uncapped offers.
  */
 app.get('/api/spots-remaining', async (req, res) => {
   try {
-    const result = await pool.query('SELECT COUNT(*) as count FROM waitlist');
+    const offer = req.query.product_id ? await getOffer(pool, req.query.product_id) : await getDefaultOffer(pool);
+    if (!offer) {
+      return res.status(404).json({ message: req.t('Offer not found.') });
+    }
+
+    const { sold, reserved } = await getSeatCounts(pool, offer.id);
+    const result = await pool.query("SELECT COUNT(*) as count FROM waitlist WHERE status = 'confirmed'");
     const waitlistCount = parseInt(result.rows[0].count, 10) || 0;
-    const totalSpots = 20;
-    const remaining = Math.max(0, totalSpots - waitlistCount);
-    return res.json({ remaining, total: totalSpots, subscribed: waitlistCount });
+    const total = offer.seat_cap;
+    const remaining = total === null ? null : Math.max(0, total - sold - reserved);
+    return res.json({ product_id: offer.slug, remaining, total, sold, reserved, subscribed: waitlistCount });
   } catch (err) {
-    console.error('❌ Error fetching waitlist count:', err);
-    return res.json({ remaining: 20, total: 20, subscribed: 0 });
+    console.error('❌ Error fetching seat counts:', err);
+    return res.status(500).json({ message: req.t('Could not load remaining spots.') });
   }
 });
 
 /**
- * Get all reviews
+ * Get published reviews (cursor paginated)
+ * Query: sort=newest|highest|lowest, verified=true, min_rating=1-5, limit, cursor
  */
 app.get('/api/reviews', async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, name, rating, title, review_text, is_verified, created_at FROM reviews ORDER BY created_at DESC'
-    );
-    return res.json({ reviews: result.rows });
+    const { options, error, vars } = parseReviewListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: req.t(error, vars) });
+    }
+
+    const { reviews, nextCursor } = await listReviews(pool, options);
+    return res.json({ reviews, next_cursor: nextCursor });
   } catch (err) {
     console.error('❌ Error fetching reviews:', err);
     return res.json({ reviews: [] });
@@ -254,79 +420,696 @@ app.get('/api/reviews', async (req, res) => {
 });
 
 /**
- * Get stats (user count and average rating)
+ * Submit a review
+ * Screened by Gemini; flagged reviews are held as pending. Paid plan holders are marked verified.
+ */
+app.post('/api/reviews', authenticateFirebaseUser, async (req, res) => {
+  try {
+    const { review, error, vars } = validateReviewInput(req.body, req.user.name);
+    if (error) {
+      return res.status(400).json({ message: req.t(error, vars) });
+    }
+
+    const stored = await submitReview(pool, req.user.user_id, review);
+
+    if (stored.status !== 'published') {
+      return res.status(202).json({
+        review: stored,
+        message: req.t("Thanks! Your review will appear once it's been checked by our team."),
+      });
+    }
+    return res.status(201).json({ review: stored, message: req.t('Thanks for your review!') });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ message: req.t("You've already reviewed Wurlo.") });
+    }
+    console.error('❌ Error submitting review:', err);
+    return res.status(500).json({ message: req.t('Could not save your review. Try again soon.') });
+  }
+});
+
+/**
+ * Get stats (user count, average rating and per-star histogram)
  */
 app.get('/api/stats', async (req, res) => {
   try {
     const userCountResult = await pool.query('SELECT COUNT(*) as count FROM user_plans');
     const userCount = parseInt(userCountResult.rows[0].count, 10) || 0;
     
-    const ratingResult = await pool.query('SELECT AVG(rating) as avg_rating, COUNT(*) as review_count FROM reviews');
-    const avgRating = ratingResult.rows[0].review_count > 0 
-      ? parseFloat(ratingResult.rows[0].avg_rating).toFixed(1) 
-      : 0;
-    const reviewCount = parseInt(ratingResult.rows[0].review_count, 10) || 0;
+    const { avgRating, reviewCount, histogram } = await getReviewStats(pool);
     
     return res.json({ 
       userCount, 
-      avgRating: parseFloat(avgRating),
-      reviewCount 
+      avgRating,
+      reviewCount,
+      ratingHistogram: histogram
     });
   } catch (err) {
     console.error('❌ Error fetching stats:', err);
-    return res.json({ userCount: 0, avgRating: 0, reviewCount: 0 });
+    return res.json({ userCount: 0, avgRating: 0, reviewCount: 0, ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+  }
+});
+
+/**
+ * Variants of every running experiment for a visitor
+ * Query: visitor_id (optional - a new signed one is issued when missing or invalid; the client keeps it and sends it back)
+ * Returns content for copy tests and the price to show for price tests.
+ */
+app.get('/api/experiments/assignments', experimentRateLimit, async (req, res) => {
+  let visitorToken = String(req.query.visitor_id ?? '');
+  let visitorId = verifyVisitorToken(visitorToken);
+  if (!visitorId) {
+    ({ visitorId, token: visitorToken } = createVisitorToken());
+  }
+  try {
+    const assignments = await getAssignments(pool, visitorId);
+    await recordExposures(pool, visitorId, assignments);
+
+    return res.json({
+      visitor_id: visitorToken,
+      experiments: Object.fromEntries(assignments.map(({ experiment, variant }) => [experiment.key, {
+        variant: variant.key,
+        content: variant.content,
+        ...(variant.price_amount !== null && variant.price_amount !== undefined ? { price_amount: variant.price_amount } : {}),
+      }])),
+    });
+  } catch (err) {
+    // Everyone sees the default experience when experiments are unavailable
+    console.error('❌ Error assigning experiments:', err);
+    return res.json({ visitor_id: visitorToken, experiments: {} });
+  }
+});
+
+/**
+ * Check a promo code against an offer before checkout
+ * Body: { code, product_id, visitor_id? } (product_id defaults to the default offer)
+ */
+app.post('/api/promo/validate', promoRateLimit, async (req, res) => {
+  try {
+    const productId = req.body?.product_id ?? req.body?.productId;
+    const listedOffer = productId ? await getOffer(pool, productId) : await getDefaultOffer(pool);
+    if (!listedOffer || !isOfferOnSale(listedOffer)) {
+      return res.status(400).json({ valid: false, message: req.t('This offer is not available.') });
+    }
+
+    // Quote against the price the visitor will actually be charged
+    const visitorId = verifyVisitorToken(req.body?.visitor_id);
+    const offer = priceOfferForAssignments(listedOffer, visitorId ? await getAssignments(pool, visitorId) : []);
+
+    const { promo, discountAmount, finalAmount, error } = await resolvePromoForOffer(pool, req.body?.code, offer);
+    if (error) {
+      return res.status(400).json({ valid: false, message: req.t(error) });
+    }
+    if (!(await hasRedemptionsLeft(pool, promo))) {
+      return res.status(400).json({ valid: false, message: req.t('This promo code has been fully redeemed.') });
+    }
+
+    return res.json({
+      valid: true,
+      code: promo.code,
+      product_id: offer.slug,
+      currency: offer.currency,
+      discount_type: promo.discount_type,
+      discount_value: promo.discount_value,
+      original_amount: offer.price_amount,
+      discount_amount: discountAmount,
+      final_amount: finalAmount,
+    });
+  } catch (err) {
+    console.error('❌ Error validating promo code:', err);
+    return res.status(500).json({ message: req.t('Could not check this promo code. Try again soon.') });
   }
 });
 
 /**
  * Create Stripe checkout session
+ * Body: { email, product_id?, promo_code?, gift?: { recipient_email, message? }, ignore_email_suggestion?, visitor_id?,
+ *   utm_source?, utm_medium?, utm_campaign?, utm_term?, utm_content?, referrer?, landing_variant? }
+ * Gift checkouts email a redemption code to the recipient instead of granting the buyer a plan.
+ * Visitors in a price experiment are charged their variant's price, re-derived here from the signed visitor_id (anything else gets the listed price).
  */
-app.post('/api/create-checkout', async (req, res) => {
+app.post('/api/create-checkout', checkoutRateLimit, async (req, res) => {
   try {
-    const email = (req.body && req.body.email ? String(req.body.email) : '').trim().toLowerCase();
+    // Disposable addresses are refused; likely typos come back with a suggestion until confirmed
+    const emailCheck = checkEmail(req.body?.email, { acceptTypos: Boolean(req.body?.ignore_email_suggestion) });
+    if (emailCheck.error) {
+      return res.status(400).json({ message: emailCheckMessage(req, emailCheck), suggestion: emailCheck.suggestion });
+    }
+    const { email, canonicalEmail } = emailCheck;
 
-    if (!email || !isValidEmail(email)) {
-      return res.status(400).json({ message: 'Enter a valid email.' });
+    const attribution = parseAttribution(req.body);
+
+    const productId = req.body?.product_id ?? req.body?.productId;
+    const listedOffer = productId ? await getOffer(pool, productId) : await getDefaultOffer(pool);
+    if (!listedOffer || !isOfferOnSale(listedOffer)) {
+      return res.status(400).json({ message: req.t('This offer is not available.') });
     }
 
-    // Check if spots are still available (max 25 founder plans)
-    const founderCountResult = await pool.query(
-      "SELECT COUNT(*) as count FROM user_plans WHERE plan_name = 'founder'"
-    );
-    const founderCount = parseInt(founderCountResult.rows[0].count, 10) || 0;
-    
-    if (founderCount >= 25) {
-      return res.status(400).json({ message: 'Sorry! All 25 lifetime access spots have been claimed.' });
+    const visitorId = verifyVisitorToken(req.body?.visitor_id);
+    const assignments = visitorId ? await getAssignments(pool, visitorId) : [];
+    const offer = priceOfferForAssignments(listedOffer, assignments);
+
+    const { gift, error: giftError, vars: giftVars } = validateGiftInput(req.body, email);
+    if (giftError) {
+      return res.status(400).json({ message: req.t(giftError, giftVars) });
+    }
+    if (gift && offer.billing_interval) {
+      return res.status(400).json({ message: req.t("Subscriptions can't be bought as gifts.") });
+    }
+
+    // Price the promo code up front so a bad code never holds a seat
+    const promoCode = req.body?.promo_code ?? req.body?.promoCode;
+    let promoPricing = null;
+    if (promoCode) {
+      promoPricing = await resolvePromoForOffer(pool, promoCode, offer);
+      if (promoPricing.error) {
+        return res.status(400).json({ message: req.t(promoPricing.error) });
+      }
+    }
+
+    // Hold a seat for the lifetime of the checkout session
+    // One capped spot per person, however they spell their email (gifts are for someone else)
+    const reservation = await reserveSeat(pool, email, offer, { canonicalEmail, onePerPerson: !gift, supersede: !gift });
+    if (!reservation) {
+      return res.status(400).json({ message: req.t('Sorry! All {count} {offer} spots have been claimed.', { count: offer.seat_cap, offer: offer.name }) });
+    }
+    if (reservation.alreadyPurchased) {
+      return res.status(409).json({ message: req.t("You've already claimed a {offer} spot.", { offer: offer.name }) });
+    }
+    // Earlier checkouts by this buyer lost their holds; their sessions mustn't stay payable
+    expireCheckoutSessions(stripe, reservation.supersededSessionIds);
+
+    // Hold a promo redemption for the same lifetime
+    let promoRedemptionId = null;
+    if (promoPricing) {
+      const { promo, discountAmount } = promoPricing;
+      promoRedemptionId = await reservePromoRedemption(pool, promo, email, discountAmount, reservation.expiresAt);
+      if (!promoRedemptionId) {
+        await releaseReservation(pool, { reservationId: reservation.reservationId });
+        return res.status(400).json({ message: req.t('This promo code has been fully redeemed.') });
+      }
     }
 
+    const giftId = gift
+      ? await createPendingGift(pool, { purchaserEmail: email, ...gift, offer })
+      : null;
+
     const baseUrl = DEFAULT_FRONTEND_URL;
     
+    // Offers with a billing interval are sold as subscriptions
+    const isSubscription = Boolean(offer.billing_interval);
+
     // Create Stripe checkout session
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: 'gbp',
-            product_data: {
-              name: 'Wurlo Lifetime Access',
-              description: 'One-time payment for lifetime access to Wurlo',
+    let session;
+    try {
+      const couponId = promoPricing ? await getStripeCouponId(pool, stripe, promoPricing.promo) : null;
+      session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: [
+          {
+            price_data: {
+              currency: offer.currency,
+              product_data: {
+                name: offer.name,
+                ...(offer.description ? { description: offer.description } : {}),
+              },
+              unit_amount: offer.price_amount, // minor units (pence)
+              ...(isSubscription ? { recurring: { interval: offer.billing_interval } } : {}),
             },
-            unit_amount: 2900, // £29.00 in pence
+            quantity: 1,
           },
-          quantity: 1,
+        ],
+        mode: isSubscription ? 'subscription' : 'payment',
+        customer_email: email,
+        // Stripe's hosted page speaks both supported locales
+        locale: req.locale,
+        ...(isSubscription ? { subscription_data: { metadata: { offer_id: String(offer.id) } } } : {}),
+        ...(couponId ? { discounts: [{ coupon: couponId }] } : {}),
+        expires_at: Math.floor(Date.now() / 1000) + SEAT_HOLD_MINUTES * 60,
+        metadata: {
+          reservation_id: String(reservation.reservationId),
+          offer_id: String(offer.id),
+          ...(promoRedemptionId ? { promo_redemption_id: String(promoRedemptionId) } : {}),
+          ...(giftId ? { gift_id: String(giftId) } : {}),
+          ...toStripeMetadata(attribution),
+          ...toExperimentMetadata(assignments),
         },
-      ],
-      mode: 'payment',
-      customer_email: email,
-      success_url: `${baseUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${baseUrl}`,
-    });
+        success_url: `${baseUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${baseUrl}`,
+      });
+    } catch (err) {
+      // No session means nothing will ever release the holds, so free them now
+      await releaseReservation(pool, { reservationId: reservation.reservationId });
+      if (promoRedemptionId) {
+        await releasePromoRedemption(pool, { redemptionId: promoRedemptionId });
+      }
+      if (giftId) {
+        await cancelPendingGift(pool, { giftId });
+      }
+      throw err;
+    }
+
+    // Link the holds to the live session first: expiry and payment webhooks find them through it
+    await attachCheckoutSession(pool, reservation.reservationId, session.id);
+    if (promoRedemptionId) {
+      await attachPromoSession(pool, promoRedemptionId, session.id);
+    }
+    if (giftId) {
+      await attachGiftSession(pool, giftId, session.id);
+    }
+
+    // Analytics never fail a checkout that already exists
+    recordCheckoutAttribution(pool, session.id, email, attribution).catch(err =>
+      console.error('❌ Failed to record checkout attribution:', err)
+    );
+    // Fulfilment emails are sent later, without a request, so keep the buyer's language
+    rememberLocale(email, req.locale);
+    recordAssignments(pool, assignments, { visitorId, email, context: 'checkout', sessionId: session.id }).catch(err =>
+      console.error('❌ Failed to record experiment assignments:', err)
+    );
 
     return res.json({ url: session.url });
   } catch (err) {
     console.error('❌ Stripe checkout error:', err);
-    return res.status(500).json({ message: 'Could not create checkout session. Try again soon.' });
+    return res.status(500).json({ message: req.t('Could not create checkout session. Try again soon.') });
+  }
+});
+
+/**
+ * Redeem a gift code onto the signed-in account
+ * Body: { code }
+ */
+app.post('/api/redeem', authenticateFirebaseUser, async (req, res) => {
+  try {
+    const code = normalizeGiftCode(req.body?.code);
+    if (!code) {
+      return res.status(400).json({ message: req.t('Enter a valid gift code.') });
+    }
+
+    const result = await redeemGift(pool, code, req.user.user_id);
+    if (result.error) {
+      return res.status(result.status).json({ message: req.t(result.error) });
+    }
+    return res.json({ message: req.t('Gift redeemed! Enjoy Wurlo.'), plan_name: result.planName });
+  } catch (err) {
+    console.error('❌ Error redeeming gift:', err);
+    return res.status(500).json({ message: req.t('Could not redeem this gift. Try again soon.') });
+  }
+});
+
+/**
+ * List gifts bought by the signed-in user, with their redemption status
+ * Gift buyers get no account at checkout, so the address must be verified to prove it's theirs.
+ */
+app.get('/api/gifts', authenticateFirebaseUser, async (req, res) => {
+  try {
+    if (!req.user.email_verified) {
+      return res.status(403).json({ message: req.t('Verify your email address to see the gifts you bought.') });
+    }
+    const gifts = await listPurchasedGifts(pool, String(req.user.email || '').toLowerCase());
+    return res.json({ gifts });
+  } catch (err) {
+    console.error('❌ Error fetching gifts:', err);
+    return res.status(500).json({ message: req.t('Could not load your gifts.') });
+  }
+});
+
+/**
+ * Create a Stripe checkout session for a bulk seat licence
+ * Body: { email, organisation_name, seats, product_id?, ignore_email_suggestion?, utm_*?, referrer?, landing_variant? }
+ * The buyer becomes the organisation's admin and assigns the seats after payment.
+ */
+app.post('/api/licences/checkout', checkoutRateLimit, async (req, res) => {
+  try {
+    const emailCheck = checkEmail(req.body?.email, { acceptTypos: Boolean(req.body?.ignore_email_suggestion) });
+    if (emailCheck.error) {
+      return res.status(400).json({ message: emailCheckMessage(req, emailCheck), suggestion: emailCheck.suggestion });
+    }
+    const { email, canonicalEmail } = emailCheck;
+
+    const { licence, error, vars } = validateLicenceInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: req.t(error, vars) });
+    }
+
+    const attribution = parseAttribution(req.body);
+
+    const productId = req.body?.product_id ?? req.body?.productId;
+    const offer = productId ? await getOffer(pool, productId) : await getDefaultOffer(pool);
+    if (!offer || !isOfferOnSale(offer)) {
+      return res.status(400).json({ message: req.t('This offer is not available.') });
+    }
+    if (offer.billing_interval) {
+      return res.status(400).json({ message: req.t("Subscriptions can't be bought as seat licences.") });
+    }
+
+    // Hold every seat on the licence against the offer's cap for the lifetime of the checkout
+    const reservation = await reserveSeat(pool, email, offer, { quantity: licence.seatCount, canonicalEmail });
+    if (!reservation) {
+      const { sold, reserved } = await getSeatCounts(pool, offer.id);
+      const left = Math.max(offer.seat_cap - sold - reserved, 0);
+      return res.status(400).json({ message: req.t('Sorry! Only {count} {offer} spots are left.', { count: left, offer: offer.name }) });
+    }
+    const licenceId = await createPendingLicence(pool, { adminEmail: email, ...licence, offer });
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: [
+          {
+            price_data: {
+              currency: offer.currency,
+              product_data: {
+                name: `${offer.name} (seat licence)`,
+                ...(offer.description ? { description: offer.description } : {}),
+              },
+              unit_amount: offer.price_amount, // minor units (pence), per seat
+            },
+            quantity: licence.seatCount,
+          },
+        ],
+        mode: 'payment',
+        customer_email: email,
+        // Stripe's hosted page speaks both supported locales
+        locale: req.locale,
+        expires_at: Math.floor(Date.now() / 1000) + SEAT_HOLD_MINUTES * 60,
+        metadata: {
+          reservation_id: String(reservation.reservationId),
+          offer_id: String(offer.id),
+          licence_id: String(licenceId),
+          ...toStripeMetadata(attribution),
+        },
+        success_url: `${DEFAULT_FRONTEND_URL}/organisation?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${DEFAULT_FRONTEND_URL}`,
+      });
+    } catch (err) {
+      // No session means nothing will ever release the holds, so free them now
+      await releaseReservation(pool, { reservationId: reservation.reservationId });
+      await cancelPendingLicence(pool, { licenceId });
+      throw err;
+    }
+
+    // Link the holds to the live session first: expiry and payment webhooks find them through it
+    await attachCheckoutSession(pool, reservation.reservationId, session.id);
+    await attachLicenceSession(pool, licenceId, session.id);
+
+    // Analytics never fail a checkout that already exists
+    recordCheckoutAttribution(pool, session.id, email, attribution).catch(err =>
+      console.error('❌ Failed to record checkout attribution:', err)
+    );
+    // Fulfilment emails are sent later, without a request, so keep the buyer's language
+    rememberLocale(email, req.locale);
+
+    return res.json({ url: session.url });
+  } catch (err) {
+    console.error('❌ Licence checkout error:', err);
+    return res.status(500).json({ message: req.t('Could not create checkout session. Try again soon.') });
+  }
+});
+
+/**
+ * Accept a seat invitation onto the signed-in account
+ * Body: { token }
+ */
+app.post('/api/licences/accept', authenticateFirebaseUser, async (req, res) => {
+  try {
+    const token = String(req.body?.token ?? '').trim();
+    if (!/^[a-f0-9]{48}$/.test(token)) {
+      return res.status(400).json({ message: req.t('This invitation link is invalid.') });
+    }
+
+    const result = await acceptSeatInvite(pool, token, req.user.user_id);
+    if (result.error) {
+      return res.status(result.status).json({ message: req.t(result.error) });
+    }
+    return res.json({
+      message: req.t("You've joined {organisation} on Wurlo!", { organisation: result.organisationName }),
+      plan_name: result.planName,
+      organisation_name: result.organisationName,
+    });
+  } catch (err) {
+    console.error('❌ Error accepting seat invite:', err);
+    return res.status(500).json({ message: req.t('Could not accept this invitation. Try again soon.') });
+  }
+});
+
+/**
+ * Only lets the signed-in account through if it administers an organisation (sets req.organisation)
+ * Licence buyers get no account at checkout, so the address must be verified to prove it's theirs.
+ */
+async function requireOrganisationAdmin(req, res, next) {
+  try {
+    if (!req.user.email_verified) {
+      return res.status(403).json({ message: req.t('Verify your email address to manage your organisation.') });
+    }
+    const organisation = await getOrganisationForAdmin(pool, req.user.email);
+    if (!organisation) {
+      return res.status(403).json({ message: req.t("This account doesn't manage an organisation.") });
+    }
+    req.organisation = organisation;
+    return next();
+  } catch (err) {
+    console.error('❌ Error loading organisation:', err);
+    return res.status(500).json({ message: req.t('Could not load your organisation.') });
+  }
+}
+
+/**
+ * Email a seat invitation (non-blocking)
+ * Goes out in the learner's stored language, or the inviting admin's when we don't know it
+ */
+function sendSeatInvite(organisation, seat, fallbackLocale) {
+  getEmailLocale(pool, seat.email, fallbackLocale)
+    .then(locale => sendSeatInviteEmail(pool, resend, resendFrom, seat.email, {
+      organisationName: organisation.name,
+      acceptUrl: buildSeatInviteUrl(DEFAULT_FRONTEND_URL, seat.token),
+    }, { locale }))
+    .catch(err => console.error('❌ Failed to send seat invite email:', err));
+}
+
+/**
+ * Seat usage for the signed-in admin's organisation
+ */
+app.get('/api/organisation', authenticateFirebaseUser, requireOrganisationAdmin, async (req, res) => {
+  try {
+    const licences = await getOrganisationUsage(pool, req.organisation.id);
+    return res.json({ organisation: req.organisation, licences });
+  } catch (err) {
+    console.error('❌ Error fetching organisation usage:', err);
+    return res.status(500).json({ message: req.t('Could not load seat usage.') });
+  }
+});
+
+/**
+ * Invite a learner to a free seat on one of the organisation's licences
+ * Body: { email }
+ */
+app.post('/api/organisation/licences/:id/seats', authenticateFirebaseUser, requireOrganisationAdmin, async (req, res) => {
+  try {
+    const licenceId = parseInt(req.params.id, 10);
+    if (!licenceId) {
+      return res.status(404).json({ message: req.t('Licence not found.') });
+    }
+
+    const result = await inviteLearner(pool, req.organisation.id, licenceId, req.body?.email);
+    if (result.error) {
+      return res.status(result.status).json({ message: req.t(result.error, result.vars) });
+    }
+
+    sendSeatInvite(req.organisation, result.seat, req.locale);
+    return res.status(201).json({ message: req.t('Invitation sent to {email}.', { email: result.seat.email }), seat_id: result.seat.id });
+  } catch (err) {
+    console.error('❌ Error inviting learner:', err);
+    return res.status(500).json({ message: req.t('Could not send this invitation. Try again soon.') });
+  }
+});
+
+/**
+ * Reassign a seat to a different learner (the current holder loses access)
+ * Body: { email }
+ */
+app.post('/api/organisation/seats/:id/reassign', authenticateFirebaseUser, requireOrganisationAdmin, async (req, res) => {
+  try {
+    const seatId = parseInt(req.params.id, 10);
+    if (!seatId) {
+      return res.status(404).json({ message: req.t('Seat not found.') });
+    }
+
+    const result = await reassignSeat(pool, req.organisation.id, seatId, req.body?.email);
+    if (result.error) {
+      return res.status(result.status).json({ message: req.t(result.error, result.vars) });
+    }
+
+    sendSeatInvite(req.organisation, result.seat, req.locale);
+    return res.json({ message: req.t('Seat reassigned to {email}.', { email: result.seat.email }), seat_id: result.seat.id });
+  } catch (err) {
+    console.error('❌ Error reassigning seat:', err);
+    return res.status(500).json({ message: req.t('Could not reassign this seat. Try again soon.') });
+  }
+});
+
+/**
+ * Revoke a seat (the learner loses access and the seat can be given to someone else)
+ */
+app.delete('/api/organisation/seats/:id', authenticateFirebaseUser, requireOrganisationAdmin, async (req, res) => {
+  try {
+    const seatId = parseInt(req.params.id, 10);
+    if (!seatId) {
+      return res.status(404).json({ message: req.t('Seat not found.') });
+    }
+
+    const result = await revokeSeat(pool, req.organisation.id, seatId);
+    if (result.error) {
+      return res.status(result.status).json({ message: req.t(result.error) });
+    }
+    return res.json({ message: req.t('Seat revoked for {email}.', { email: result.seat.email }) });
+  } catch (err) {
+    console.error('❌ Error revoking seat:', err);
+    return res.status(500).json({ message: req.t('Could not revoke this seat. Try again soon.') });
+  }
+});
+
+/**
+ * Save the signed-in user's language for API messages and emails
+ * Body: { locale } (one of SUPPORTED_LOCALES, e.g. 'en-GB' or 'es')
+ */
+app.put('/api/me/locale', authenticateFirebaseUser, async (req, res) => {
+  try {
+    const locale = matchLocale(req.body?.locale);
+    if (!locale || !req.user.email) {
+      return res.status(400).json({ message: req.t('Choose a supported language.'), supported: SUPPORTED_LOCALES });
+    }
+
+    await setLocalePreference(pool, req.user.email, locale, { chosen: true });
+    return res.json({ locale, message: req.t('Language preference saved.') });
+  } catch (err) {
+    console.error('❌ Error saving locale preference:', err);
+    return res.status(500).json({ message: req.t('Could not save your language preference. Try again soon.') });
+  }
+});
+
+/**
+ * Open the Stripe customer portal for the signed-in user's subscription
+ * (update card, switch between monthly and annual, cancel)
+ */
+app.post('/api/billing/portal', authenticateFirebaseUser, async (req, res) => {
+  try {
+    const customerId = await getCustomerIdForUser(pool, req.user.user_id);
+    if (!customerId) {
+      return res.status(404).json({ message: req.t("You don't have a subscription to manage.") });
+    }
+
+    const portal = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: `${DEFAULT_FRONTEND_URL}/account`,
+    });
+    return res.json({ url: portal.url });
+  } catch (err) {
+    console.error('❌ Error opening billing portal:', err);
+    return res.status(500).json({ message: req.t('Could not open billing settings. Try again soon.') });
+  }
+});
+
+/**
+ * List the signed-in user's payments (purchases, renewals, refunds)
+ */
+app.get('/api/billing/orders', authenticateFirebaseUser, async (req, res) => {
+  try {
+    const orders = await listOrders(pool, req.user.user_id);
+    return res.json({ orders });
+  } catch (err) {
+    console.error('❌ Error fetching orders:', err);
+    return res.status(500).json({ message: req.t('Could not load your orders.') });
+  }
+});
+
+/**
+ * Download a branded PDF receipt for one of the signed-in user's payments
+ */
+app.get('/api/billing/orders/:id/receipt.pdf', authenticateFirebaseUser, async (req, res) => {
+  try {
+    const paymentId = parseInt(req.params.id, 10);
+    const order = paymentId ? await getOrder(pool, paymentId, req.user.user_id) : null;
+    if (!order) {
+      return res.status(404).json({ message: req.t('Order not found.') });
+    }
+
+    const receipt = await generateReceiptPdf(order);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${receipt.filename}"`);
+    return res.send(receipt.content);
+  } catch (err) {
+    console.error('❌ Error generating receipt:', err);
+    return res.status(500).json({ message: req.t('Could not generate your receipt. Try again soon.') });
+  }
+});
+
+/**
+ * Get fulfilment progress for a paid checkout (polled by the success page)
+ * Steps: account, plan, welcome_email, password_email
+ */
+app.get('/api/fulfilments/:sessionId', async (req, res) => {
+  try {
+    const fulfilment = await getFulfilmentStatus(pool, String(req.params.sessionId));
+    if (!fulfilment) {
+      return res.status(404).json({ message: req.t("We haven't received this payment yet. Check again in a moment.") });
+    }
+    return res.json(fulfilment);
+  } catch (err) {
+    console.error('❌ Error fetching fulfilment status:', err);
+    return res.status(500).json({ message: req.t('Could not load your order status.') });
+  }
+});
+
+/**
+ * Report on a checkout for the success page: payment status, the offer bought and fulfilment progress
+ * fulfilment is null until the payment webhook has been processed (and for gift and licence purchases,
+ * which don't provision an account for the buyer).
+ */
+app.get('/api/checkout-session/:id', async (req, res) => {
+  try {
+    const sessionId = String(req.params.id);
+    if (!/^cs_[A-Za-z0-9_]+$/.test(sessionId)) {
+      return res.status(404).json({ message: req.t('Checkout not found.') });
+    }
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.retrieve(sessionId);
+    } catch (err) {
+      if (err.code === 'resource_missing') {
+        return res.status(404).json({ message: req.t('Checkout not found.') });
+      }
+      throw err;
+    }
+
+    const offer = session.metadata?.offer_id ? await getOffer(pool, session.metadata.offer_id) : null;
+    const purchaseType = session.metadata?.gift_id ? 'gift' : session.metadata?.licence_id ? 'licence' : 'plan';
+
+    const fulfilment = purchaseType === 'plan' ? await getFulfilmentStatus(pool, sessionId) : null;
+    const stepDone = name => Boolean(fulfilment?.steps.find(step => step.name === name)?.done);
+    const emailSent = name => fulfilment?.email_statuses?.[name] === 'sent';
+
+    return res.json({
+      session_id: session.id,
+      status: session.status, // open, complete, expired
+      payment_status: session.payment_status, // paid, unpaid, no_payment_required
+      email: session.customer_details?.email || session.customer_email || null,
+      amount_total: session.amount_total,
+      currency: session.currency,
+      purchase_type: purchaseType,
+      offer: offer ? toPublicOffer(offer) : null,
+      fulfilment: fulfilment && {
+        ...fulfilment,
+        account_created: stepDone('account'),
+        plan_granted: stepDone('plan'),
+        emails_sent: emailSent('welcome_email') && emailSent('password_email'),
+      },
+    });
+  } catch (err) {
+    console.error('❌ Error fetching checkout session:', err);
+    return res.status(500).json({ message: req.t('Could not load your order status.') });
   }
 });
 
@@ -336,7 +1119,6 @@ app.post('/api/create-checkout', async (req, res) => {
 const handleWaitlistSignup = async (req, res) => {
   try {
     // Extract all form data
-    const email = (req.body && req.body.email ? String(req.body.email) : '').trim().toLowerCase();
     const firstName = (req.body?.first_name ?? req.body?.firstName ?? '').trim();
     const lastName = (req.body?.last_name ?? req.body?.lastName ?? '').trim();
     const phoneNumber = (req.body?.phone_number ?? req.body?.phoneNumber ?? '').trim();
@@ -344,14 +1126,18 @@ const handleWaitlistSignup = async (req, res) => {
     const contactConsent = typeof contactConsentRaw === 'boolean'
       ? contactConsentRaw
       : ['true', '1', 'yes', 'on'].includes(String(contactConsentRaw).toLowerCase());
+    const referredBy = normalizeReferralCode(req.body?.ref ?? req.body?.referral_code);
+    const attribution = parseAttribution(req.body);
 
-    // Validate required fields
-    if (!email || !isValidEmail(email)) {
-      return res.status(400).json({ message: 'Enter a valid email.' });
+    // Validate required fields - disposable addresses are refused; likely typos come back with a suggestion until confirmed
+    const emailCheck = checkEmail(req.body?.email, { acceptTypos: Boolean(req.body?.ignore_email_suggestion) });
+    if (emailCheck.error) {
+      return res.status(400).json({ message: emailCheckMessage(req, emailCheck), suggestion: emailCheck.suggestion });
     }
+    const { email, canonicalEmail } = emailCheck;
 
     if (!firstName) {
-      return res.status(400).json({ message: 'First name is required.' });
+      return res.status(400).json({ message: req.t('First name is required.') });
     }
 
     // Create table if it doesn't exist with all columns
@@ -363,59 +1149,251 @@ const handleWaitlistSignup = async (req, res) => {
         first_name VARCHAR(100),
         last_name VARCHAR(100),
         phone_number VARCHAR(20),
-        contact_consent BOOLEAN DEFAULT FALSE
+        contact_consent BOOLEAN DEFAULT FALSE,
+        referral_code VARCHAR(16) UNIQUE,
+        referred_by VARCHAR(16),
+        referral_count INT NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        confirmed_at TIMESTAMP NULL DEFAULT NULL,
+        email_canonical VARCHAR(255) NULL DEFAULT NULL,
+        utm_source VARCHAR(100),
+        utm_medium VARCHAR(100),
+        utm_campaign VARCHAR(100),
+        utm_term VARCHAR(100),
+        utm_content VARCHAR(100),
+        referrer VARCHAR(500),
+        landing_variant VARCHAR(100)
       )
     `);
 
-    // Insert into waitlist with all data
-    const result = await pool.query(
-      `INSERT INTO waitlist (email, first_name, last_name, phone_number, contact_consent) 
-       VALUES ($1, $2, $3, $4, $5) 
-       ON CONFLICT (email) DO NOTHING 
-       RETURNING email, first_name`,
-      [
-        email,
-        firstName || null,
-        lastName || null,
-        phoneNumber || null,
-        contactConsent,
-      ]
+    // The same mailbox under another spelling (Gmail dots, +aliases) is already signed up
+    const sameMailbox = await pool.query(
+      'SELECT 1 FROM waitlist WHERE email_canonical = $1 AND email <> $2 LIMIT 1',
+      [canonicalEmail, email]
     );
+    if (sameMailbox.rows.length > 0) {
+      console.log('📝 Duplicate waitlist signup (alias):', email);
+      return res.json({ ok: true, message: req.t("You're already on the waitlist.") });
+    }
+
+    // Insert into waitlist with all data, retrying on the rare referral code collision
+    let result;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        result = await pool.query(
+          `INSERT INTO waitlist (email, first_name, last_name, phone_number, contact_consent, referral_code, referred_by, email_canonical,
+             ${ATTRIBUTION_FIELDS.join(', ')}) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) 
+           ON CONFLICT (email) DO NOTHING 
+           RETURNING email`,
+          [
+            email,
+            firstName || null,
+            lastName || null,
+            phoneNumber || null,
+            contactConsent,
+            generateReferralCode(),
+            referredBy,
+            canonicalEmail,
+            ...ATTRIBUTION_FIELDS.map(field => attribution?.[field] ?? null),
+          ]
+        );
+        break;
+      } catch (err) {
+        if (err.code !== '23505' || !String(err.constraint).includes('referral_code') || attempt >= 3) throw err;
+      }
+    }
 
-    // Send confirmation email (non-blocking)
     if (result.rowCount > 0) {
-      console.log('📝 New waitlist signup:', email, '-', firstName, lastName);
-      sendWaitlistConfirmationEmail(resend, resendFrom, email).catch(err => 
-        console.error('❌ Failed to send waitlist confirmation:', err)
-      );
+      console.log('📝 New waitlist signup (pending confirmation):', email, '-', firstName, lastName);
+      rememberLocale(email, req.locale);
+
+      // Credit the signup to the visitor's experiment variants (non-blocking)
+      const visitorId = verifyVisitorToken(req.body?.visitor_id);
+      if (visitorId) {
+        getAssignments(pool, visitorId)
+          .then(assignments => recordAssignments(pool, assignments, { visitorId, email, context: 'waitlist' }))
+          .catch(err => console.error('❌ Failed to record experiment assignments:', err));
+      }
     } else {
-      console.log('📝 Duplicate waitlist signup:', email);
+      const existing = await pool.query('SELECT status FROM waitlist WHERE email = $1', [email]);
+      if (existing.rows[0]?.status !== 'pending') {
+        console.log('📝 Duplicate waitlist signup:', email);
+        return res.json({ ok: true, message: req.t("You're already on the waitlist.") });
+      }
+      console.log('📝 Repeat signup, resending confirmation:', email);
     }
 
-    return res.json({ ok: true, message: 'Successfully joined the waitlist!' });
+    // Send opt-in email with signed confirmation link (non-blocking)
+    const confirmUrl = buildConfirmationUrl(DEFAULT_FRONTEND_URL, email);
+    sendWaitlistOptInEmail(pool, resend, resendFrom, email, confirmUrl, CONFIRMATION_TTL_HOURS, { locale: req.locale }).catch(err => 
+      console.error('❌ Failed to send waitlist opt-in email:', err)
+    );
+
+    return res.json({
+      ok: true,
+      pending: true,
+      message: req.t('Almost there! Check your inbox to confirm your spot.'),
+    });
   } catch (err) {
     // Check for duplicate email error
     if (err.code === '23505') {
-      return res.status(409).json({ message: "You're already on the waitlist." });
+      return res.status(409).json({ message: req.t("You're already on the waitlist.") });
     }
     console.error('❌ Waitlist error:', err);
-    return res.status(500).json({ message: 'Could not save your email. Try again soon.' });
+    return res.status(500).json({ message: req.t('Could not save your email. Try again soon.') });
   }
 };
 
 // Waitlist endpoints (both /subscribe and /join-waitlist for compatibility)
-app.post('/api/subscribe', handleWaitlistSignup);
-app.post('/api/join-waitlist', handleWaitlistSignup);
+app.post('/api/subscribe', waitlistRateLimit, waitlistBotCheck, handleWaitlistSignup);
+app.post('/api/join-waitlist', waitlistRateLimit, waitlistBotCheck, handleWaitlistSignup);
+
+/**
+ * Confirm a waitlist signup from the signed email link
+ * Credits the referrer and sends the welcome-to-the-waitlist email with share link and position
+ */
+app.get('/api/waitlist/confirm', async (req, res) => {
+  try {
+    const email = verifyConfirmationToken(req.query.token);
+    if (!email) {
+      return res.status(400).json({ confirmed: false, message: req.t('This confirmation link is invalid or has expired.') });
+    }
+
+    const { found, newlyConfirmed, row } = await confirmWaitlistSignup(pool, email);
+    if (!found) {
+      return res.status(404).json({ confirmed: false, message: req.t('This signup has expired. Please join the waitlist again.') });
+    }
+
+    const shareUrl = row.referral_code ? buildShareUrl(DEFAULT_FRONTEND_URL, row.referral_code) : null;
+    const statusUrl = buildStatusUrl(DEFAULT_FRONTEND_URL, email);
+    const position = await getQueuePosition(pool, email);
+
+    if (newlyConfirmed) {
+      console.log('✅ Waitlist signup confirmed:', email);
+
+      // A referred contact confirming their email counts as a verified referral
+      if (row.referred_by) {
+        await creditReferral(pool, row.referred_by);
+      }
+
+      // Send confirmation email in the language they signed up in (non-blocking)
+      getEmailLocale(pool, email, req.locale)
+        .then(locale => sendWaitlistConfirmationEmail(pool, resend, resendFrom, email, { shareUrl, position, statusUrl }, { locale }))
+        .catch(err => console.error('❌ Failed to send waitlist confirmation:', err));
+    }
+
+    return res.json({
+      confirmed: true,
+      message: req.t("You're on the waitlist!"),
+      referral_code: row.referral_code,
+      share_url: shareUrl,
+      status_url: statusUrl,
+      position,
+    });
+  } catch (err) {
+    console.error('❌ Error confirming waitlist signup:', err);
+    return res.status(500).json({ confirmed: false, message: req.t('Could not confirm your email. Try again soon.') });
+  }
+});
+
+/**
+ * Request a status link by email
+ * Always responds the same way so the endpoint can't be used to probe who is on the waitlist
+ */
+app.post('/api/waitlist/status-link', emailLinkRateLimit, async (req, res) => {
+  try {
+    const email = (req.body && req.body.email ? String(req.body.email) : '').trim().toLowerCase();
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ message: req.t('Enter a valid email.') });
+    }
+
+    const existing = await pool.query('SELECT 1 FROM waitlist WHERE email = $1', [email]);
+    if (existing.rows.length > 0) {
+      const statusUrl = buildStatusUrl(DEFAULT_FRONTEND_URL, email);
+      sendWaitlistStatusLinkEmail(pool, resend, resendFrom, email, statusUrl, { locale: req.locale }).catch(err => 
+        console.error('❌ Failed to send waitlist status link:', err)
+      );
+    }
+
+    return res.json({ ok: true, message: req.t("If you're on the waitlist, we've emailed you a link to your status.") });
+  } catch (err) {
+    console.error('❌ Error sending waitlist status link:', err);
+    return res.status(500).json({ message: req.t('Could not send your status link. Try again soon.') });
+  }
+});
+
+/**
+ * Get waitlist position and status
+ * Authenticated by the signed token from a status link, not a raw email
+ */
+app.get('/api/waitlist/status', async (req, res) => {
+  try {
+    const email = verifyStatusToken(req.query.token);
+    if (!email) {
+      return res.status(401).json({ message: req.t('This status link is invalid or has expired.') });
+    }
+
+    const status = await getWaitlistStatus(pool, email);
+    if (!status) {
+      return res.status(404).json({ message: req.t("We couldn't find you on the waitlist.") });
+    }
+
+    return res.json({
+      email: status.email,
+      first_name: status.firstName,
+      status: status.status,
+      confirmed: status.status === 'confirmed',
+      joined_at: status.joinedAt,
+      confirmed_at: status.confirmedAt,
+      position: status.position,
+      referral_count: status.referralCount,
+      share_url: status.referralCode ? buildShareUrl(DEFAULT_FRONTEND_URL, status.referralCode) : null,
+    });
+  } catch (err) {
+    console.error('❌ Error fetching waitlist status:', err);
+    return res.status(500).json({ message: req.t('Could not load your waitlist status.') });
+  }
+});
+
+/**
+ * Look up a referral code
+ * Lets the landing page greet visitors arriving through a share link
+ */
+app.get('/api/referrals/:code', async (req, res) => {
+  try {
+    const code = normalizeReferralCode(req.params.code);
+    if (!code) {
+      return res.status(400).json({ message: req.t('Invalid referral code.') });
+    }
+
+    const summary = await getReferralSummary(pool, code);
+    if (!summary) {
+      return res.status(404).json({ message: req.t('Referral code not found.') });
+    }
+
+    return res.json({
+      code: summary.code,
+      referrer_name: summary.referrerName,
+      referral_count: summary.referralCount,
+      position: summary.position,
+    });
+  } catch (err) {
+    console.error('❌ Error fetching referral:', err);
+    return res.status(500).json({ message: req.t('Could not look up referral code.') });
+  }
+});
 
 /**
  * Verify password reset token
  */
-app.post('/api/verify-token', async (req, res) => {
+app.post('/api/verify-token', passwordTokenRateLimit, async (req, res) => {
   try {
     const { token } = req.body;
     
     if (!token) {
-      return res.status(400).json({ valid: false, message: 'Token required' });
+      return res.status(400).json({ valid: false, message: req.t('Token required') });
     }
     
     const result = await pool.query(
@@ -424,39 +1402,39 @@ app.post('/api/verify-token', async (req, res) => {
     );
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ valid: false, message: 'Invalid token' });
+      return res.status(404).json({ valid: false, message: req.t('Invalid token') });
     }
     
     const tokenData = result.rows[0];
     
     if (tokenData.used) {
-      return res.status(400).json({ valid: false, message: 'Token already used' });
+      return res.status(400).json({ valid: false, message: req.t('Token already used') });
     }
     
     if (new Date() > new Date(tokenData.expires_at)) {
-      return res.status(400).json({ valid: false, message: 'Token expired' });
+      return res.status(400).json({ valid: false, message: req.t('Token expired') });
     }
     
     return res.json({ valid: true, email: tokenData.email });
   } catch (err) {
     console.error('❌ Error verifying token:', err);
-    return res.status(500).json({ valid: false, message: 'Server error' });
+    return res.status(500).json({ valid: false, message: req.t('Server error') });
   }
 });
 
 /**
  * Set new password
  */
-app.post('/api/set-password', async (req, res) => {
+app.post('/api/set-password', passwordTokenRateLimit, async (req, res) => {
   try {
     const { token, password } = req.body;
     
     if (!token || !password) {
-      return res.status(400).json({ success: false, message: 'Token and password required' });
+      return res.status(400).json({ success: false, message: req.t('Token and password required') });
     }
     
     if (password.length < 6) {
-      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+      return res.status(400).json({ success: false, message: req.t('Password must be at least 6 characters') });
     }
     
     // Verify token
@@ -466,17 +1444,17 @@ app.post('/api/set-password', async (req, res) => {
     );
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'Invalid token' });
+      return res.status(404).json({ success: false, message: req.t('Invalid token') });
     }
     
     const tokenData = result.rows[0];
     
     if (tokenData.used) {
-      return res.status(400).json({ success: false, message: 'Token already used' });
+      return res.status(400).json({ success: false, message: req.t('Token already used') });
     }
     
     if (new Date() > new Date(tokenData.expires_at)) {
-      return res.status(400).json({ success: false, message: 'Token expired' });
+      return res.status(400).json({ success: false, message: req.t('Token expired') });
     }
     
     // Update Firebase user password
@@ -487,7 +1465,7 @@ app.post('/api/set-password', async (req, res) => {
         emailVerified: true
       });
     } else {
-      return res.status(500).json({ success: false, message: 'Firebase not configured' });
+      return res.status(500).json({ success: false, message: req.t('Firebase not configured') });
     }
     
     // Mark token as used
@@ -498,10 +1476,255 @@ app.post('/api/set-password', async (req, res) => {
     
     console.log('✅ Password updated for:', tokenData.email);
     
-    return res.json({ success: true, message: 'Password set successfully' });
+    return res.json({ success: true, message: req.t('Password set successfully') });
   } catch (err) {
     console.error('❌ Error setting password:', err);
-    return res.status(500).json({ success: false, message: 'Server error' });
+    return res.status(500).json({ success: false, message: req.t('Server error') });
+  }
+});
+
+/**
+ * Request a privacy action (data export or erasure)
+ * Emails a signed confirmation link; responds the same way whether or not we hold any data
+ */
+const handlePrivacyRequest = (action) => async (req, res) => {
+  try {
+    const email = (req.body && req.body.email ? String(req.body.email) : '').trim().toLowerCase();
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ message: req.t('Enter a valid email.') });
+    }
+
+    const token = createPrivacyToken(action, email);
+    // Export downloads straight from the API; erasure goes via a frontend page that POSTs,
+    // so link scanners that prefetch email URLs can't trigger a deletion
+    const confirmUrl = action === 'export'
+      ? `${DEFAULT_BACKEND_URL}/api/privacy/export/download?token=${token}`
+      : `${DEFAULT_FRONTEND_URL}/privacy/erase?token=${token}`;
+
+    console.log(`🔏 Privacy ${action} requested:`, email);
+    sendPrivacyRequestEmail(pool, resend, resendFrom, email, action, confirmUrl, PRIVACY_LINK_TTL_HOURS, { locale: req.locale }).catch(err => 
+      console.error('❌ Failed to send privacy request email:', err)
+    );
+
+    return res.json({ ok: true, message: req.t('Check your inbox to confirm this request.') });
+  } catch (err) {
+    console.error(`❌ Error handling privacy ${action} request:`, err);
+    return res.status(500).json({ message: req.t('Could not process your request. Try again soon.') });
+  }
+};
+
+app.post('/api/privacy/export', emailLinkRateLimit, handlePrivacyRequest('export'));
+app.post('/api/privacy/erase', emailLinkRateLimit, handlePrivacyRequest('erase'));
+
+/**
+ * Download a data export bundle (confirmed by signed link)
+ */
+app.get('/api/privacy/export/download', async (req, res) => {
+  try {
+    const email = verifyPrivacyToken('export', req.query.token);
+    if (!email) {
+      return res.status(401).json({ message: req.t('This download link is invalid or has expired.') });
+    }
+
+    const bundle = await exportSubjectData(pool, firebaseEnabled ? admin : null, email);
+    const filename = `wurlo-data-export-${new Date().toISOString().slice(0, 10)}.json`;
+
+    console.log('📦 Data export downloaded:', email);
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(JSON.stringify(bundle, null, 2));
+  } catch (err) {
+    console.error('❌ Error exporting personal data:', err);
+    return res.status(500).json({ message: req.t('Could not export your data. Try again soon.') });
+  }
+});
+
+/**
+ * Erase personal data (confirmed by signed link)
+ */
+app.post('/api/privacy/erase/confirm', async (req, res) => {
+  try {
+    const email = verifyPrivacyToken('erase', req.body?.token);
+    if (!email) {
+      return res.status(401).json({ success: false, message: req.t('This confirmation link is invalid or has expired.') });
+    }
+
+    const erased = await eraseSubjectData(pool, { admin: firebaseEnabled ? admin : null, stripe }, email);
+
+    return res.json({ success: true, message: req.t('Your personal data has been deleted.'), erased });
+  } catch (err) {
+    console.error('❌ Error erasing personal data:', err);
+    return res.status(500).json({ success: false, message: req.t('Could not delete your data. Try again soon.') });
+  }
+});
+
+/**
+ * Admin: conversion funnel by first-touch source
+ * Query: group_by=source|medium|campaign|landing_variant, from/to (ISO dates, on first touch)
+ * Stages: waitlist, checkout started, payment completed, password set, onboarding submitted, placement completed
+ */
+app.get('/api/admin/reports/funnel', requireAdmin, async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(String(req.query.from)) : null;
+    const to = req.query.to ? new Date(String(req.query.to)) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return res.status(400).json({ message: 'from and to must be ISO dates (YYYY-MM-DD).' });
+    }
+
+    const report = await getFunnelReport(pool, { groupBy: String(req.query.group_by || 'source'), from, to });
+    if (report.error) {
+      return res.status(400).json({ message: report.error });
+    }
+    return res.json(report);
+  } catch (err) {
+    console.error('❌ Error building funnel report:', err);
+    return res.status(500).json({ message: 'Could not build the funnel report.' });
+  }
+});
+
+/**
+ * Admin: conversion per variant for an experiment
+ * Each metric (waitlist, checkout, payment) counts distinct visitors out of those exposed, with the
+ * relative lift, two-proportion z-test p-value and 95% interval of the rate difference against the control.
+ */
+app.get('/api/admin/experiments/:key/results', requireAdmin, async (req, res) => {
+  try {
+    const results = await getExperimentResults(pool, req.params.key);
+    if (!results) {
+      return res.status(404).json({ message: 'Experiment not found.' });
+    }
+    return res.json(results);
+  } catch (err) {
+    console.error('❌ Error building experiment results:', err);
+    return res.status(500).json({ message: 'Could not build the experiment results.' });
+  }
+});
+
+/**
+ * Admin: email delivery status per recipient
+ * Query: status (latest email's status, e.g. bounced), suppressed=true (suppressed addresses only), limit, offset
+ */
+app.get('/api/admin/email-deliveries', requireAdmin, async (req, res) => {
+  try {
+    const overview = await getDeliveryOverview(pool, {
+      status: req.query.status ? String(req.query.status) : null,
+      suppressed: req.query.suppressed === 'true',
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+    if (overview.error) {
+      return res.status(400).json({ message: overview.error });
+    }
+    return res.json(overview);
+  } catch (err) {
+    console.error('❌ Error loading email deliveries:', err);
+    return res.status(500).json({ message: 'Could not load email deliveries.' });
+  }
+});
+
+/**
+ * Admin: every email sent to one recipient, with its delivery events and any suppression
+ */
+app.get('/api/admin/email-deliveries/:email', requireAdmin, async (req, res) => {
+  try {
+    return res.json(await getRecipientDeliveries(pool, req.params.email));
+  } catch (err) {
+    console.error('❌ Error loading recipient deliveries:', err);
+    return res.status(500).json({ message: 'Could not load deliveries for this recipient.' });
+  }
+});
+
+/**
+ * Admin: lift a suppression so emails to the address are sent again
+ */
+app.delete('/api/admin/email-suppressions/:email', requireAdmin, async (req, res) => {
+  try {
+    const removed = await removeSuppression(pool, req.params.email);
+    if (!removed) {
+      return res.status(404).json({ message: 'This address is not suppressed.' });
+    }
+    return res.json({ message: 'Suppression lifted.' });
+  } catch (err) {
+    console.error('❌ Error lifting email suppression:', err);
+    return res.status(500).json({ message: 'Could not lift this suppression.' });
+  }
+});
+
+/**
+ * Admin: list the email templates available to preview
+ */
+app.get('/api/admin/emails', requireAdmin, (req, res) => {
+  return res.json({ templates: listEmailTemplates() });
+});
+
+/**
+ * Admin: create a short-lived link that opens a template preview in a browser
+ * Takes the same query as the preview endpoint; the returned URL needs no admin key.
+ */
+app.get('/api/admin/emails/:template/preview-link', requireAdmin, (req, res) => {
+  try {
+    const { token, ...query } = req.query;
+    if (!getPreviewVariables(req.params.template)) {
+      return res.status(404).json({ message: 'Email template not found.' });
+    }
+
+    const previewToken = createPreviewToken(req.params.template, query);
+    return res.json({
+      url: `${DEFAULT_BACKEND_URL}/api/admin/emails/${encodeURIComponent(req.params.template)}/preview?token=${previewToken}`,
+      expires_in_minutes: PREVIEW_LINK_TTL_MINUTES,
+    });
+  } catch (err) {
+    console.error('❌ Error creating email preview link:', err);
+    return res.status(500).json({ message: 'Could not create a preview link.' });
+  }
+});
+
+/**
+ * Let a signed preview link stand in for the admin key on the preview endpoint
+ */
+function requireAdminOrPreviewLink(req, res, next) {
+  if (!req.query.token) {
+    return requireAdmin(req, res, next);
+  }
+
+  const query = verifyPreviewToken(req.query.token, req.params.template);
+  if (!query) {
+    return res.status(401).json({ message: 'This preview link is invalid or has expired.' });
+  }
+  req.previewQuery = query;
+  // Keep the token out of the Referer of anything the email links to
+  res.set('Referrer-Policy', 'no-referrer');
+  next();
+}
+
+/**
+ * Admin: render an email template with sample data
+ * API endpoint: send the admin key as a Bearer token, or open a URL from the
+ * preview-link endpoint in a browser (its options are fixed when it's created).
+ * Query: format=html|text|json (default html); locale=es to preview a translation;
+ * any other query parameter overrides the sample variable of the same name.
+ */
+app.get('/api/admin/emails/:template/preview', requireAdminOrPreviewLink, (req, res) => {
+  try {
+    const { format = 'html', locale, token, ...overrides } = req.previewQuery ?? req.query;
+    const variables = getPreviewVariables(req.params.template, overrides);
+    if (!variables) {
+      return res.status(404).json({ message: 'Email template not found.' });
+    }
+
+    const previewLocale = matchLocale(locale) || req.locale;
+    const email = renderEmail(req.params.template, variables, previewLocale);
+    if (format === 'json') {
+      return res.json({ template: req.params.template, locale: previewLocale, ...email });
+    }
+    if (format === 'text') {
+      return res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text}`);
+    }
+    return res.type('html').send(email.html);
+  } catch (err) {
+    console.error('❌ Error rendering email preview:', err);
+    return res.status(500).json({ message: 'Could not render this email.' });
   }
 });
 
@@ -514,6 +1737,23 @@ const server = app.listen(PORT, () => {
   console.log(`   Stripe: ${process.env.STRIPE_SECRET_KEY ? 'enabled' : 'disabled'}\n`);
 });
 
+// Expire unconfirmed waitlist signups, lapsed seat holds, subscription grace periods and rate limit windows hourly
+const expiryTimer = setInterval(() => {
+  rateLimitStore.prune().catch(err => console.error('❌ Rate limit pruning failed:', err));
+  expireUnconfirmedSignups(pool).catch(err => console.error('❌ Waitlist expiry failed:', err));
+  releaseExpiredHolds(pool).catch(err => console.error('❌ Seat hold expiry failed:', err));
+  expireGracePeriods(pool).catch(err => console.error('❌ Subscription grace expiry failed:', err));
+}, 60 * 60 * 1000);
+expiryTimer.unref();
+
+// Retry failed fulfilment steps and alert on orders stuck in a step every 5 minutes
+const fulfilmentTimer = setInterval(() => {
+  resumeFulfilments(pool, paymentDeps)
+    .then(() => alertStuckFulfilments(pool, paymentDeps))
+    .catch(err => console.error('❌ Fulfilment sweep failed:', err));
+}, 5 * 60 * 1000);
+fulfilmentTimer.unref();
+
 // Disable timeouts for long-running requests
 server.timeout = 0;
 server.keepAliveTimeout = 0;
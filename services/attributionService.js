@@ -0,0 +1,178 @@
+/**
+ * Attribution Service
+ *
+ * Captures where visitors came from (UTM parameters, referrer, landing page
+ * variant) on waitlist signups and checkouts, and reports the conversion
+ * funnel by source: waitlist -> checkout started -> payment completed ->
+ * password set -> onboarding submitted -> placement completed.
+ */
+
+export const ATTRIBUTION_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'referrer', 'landing_variant'];
+
+// Fields compared case-insensitively in reports
+const LOWERCASE_FIELDS = new Set(['utm_source', 'utm_medium']);
+
+// Report groupings and the SQL expression each one groups by; visits without UTM tags fall back to the referrer's host
+const FUNNEL_GROUPINGS = {
+  source: "COALESCE(t.utm_source, substring(t.referrer FROM '^https?://(?:www\\.)?([^/:?#]+)'), 'direct')",
+  medium: "COALESCE(t.utm_medium, 'none')",
+  campaign: "COALESCE(t.utm_campaign, 'none')",
+  landing_variant: "COALESCE(t.landing_variant, 'none')",
+};
+
+// Later funnel stages live in app tables the landing database may not have yet
+const OPTIONAL_TABLES = ['password_tokens', 'user_onboarding', 'placement_attempts'];
+
+/**
+ * Read attribution from a request body
+ *
+ * Accepts the fields at the top level or under `attribution`. Referrers must be http(s) URLs.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object|null} Attribution with every field (null when not sent), or null if nothing was sent
+ */
+export function parseAttribution(body) {
+  const input = body?.attribution && typeof body.attribution === 'object' ? body.attribution : body || {};
+  const attribution = {};
+  let found = false;
+
+  for (const field of ATTRIBUTION_FIELDS) {
+    const maxLength = field === 'referrer' ? 500 : 100;
+    let value = String(input[field] ?? '').replace(/[\u0000-\u001F\u007F]/g, '').trim().slice(0, maxLength);
+    if (field === 'referrer' && !/^https?:\/\//i.test(value)) value = '';
+    if (LOWERCASE_FIELDS.has(field)) value = value.toLowerCase();
+
+    attribution[field] = value || null;
+    found = found || Boolean(value);
+  }
+
+  return found ? attribution : null;
+}
+
+/**
+ * Attribution as Stripe session metadata (empty fields left out)
+ *
+ * @param {Object|null} attribution - From parseAttribution
+ * @returns {Object} Metadata entries
+ */
+export function toStripeMetadata(attribution) {
+  if (!attribution) return {};
+  return Object.fromEntries(ATTRIBUTION_FIELDS.filter(field => attribution[field]).map(field => [field, attribution[field]]));
+}
+
+/**
+ * Store the attribution for a checkout session
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} sessionId - Stripe checkout session id
+ * @param {string} email - Buyer email
+ * @param {Object|null} attribution - From parseAttribution
+ * @returns {Promise<void>}
+ */
+export async function recordCheckoutAttribution(pool, sessionId, email, attribution) {
+  if (!attribution) return;
+  await pool.query(
+    `INSERT INTO checkout_attributions (stripe_session_id, email, ${ATTRIBUTION_FIELDS.join(', ')})
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (stripe_session_id) DO NOTHING`,
+    [sessionId, email, ...ATTRIBUTION_FIELDS.map(field => attribution[field])]
+  );
+}
+
+/**
+ * Check which optional funnel tables exist
+ */
+async function existingTables(pool, tables) {
+  const result = await pool.query(
+    'SELECT name FROM unnest($1::text[]) AS name WHERE to_regclass(name) IS NOT NULL',
+    [tables]
+  );
+  return new Set(result.rows.map(row => row.name));
+}
+
+/**
+ * Build the conversion funnel report
+ *
+ * People are grouped by their first touch (earliest waitlist signup or attributed
+ * checkout). Each stage counts people who reached it, whatever order they took.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} [options]
+ * @param {string} [options.groupBy='source'] - 'source', 'medium', 'campaign' or 'landing_variant'
+ * @param {Date|null} [options.from] - Only people first seen on or after this time
+ * @param {Date|null} [options.to] - Only people first seen before this time
+ * @returns {Promise<Object>} { group_by, stages, rows, totals } or { error } for an unknown grouping
+ */
+export async function getFunnelReport(pool, { groupBy = 'source', from = null, to = null } = {}) {
+  const groupExpression = FUNNEL_GROUPINGS[groupBy];
+  if (!groupExpression) {
+    return { error: `group_by must be one of: ${Object.keys(FUNNEL_GROUPINGS).join(', ')}` };
+  }
+
+  const tables = await existingTables(pool, OPTIONAL_TABLES);
+  const passwordSet = tables.has('password_tokens')
+    ? 'EXISTS (SELECT 1 FROM password_tokens pt WHERE pt.email = p.email AND pt.used = true)'
+    : 'FALSE';
+  const onboarded = tables.has('user_onboarding')
+    ? `EXISTS (SELECT 1 FROM user_onboarding uo JOIN fulfilments f ON f.user_id = uo.user_id WHERE f.email = p.email)`
+    : 'FALSE';
+  const placed = tables.has('placement_attempts')
+    ? `EXISTS (SELECT 1 FROM placement_attempts pa JOIN fulfilments f ON f.user_id = pa.user_id
+               WHERE f.email = p.email AND pa.completed = true)`
+    : 'FALSE';
+
+  const result = await pool.query(
+    `WITH touches AS (
+       SELECT LOWER(email) AS email, ${ATTRIBUTION_FIELDS.join(', ')}, joined_at AS touched_at FROM waitlist
+       UNION ALL
+       SELECT LOWER(email), ${ATTRIBUTION_FIELDS.join(', ')}, created_at FROM checkout_attributions
+     ),
+     first_touch AS (
+       SELECT DISTINCT ON (email) * FROM touches ORDER BY email, touched_at ASC
+     ),
+     people AS (
+       SELECT t.email AS email, ${groupExpression} AS group_key
+       FROM first_touch t
+       WHERE ($1::timestamp IS NULL OR t.touched_at >= $1) AND ($2::timestamp IS NULL OR t.touched_at < $2)
+     ),
+     stages AS (
+       SELECT
+         p.group_key,
+         EXISTS (SELECT 1 FROM waitlist w WHERE LOWER(w.email) = p.email) AS waitlist,
+         EXISTS (SELECT 1 FROM seat_reservations r WHERE r.email = p.email AND r.stripe_session_id IS NOT NULL) AS checkout_started,
+         EXISTS (SELECT 1 FROM seat_reservations r WHERE r.email = p.email AND r.status IN ('converted', 'revoked')) AS payment_completed,
+         ${passwordSet} AS password_set,
+         ${onboarded} AS onboarding_submitted,
+         ${placed} AS placement_completed
+       FROM people p
+     )
+     SELECT group_key,
+       COUNT(*) AS people,
+       COUNT(*) FILTER (WHERE waitlist) AS waitlist,
+       COUNT(*) FILTER (WHERE checkout_started) AS checkout_started,
+       COUNT(*) FILTER (WHERE payment_completed) AS payment_completed,
+       COUNT(*) FILTER (WHERE password_set) AS password_set,
+       COUNT(*) FILTER (WHERE onboarding_submitted) AS onboarding_submitted,
+       COUNT(*) FILTER (WHERE placement_completed) AS placement_completed
+     FROM stages
+     GROUP BY group_key
+     ORDER BY people DESC, group_key ASC`,
+    [from, to]
+  );
+
+  const stages = ['waitlist', 'checkout_started', 'payment_completed', 'password_set', 'onboarding_submitted', 'placement_completed'];
+  const toCounts = row => Object.fromEntries(['people', ...stages].map(key => [key, parseInt(row[key], 10) || 0]));
+  const withRate = counts => ({
+    ...counts,
+    // Share of everyone in the group who paid
+    conversion_rate: counts.people > 0 ? Math.round((counts.payment_completed / counts.people) * 1000) / 10 : 0,
+  });
+
+  const rows = result.rows.map(row => ({ [groupBy]: row.group_key, ...withRate(toCounts(row)) }));
+  const totals = withRate(rows.reduce((sum, row) => {
+    for (const key of ['people', ...stages]) sum[key] += row[key];
+    return sum;
+  }, toCounts({})));
+
+  return { group_by: groupBy, stages, rows, totals };
+}
@@ -0,0 +1,319 @@
+/**
+ * Email Delivery Service
+ *
+ * Tracks what happens to the emails we send. Every send is logged with its
+ * Resend message id; Resend's webhook (signed with Svix) then reports delivery,
+ * delays, bounces and complaints against that id. Hard bounces and complaints
+ * put the address on the suppression list, which sendTemplateEmail checks so we
+ * stop mailing addresses that can't or don't want to receive our email.
+ */
+
+import crypto from 'crypto';
+import { keyedHash } from '../utils/signedTokens.js';
+
+// Svix rejects deliveries signed more than five minutes away from our clock
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Resend event type -> send status
+const EVENT_STATUSES = {
+  'email.sent': 'sent',
+  'email.delivery_delayed': 'delivery_delayed',
+  'email.delivered': 'delivered',
+  'email.bounced': 'bounced',
+  'email.failed': 'failed',
+  'email.complained': 'complained',
+};
+
+// Events can arrive out of order; a send's status only ever moves forward through this list
+const STATUS_ORDER = ['sent', 'delivery_delayed', 'delivered', 'failed', 'bounced', 'complained'];
+
+export const SEND_STATUSES = [...STATUS_ORDER, 'suppressed'];
+
+function normalizeEmail(email) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+/**
+ * Hash an address for the suppression list
+ *
+ * Erasure replaces a suppressed address with this hash, so the entry keeps
+ * blocking sends to it without storing the address itself.
+ *
+ * @param {string} email - Recipient email
+ * @returns {string} Keyed hash of the normalised address
+ */
+export function hashSuppressedEmail(email) {
+  return keyedHash(normalizeEmail(email));
+}
+
+/**
+ * Verify a Resend webhook and parse its event
+ *
+ * Resend signs webhooks with Svix: an HMAC-SHA256 of `${svix-id}.${svix-timestamp}.${body}`
+ * keyed with the base64 part of the whsec_ secret, sent as space-separated `v1,<signature>` pairs.
+ *
+ * @param {Buffer|string} rawBody - Unparsed request body
+ * @param {Object} headers - Request headers
+ * @param {string} secret - Webhook signing secret (whsec_...)
+ * @returns {{ id: string, event: Object }} Webhook message id and the parsed event
+ * @throws {Error} If the headers are missing, the timestamp is stale or no signature matches
+ */
+export function constructResendEvent(rawBody, headers, secret) {
+  const id = headers['svix-id'];
+  const timestamp = headers['svix-timestamp'];
+  const signatures = headers['svix-signature'];
+  if (!id || !timestamp || !signatures) {
+    throw new Error('Missing webhook signature headers');
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook timestamp is outside the allowed tolerance');
+  }
+
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody ?? '');
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${payload}`).digest();
+
+  const matched = String(signatures).split(' ').some(entry => {
+    const [version, signature] = entry.split(',');
+    if (version !== 'v1' || !signature) return false;
+    const actual = Buffer.from(signature, 'base64');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+  if (!matched) {
+    throw new Error('No matching webhook signature');
+  }
+
+  return { id, event: JSON.parse(payload) };
+}
+
+/**
+ * Get the suppression entry for an address (including one kept after erasure)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Recipient email
+ * @returns {Promise<Object|null>} { email, reason, detail, created_at }, or null if we can send to it
+ */
+export async function getSuppression(pool, email) {
+  const address = normalizeEmail(email);
+  const result = await pool.query(
+    `SELECT email, reason, detail, created_at FROM email_suppressions
+     WHERE email = $1 OR email_hash = $2
+     ORDER BY (email = $1) DESC
+     LIMIT 1`,
+    [address, hashSuppressedEmail(address)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Lift a suppression (e.g. once the recipient has fixed their mailbox)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Recipient email
+ * @returns {Promise<boolean>} True if the address was suppressed
+ */
+export async function removeSuppression(pool, email) {
+  const address = normalizeEmail(email);
+  const result = await pool.query(
+    'DELETE FROM email_suppressions WHERE email = $1 OR email_hash = $2',
+    [address, hashSuppressedEmail(address)]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Log an email send
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} send
+ * @param {string} send.email - Recipient email
+ * @param {string} send.template - Template name
+ * @param {string|null} [send.messageId] - Resend email id
+ * @param {string} [send.status='sent'] - 'sent', 'failed' or 'suppressed'
+ * @param {string|null} [send.error] - Why the send failed or was skipped
+ * @returns {Promise<void>}
+ */
+export async function logEmailSend(pool, { email, template, messageId = null, status = 'sent', error = null }) {
+  await pool.query(
+    `INSERT INTO email_sends (email, template, provider_message_id, status, last_error)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (provider_message_id) WHERE provider_message_id IS NOT NULL DO NOTHING`,
+    [normalizeEmail(email), template, messageId, status, error]
+  );
+}
+
+/**
+ * Describe why a bounce or complaint happened, for the suppression list
+ */
+function describeEvent(event) {
+  const bounce = event.data?.bounce;
+  if (bounce) {
+    return [bounce.type, bounce.subType, bounce.message].filter(Boolean).join(' - ') || null;
+  }
+  return event.type === 'email.complained' ? 'Marked as spam by the recipient' : null;
+}
+
+/**
+ * Record a verified Resend webhook event
+ *
+ * Updates the matching send's status and suppresses the recipients of hard bounces
+ * and complaints. Re-deliveries of an event already recorded are ignored.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} webhookId - Webhook message id (svix-id header)
+ * @param {Object} event - Resend event ({ type, created_at, data: { email_id, to, ... } })
+ * @returns {Promise<Object>} { status: 'processed' } or { status: 'duplicate' }
+ */
+export async function recordResendEvent(pool, webhookId, event) {
+  const messageId = event.data?.email_id || null;
+  const recipients = [].concat(event.data?.to ?? []).map(normalizeEmail).filter(Boolean);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const inserted = await client.query(
+      `INSERT INTO email_events (id, type, provider_message_id, email, payload)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (id) DO NOTHING RETURNING id`,
+      [webhookId, event.type, messageId, recipients[0] || null, JSON.stringify(event)]
+    );
+    if (inserted.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return { status: 'duplicate' };
+    }
+
+    const status = EVENT_STATUSES[event.type];
+    if (status && messageId) {
+      await client.query(
+        `UPDATE email_sends
+         SET status = $2::text, updated_at = CURRENT_TIMESTAMP,
+             delivered_at = CASE WHEN $2::text = 'delivered' THEN COALESCE(delivered_at, CURRENT_TIMESTAMP) ELSE delivered_at END,
+             last_error = COALESCE($4, last_error)
+         WHERE provider_message_id = $1
+           AND array_position($3::text[], status::text) <= array_position($3::text[], $2::text)`,
+        [messageId, status, STATUS_ORDER, describeEvent(event)]
+      );
+    }
+
+    // Soft bounces (full mailbox, greylisting) may succeed later, so only permanent ones suppress
+    const suppress = event.type === 'email.complained'
+      || (event.type === 'email.bounced' && event.data?.bounce?.type !== 'Transient');
+    if (suppress) {
+      const reason = event.type === 'email.complained' ? 'complained' : 'bounced';
+      for (const email of recipients) {
+        await client.query(
+          `INSERT INTO email_suppressions (email, reason, detail, provider_message_id)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (email) DO NOTHING`,
+          [email, reason, describeEvent(event), messageId]
+        );
+      }
+      console.warn(`🚫 Suppressed ${recipients.join(', ')} after ${event.type}`);
+    }
+
+    await client.query('COMMIT');
+    return { status: 'processed' };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delivery status per recipient (admin view)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} [options]
+ * @param {string|null} [options.status] - Only recipients whose latest email has this status
+ * @param {boolean} [options.suppressed=false] - Only suppressed recipients
+ * @param {number} [options.limit=100] - Most recipients to return (max 500)
+ * @param {number} [options.offset=0] - Recipients to skip
+ * @returns {Promise<Object>} { recipients, totals } or { error } for an unknown status
+ */
+export async function getDeliveryOverview(pool, { status = null, suppressed = false, limit = 100, offset = 0 } = {}) {
+  if (status && !SEND_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${SEND_STATUSES.join(', ')}` };
+  }
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+  const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const recipients = await pool.query(
+    `WITH per_recipient AS (
+       SELECT s.email,
+              COUNT(*)::int AS sends,
+              COUNT(*) FILTER (WHERE s.status = 'delivered')::int AS delivered,
+              COUNT(*) FILTER (WHERE s.status IN ('bounced', 'complained', 'failed'))::int AS problems,
+              (array_agg(s.status ORDER BY s.created_at DESC, s.id DESC))[1] AS last_status,
+              (array_agg(s.template ORDER BY s.created_at DESC, s.id DESC))[1] AS last_template,
+              MAX(s.created_at) AS last_sent_at
+       FROM email_sends s
+       GROUP BY s.email
+     )
+     SELECT r.*, sup.reason AS suppression_reason, sup.created_at AS suppressed_at
+     FROM per_recipient r
+     LEFT JOIN email_suppressions sup ON sup.email = r.email
+     WHERE ($1::text IS NULL OR r.last_status = $1) AND (NOT $2 OR sup.email IS NOT NULL)
+     ORDER BY r.last_sent_at DESC
+     LIMIT $3 OFFSET $4`,
+    [status, suppressed, pageSize, skip]
+  );
+
+  const totals = await pool.query(
+    `SELECT status, COUNT(*)::int AS count FROM email_sends GROUP BY status ORDER BY status`
+  );
+  const suppressions = await pool.query('SELECT COUNT(*)::int AS count FROM email_suppressions');
+
+  return {
+    recipients: recipients.rows,
+    totals: {
+      ...Object.fromEntries(totals.rows.map(row => [row.status, row.count])),
+      suppressed_addresses: suppressions.rows[0].count,
+    },
+    limit: pageSize,
+    offset: skip,
+  };
+}
+
+/**
+ * Every email sent to one recipient, with its webhook events (admin view)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Recipient email
+ * @returns {Promise<Object>} { email, suppression, sends }
+ */
+export async function getRecipientDeliveries(pool, email) {
+  const address = normalizeEmail(email);
+  const sends = await pool.query(
+    `SELECT id, template, provider_message_id, status, last_error, created_at, updated_at, delivered_at
+     FROM email_sends WHERE email = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT 100`,
+    [address]
+  );
+
+  const messageIds = sends.rows.map(send => send.provider_message_id).filter(Boolean);
+  const events = messageIds.length
+    ? await pool.query(
+      `SELECT provider_message_id, type, received_at FROM email_events
+       WHERE provider_message_id = ANY($1)
+       ORDER BY received_at ASC`,
+      [messageIds]
+    )
+    : { rows: [] };
+
+  return {
+    email: address,
+    suppression: await getSuppression(pool, address),
+    sends: sends.rows.map(send => ({
+      ...send,
+      events: events.rows
+        .filter(event => event.provider_message_id === send.provider_message_id)
+        .map(({ type, received_at }) => ({ type, received_at })),
+    })),
+  };
+}
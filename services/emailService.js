@@ -1,214 +1,392 @@
 /**
  * Email Service
- * 
+ *
  * Centralized email sending functionality using Resend.
- * Handles welcome emails, password setup, and waitlist confirmations.
+ * Emails are named templates (services/emailTemplates.js) rendered into a shared
+ * layout; sendTemplateEmail sends any of them. The send* helpers below keep the
+ * call sites readable for the existing emails. Every send takes an optional
+ * locale; templates without a translation go out in English.
+ *
+ * Every send takes the database pool first: the send is logged with its Resend
+ * message id and addresses on the suppression list (hard bounces, complaints)
+ * are skipped - see services/emailDeliveryService.js.
  */
 
+import { EMAIL_TEMPLATES } from './emailTemplates.js';
+import { renderTemplate } from '../utils/templateEngine.js';
+import { DEFAULT_LOCALE, getEmailTranslation, getLayoutStrings } from '../utils/i18n.js';
+import { getSuppression, logEmailSend } from './emailDeliveryService.js';
+import { createSignedToken, verifySignedToken } from '../utils/signedTokens.js';
+
 /**
- * Send welcome email to new users
- * 
+ * Minutes a signed preview link stays valid
+ */
+export const PREVIEW_LINK_TTL_MINUTES = 15;
+
+const PREVIEW_TOKEN_PURPOSE = 'email_preview';
+
+/**
+ * Log a send without ever failing it: a broken log mustn't stop the email
+ */
+function recordSend(pool, send) {
+  if (!pool) return Promise.resolve();
+  return logEmailSend(pool, send).catch(err =>
+    console.error('❌ Could not log email send:', err.message)
+  );
+}
+
+/**
+ * Suppression entry for a recipient; a failed lookup lets the email through
+ */
+async function findSuppression(pool, email) {
+  if (!pool) return null;
+  try {
+    return await getSuppression(pool, email);
+  } catch (err) {
+    console.error('❌ Could not check the email suppression list:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Render a named email template
+ *
+ * @param {string} templateName - Key in EMAIL_TEMPLATES
+ * @param {Object} [variables] - Template variables
+ * @param {string} [locale='en-GB'] - Locale to render in
+ * @returns {{ subject: string, html: string, text: string }} Rendered email
+ * @throws {Error} If the template doesn't exist
+ */
+export function renderEmail(templateName, variables = {}, locale = DEFAULT_LOCALE) {
+  const template = EMAIL_TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  // Translated fields replace the English ones; anything untranslated stays English
+  const translation = getEmailTranslation(locale, templateName);
+  const localised = {
+    ...template,
+    ...translation,
+    defaults: { ...template.defaults, ...translation.defaults },
+  };
+  return renderTemplate(localised, variables, getLayoutStrings(locale));
+}
+
+/**
+ * List the available email templates (for the admin preview)
+ *
+ * @returns {Array<{ name: string, description: string }>} Templates
+ */
+export function listEmailTemplates() {
+  return Object.entries(EMAIL_TEMPLATES).map(([name, template]) => ({ name, description: template.description }));
+}
+
+/**
+ * Sample variables for previewing a template, overridden by any given values
+ *
+ * @param {string} templateName - Key in EMAIL_TEMPLATES
+ * @param {Object} [overrides] - Values to use instead of the samples
+ * @returns {Object|null} Variables, or null if the template doesn't exist
+ */
+export function getPreviewVariables(templateName, overrides = {}) {
+  const template = EMAIL_TEMPLATES[templateName];
+  return template ? { ...template.sample, ...overrides } : null;
+}
+
+/**
+ * Create a signed token that lets a browser open one template preview without the admin key
+ *
+ * The preview options are signed into the token, so the link can't be edited to render
+ * other variables.
+ *
+ * @param {string} templateName - Key in EMAIL_TEMPLATES
+ * @param {Object} [query] - Preview query (format, locale and variable overrides)
+ * @returns {string} Signed token
+ */
+export function createPreviewToken(templateName, query = {}) {
+  return createSignedToken(PREVIEW_TOKEN_PURPOSE, { template: templateName, query }, PREVIEW_LINK_TTL_MINUTES * 60);
+}
+
+/**
+ * Resolve the preview options a token was issued for
+ *
+ * @param {string} token - Token from the preview link
+ * @param {string} templateName - Template being previewed
+ * @returns {Object|null} Preview query, or null if the token is invalid, expired or for another template
+ */
+export function verifyPreviewToken(token, templateName) {
+  const payload = verifySignedToken(token, PREVIEW_TOKEN_PURPOSE);
+  if (!payload || payload.template !== templateName) return null;
+  return payload.query || {};
+}
+
+/**
+ * Send a named email template
+ *
+ * @param {Object|null} pool - PostgreSQL pool for the send log and suppression list (null skips both)
  * @param {Object} resend - Resend client instance
  * @param {string} resendFrom - Sender email address
  * @param {string} email - Recipient email
+ * @param {string} templateName - Key in EMAIL_TEMPLATES
+ * @param {Object} [variables] - Template variables
+ * @param {Object} [options]
+ * @param {Array} [options.attachments] - Attachments ({ filename, content })
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
+ * @returns {Promise<Object>} { status: 'sent', messageId }, { status: 'suppressed', reason } or { status: 'not_configured' }
+ *   when Resend isn't set up - callers that must deliver should treat not_configured as a failure
+ * @throws {Error} If Resend throws or rejects the email (callers that mustn't block should catch)
+ *
+ * @example
+ * await sendTemplateEmail(pool, resend, resendFrom, email, 'waitlist-status-link', { statusUrl });
  */
-export async function sendWelcomeEmail(resend, resendFrom, email) {
+export async function sendTemplateEmail(pool, resend, resendFrom, email, templateName, variables = {}, { attachments, locale } = {}) {
+  // Render first so a broken template fails loudly even without Resend
+  const { subject, html, text } = renderEmail(templateName, variables, locale);
+
+  const suppression = await findSuppression(pool, email);
+  if (suppression) {
+    console.warn(`🚫 Not sending ${templateName} email to suppressed address (${suppression.reason}):`, email);
+    await recordSend(pool, { email, template: templateName, status: 'suppressed', error: `Suppressed: ${suppression.reason}` });
+    return { status: 'suppressed', reason: suppression.reason };
+  }
+
   if (!resend) {
-    console.error('❌ Cannot send welcome email - Resend not configured');
-    return;
+    console.error(`❌ Cannot send ${templateName} email - Resend not configured`);
+    await recordSend(pool, { email, template: templateName, status: 'failed', error: 'Resend not configured' });
+    return { status: 'not_configured' };
   }
-  
+
   try {
     const result = await resend.emails.send({
       from: resendFrom,
       to: email,
-      subject: 'Welcome to Wurlo - Your Lifetime Access is Active! 🎉',
-      html: `
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1">
-          </head>
-          <body style="margin:0;padding:0;background:#f8fafc;font-family:'Inter','Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
-            <div style="max-width:600px;margin:40px auto;background:#ffffff;border-radius:24px;overflow:hidden;box-shadow:0 20px 45px rgba(79,70,229,0.15);">
-              <div style="background:linear-gradient(135deg, #4F46E5, #06B6D4);padding:32px 40px;color:#fff;">
-                <h1 style="margin:0;font-size:28px;font-weight:700;">Welcome to Wurlo! 🎉</h1>
-                <p style="margin:12px 0 0;font-size:16px;line-height:1.6;">Your lifetime access is now active.</p>
-              </div>
-              <div style="padding:32px 40px;">
-                <h2 style="margin:0 0 16px;font-size:20px;font-weight:700;color:#1f2937;">Thank you for your purchase!</h2>
-                <p style="margin:0 0 16px;font-size:15px;line-height:1.7;color:#1f2937;">
-                  You now have lifetime access to Wurlo's adaptive learning platform. We'll send you early access before our December 2025 launch.
-                </p>
-                <div style="background:#f1f5f9;border-radius:12px;padding:20px;margin:24px 0;">
-                  <h3 style="margin:0 0 12px;font-size:16px;font-weight:700;color:#1f2937;">What's next?</h3>
-                  <ul style="margin:0;padding:0 0 0 20px;color:#475569;font-size:14px;line-height:1.6;">
-                    <li style="margin-bottom:8px;">Check your inbox for a password setup email</li>
-                    <li style="margin-bottom:8px;">You'll get early access before December 2025</li>
-                    <li style="margin-bottom:8px;">Start learning with AI-powered adaptive courses</li>
-                  </ul>
-                </div>
-                <p style="margin:24px 0 0;font-size:14px;line-height:1.6;color:#475569;">
-                  Questions? Just reply to this email and we'll help.
-                </p>
-              </div>
-              <div style="padding:20px 40px;background:#f1f5f9;font-size:12px;line-height:1.6;color:#475569;text-align:center;">
-                © ${new Date().getFullYear()} Wurlo. Smarter paths, faster progress.
-              </div>
-            </div>
-          </body>
-        </html>
-      `,
-      text: `Welcome to Wurlo! 🎉\n\nYour lifetime access is now active.\n\nThank you for your purchase! You now have lifetime access to Wurlo's adaptive learning platform. We'll send you early access before our December 2025 launch.\n\nWhat's next?\n• Check your inbox for a password setup email\n• You'll get early access before December 2025\n• Start learning with AI-powered adaptive courses\n\nQuestions? Just reply to this email and we'll help.\n\n— The Wurlo Team`
+      subject,
+      ...(attachments?.length ? { attachments } : {}),
+      html,
+      text,
     });
-    console.log('✅ Welcome email sent to:', email);
-    return result;
+    // Resend reports API errors in the response rather than throwing; throw so callers can retry
+    if (result?.error) {
+      throw new Error(`Resend rejected the email: ${result.error.message}`);
+    }
+    const messageId = result?.data?.id ?? null;
+    console.log(`✅ ${templateName} email sent to:`, email);
+    await recordSend(pool, { email, template: templateName, messageId });
+    return { status: 'sent', messageId };
   } catch (err) {
-    console.error('❌ Error sending welcome email:', err.message);
+    console.error(`❌ Error sending ${templateName} email:`, err.message);
+    await recordSend(pool, { email, template: templateName, status: 'failed', error: err.message });
     throw err;
   }
 }
 
+/**
+ * Send welcome email to new users
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} resend - Resend client instance
+ * @param {string} resendFrom - Sender email address
+ * @param {string} email - Recipient email
+ * @param {Object} [purchase] - Purchase details
+ * @param {string} [purchase.offerName] - Name of the purchased offer
+ * @param {Object} [purchase.receipt] - PDF receipt to attach ({ filename, content })
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
+ */
+export async function sendWelcomeEmail(pool, resend, resendFrom, email, purchase = {}, { locale } = {}) {
+  return sendTemplateEmail(pool, resend, resendFrom, email, 'welcome',
+    { offerName: purchase.offerName },
+    { attachments: purchase.receipt ? [purchase.receipt] : [], locale }
+  );
+}
+
+/**
+ * Send waitlist opt-in email asking the contact to confirm their address
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} resend - Resend client instance
+ * @param {string} resendFrom - Sender email address
+ * @param {string} email - Recipient email
+ * @param {string} confirmUrl - Signed confirmation link
+ * @param {number} expiresInHours - Hours until the link expires
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
+ */
+export async function sendWaitlistOptInEmail(pool, resend, resendFrom, email, confirmUrl, expiresInHours, { locale } = {}) {
+  return sendTemplateEmail(pool, resend, resendFrom, email, 'waitlist-opt-in', { confirmUrl, expiresInHours }, { locale });
+}
+
 /**
  * Send waitlist confirmation email
- * 
+ *
+ * @param {Object} pool - PostgreSQL pool instance
  * @param {Object} resend - Resend client instance
  * @param {string} resendFrom - Sender email address
  * @param {string} email - Recipient email
+ * @param {Object} [referral] - Referral details to include
+ * @param {string} [referral.shareUrl] - Contact's personal share link
+ * @param {number} [referral.position] - Contact's current queue position
+ * @param {string} [referral.statusUrl] - Signed link to check queue status later
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
  */
-export async function sendWaitlistConfirmationEmail(resend, resendFrom, email) {
-  if (!resend) {
-    console.error('❌ Cannot send waitlist email - Resend not configured');
-    return;
-  }
-  
-  try {
-    const result = await resend.emails.send({
-      from: resendFrom,
-      to: email,
-      subject: "You're on the Wurlo Waitlist! 🚀",
-      html: `
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1">
-          </head>
-          <body style="margin:0;padding:0;background:#f8fafc;font-family:'Inter','Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
-            <div style="max-width:600px;margin:40px auto;background:#ffffff;border-radius:24px;overflow:hidden;box-shadow:0 20px 45px rgba(79,70,229,0.15);">
-              <div style="background:linear-gradient(135deg, #4F46E5, #06B6D4);padding:32px 40px;color:#fff;">
-                <h1 style="margin:0;font-size:28px;font-weight:700;">You're on the list! 🎉</h1>
-                <p style="margin:12px 0 0;font-size:16px;line-height:1.6;">Thanks for joining the Wurlo waitlist.</p>
-              </div>
-              <div style="padding:32px 40px;">
-                <p style="margin:0 0 16px;font-size:15px;line-height:1.7;color:#1f2937;">
-                  We're excited to have you! You'll be among the first to know when Wurlo launches in December 2025.
-                </p>
-                <div style="background:#f1f5f9;border-radius:12px;padding:20px;margin:24px 0;">
-                  <h3 style="margin:0 0 12px;font-size:16px;font-weight:700;color:#1f2937;">What's Wurlo?</h3>
-                  <ul style="margin:0;padding:0 0 0 20px;color:#475569;font-size:14px;line-height:1.6;">
-                    <li style="margin-bottom:8px;">AI-powered adaptive learning platform</li>
-                    <li style="margin-bottom:8px;">Personalized courses that adapt to your pace</li>
-                    <li style="margin-bottom:8px;">Smart placement tests to start at the right level</li>
-                  </ul>
-                </div>
-                <div style="background:#dbeafe;border-left:4px solid #3b82f6;padding:16px;margin:24px 0;border-radius:8px;">
-                  <p style="margin:0;font-size:14px;color:#1e40af;line-height:1.6;">
-                    <strong>Limited Founder Offer:</strong> Get lifetime access for a one-time payment before launch. Early supporters get the best deal!
-                  </p>
-                </div>
-                <p style="margin:24px 0 0;font-size:14px;line-height:1.6;color:#475569;">
-                  Stay tuned for updates. We'll keep you posted on our progress!
-                </p>
-              </div>
-              <div style="padding:20px 40px;background:#f1f5f9;font-size:12px;line-height:1.6;color:#475569;text-align:center;">
-                © ${new Date().getFullYear()} Wurlo. Smarter paths, faster progress.
-              </div>
-            </div>
-          </body>
-        </html>
-      `,
-      text: `You're on the list! 🎉\n\nThanks for joining the Wurlo waitlist.\n\nWe're excited to have you! You'll be among the first to know when Wurlo launches in December 2025.\n\nWhat's Wurlo?\n• AI-powered adaptive learning platform\n• Personalized courses that adapt to your pace\n• Smart placement tests to start at the right level\n\nLimited Founder Offer: Get lifetime access for a one-time payment before launch. Early supporters get the best deal!\n\nStay tuned for updates. We'll keep you posted on our progress!\n\n— The Wurlo Team`
-    });
-    console.log('✅ Waitlist confirmation sent to:', email);
-    return result;
-  } catch (err) {
-    console.error('❌ Error sending waitlist email:', err.message);
-    throw err;
-  }
+export async function sendWaitlistConfirmationEmail(pool, resend, resendFrom, email, referral = {}, { locale } = {}) {
+  const { shareUrl, position, statusUrl } = referral;
+  return sendTemplateEmail(pool, resend, resendFrom, email, 'waitlist-confirmed', { shareUrl, position, statusUrl }, { locale });
+}
+
+/**
+ * Send a signed link to the contact's waitlist status page
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} resend - Resend client instance
+ * @param {string} resendFrom - Sender email address
+ * @param {string} email - Recipient email
+ * @param {string} statusUrl - Signed status link
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
+ */
+export async function sendWaitlistStatusLinkEmail(pool, resend, resendFrom, email, statusUrl, { locale } = {}) {
+  return sendTemplateEmail(pool, resend, resendFrom, email, 'waitlist-status-link', { statusUrl }, { locale });
 }
 
 /**
  * Send password setup email with reset token
- * 
+ *
+ * @param {Object} pool - PostgreSQL pool instance
  * @param {Object} resend - Resend client instance
  * @param {string} resendFrom - Sender email address
  * @param {string} email - Recipient email
  * @param {string} setupToken - Password reset token
  * @param {string} frontendUrl - Frontend base URL
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
  */
-export async function sendPasswordSetupEmail(resend, resendFrom, email, setupToken, frontendUrl) {
+export async function sendPasswordSetupEmail(pool, resend, resendFrom, email, setupToken, frontendUrl, { locale } = {}) {
   const setupUrl = `${frontendUrl}/setup-password?token=${setupToken}`;
-  
+
   console.log('🔐 Password setup URL:', setupUrl);
-  
+
   if (!resend) {
-    console.error('❌ Cannot send password setup email - Resend not configured');
     console.warn('   Setup link (for manual sharing):', setupUrl);
+  }
+  return sendTemplateEmail(pool, resend, resendFrom, email, 'password-setup', { setupUrl }, { locale });
+}
+
+/**
+ * Send privacy request confirmation email (data export or erasure)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} resend - Resend client instance
+ * @param {string} resendFrom - Sender email address
+ * @param {string} email - Recipient email
+ * @param {'export'|'erase'} action - Requested action
+ * @param {string} confirmUrl - Signed confirmation link
+ * @param {number} expiresInHours - Hours until the link expires
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
+ */
+export async function sendPrivacyRequestEmail(pool, resend, resendFrom, email, action, confirmUrl, expiresInHours, { locale } = {}) {
+  const templateName = action === 'erase' ? 'privacy-erase' : 'privacy-export';
+  return sendTemplateEmail(pool, resend, resendFrom, email, templateName, {
+    confirmUrl,
+    expiresInHours,
+    plural: expiresInHours !== 1,
+  }, { locale });
+}
+
+/**
+ * Send a notice that a refund or dispute changed the customer's plan
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} resend - Resend client instance
+ * @param {string} resendFrom - Sender email address
+ * @param {string} email - Recipient email
+ * @param {'refunded'|'suspended'|'reinstated'|'revoked'} change - What happened to the plan
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
+ */
+export async function sendPlanAccessEmail(pool, resend, resendFrom, email, change, { locale } = {}) {
+  return sendTemplateEmail(pool, resend, resendFrom, email, `plan-${change}`, {}, { locale });
+}
+
+/**
+ * Send an operational alert to the team (OPS_ALERT_EMAIL)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} resend - Resend client instance
+ * @param {string} resendFrom - Sender email address
+ * @param {string} subject - Alert summary
+ * @param {string[]} lines - Alert details, one item per line
+ */
+export async function sendOpsAlertEmail(pool, resend, resendFrom, subject, lines) {
+  const to = process.env.OPS_ALERT_EMAIL;
+  if (!to) {
+    console.error('❌ Cannot send ops alert - OPS_ALERT_EMAIL not configured:', subject);
     return;
   }
-  
-  try {
-    const result = await resend.emails.send({
-      from: resendFrom,
-      to: email,
-      subject: 'Set Up Your Wurlo Account Password',
-      html: `
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1">
-          </head>
-          <body style="margin:0;padding:0;background:#f8fafc;font-family:'Inter','Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
-            <div style="max-width:600px;margin:40px auto;background:#ffffff;border-radius:24px;overflow:hidden;box-shadow:0 20px 45px rgba(79,70,229,0.15);">
-              <div style="background:linear-gradient(135deg, #4F46E5, #06B6D4);padding:32px 40px;color:#fff;">
-                <h1 style="margin:0;font-size:28px;font-weight:700;">Set Up Your Password 🔐</h1>
-                <p style="margin:12px 0 0;font-size:16px;line-height:1.6;">Complete your Wurlo account setup.</p>
-              </div>
-              <div style="padding:32px 40px;">
-                <p style="margin:0 0 24px;font-size:15px;line-height:1.7;color:#1f2937;">
-                  You're almost ready to start your learning journey! Click the button below to set up your password and access your account.
-                </p>
-                <div style="text-align:center;margin:32px 0;">
-                  <a href="${setupUrl}" style="display:inline-block;background:linear-gradient(135deg, #4F46E5, #06B6D4);color:#ffffff;padding:16px 32px;border-radius:12px;text-decoration:none;font-weight:700;font-size:16px;">
-                    Set Up Password
-                  </a>
-                </div>
-                <p style="margin:24px 0 0;font-size:13px;line-height:1.6;color:#64748b;">
-                  If the button doesn't work, copy and paste this link into your browser:<br>
-                  <a href="${setupUrl}" style="color:#4F46E5;word-break:break-all;">${setupUrl}</a>
-                </p>
-                <div style="background:#fef3c7;border-left:4px solid #f59e0b;padding:16px;margin:24px 0;border-radius:8px;">
-                  <p style="margin:0;font-size:14px;color:#92400e;line-height:1.6;">
-                    <strong>Security note:</strong> This link will expire in 24 hours. If you didn't request this, please ignore this email.
-                  </p>
-                </div>
-              </div>
-              <div style="padding:20px 40px;background:#f1f5f9;font-size:12px;line-height:1.6;color:#475569;text-align:center;">
-                © ${new Date().getFullYear()} Wurlo. Smarter paths, faster progress.
-              </div>
-            </div>
-          </body>
-        </html>
-      `,
-      text: `Set Up Your Wurlo Password\n\nYou're almost ready to start your learning journey! Click the link below to set up your password and access your account.\n\n${setupUrl}\n\nSecurity note: This link will expire in 24 hours. If you didn't request this, please ignore this email.\n\n— The Wurlo Team`
-    });
-    console.log('✅ Password setup email sent to:', email);
-    return result;
-  } catch (err) {
-    console.error('❌ Error sending password setup email:', err.message);
-    throw err;
+  return sendTemplateEmail(pool, resend, resendFrom, to, 'ops-alert', { subject, lines });
+}
+
+/**
+ * Send a gift redemption code to its recipient
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} resend - Resend client instance
+ * @param {string} resendFrom - Sender email address
+ * @param {string} email - Recipient email
+ * @param {Object} gift - Gift details
+ * @param {string} gift.code - Redemption code
+ * @param {string|null} gift.message - Personal message from the buyer
+ * @param {string} [gift.offerName] - Name of the gifted offer
+ * @param {string} gift.purchaserEmail - Buyer email
+ * @param {string} gift.redeemUrl - Link that pre-fills the code
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
+ */
+export async function sendGiftEmail(pool, resend, resendFrom, email, gift, { locale } = {}) {
+  if (!resend) {
+    console.warn('   Gift code (for manual sharing):', gift.code);
   }
+  const { code, message, offerName, purchaserEmail, redeemUrl } = gift;
+  return sendTemplateEmail(pool, resend, resendFrom, email, 'gift', { code, message, offerName, purchaserEmail, redeemUrl }, { locale });
+}
+
+/**
+ * Tell an organisation admin their seat licence is paid and ready to assign
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} resend - Resend client instance
+ * @param {string} resendFrom - Sender email address
+ * @param {string} email - Admin email
+ * @param {Object} licence - Licence details
+ * @param {string} licence.organisationName - Organisation name
+ * @param {number} licence.seatCount - Seats bought
+ * @param {string} [licence.offerName] - Name of the offer the seats are for
+ * @param {string} licence.manageUrl - Seat management page
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
+ */
+export async function sendLicenceReadyEmail(pool, resend, resendFrom, email, licence, { locale } = {}) {
+  const { organisationName, seatCount, offerName, manageUrl } = licence;
+  return sendTemplateEmail(pool, resend, resendFrom, email, 'licence-ready', { organisationName, seatCount, offerName, manageUrl }, { locale });
+}
+
+/**
+ * Invite a learner to a seat on their organisation's licence
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} resend - Resend client instance
+ * @param {string} resendFrom - Sender email address
+ * @param {string} email - Learner email
+ * @param {Object} invite - Invitation details
+ * @param {string} invite.organisationName - Organisation name
+ * @param {string} invite.acceptUrl - Link that accepts the seat
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to send in (defaults to en-GB)
+ */
+export async function sendSeatInviteEmail(pool, resend, resendFrom, email, invite, { locale } = {}) {
+  const { organisationName, acceptUrl } = invite;
+  return sendTemplateEmail(pool, resend, resendFrom, email, 'seat-invite', { organisationName, acceptUrl }, { locale });
 }
@@ -0,0 +1,246 @@
+/**
+ * Email Templates
+ *
+ * Every transactional email Wurlo sends, by name. Templates are rendered into
+ * the shared layout by utils/templateEngine.js, which also derives the
+ * plain-text part. To add an email, add a template here and send it with
+ * sendTemplateEmail - no new send function needed.
+ *
+ * Each template has a subject, heading, optional intro line and body, plus
+ * `sample` variables used by the admin preview endpoint.
+ */
+
+// Launch timing shown in emails; unset once launch dates are no longer promised
+const LAUNCH_LABEL = process.env.LAUNCH_LABEL || null;
+
+const PRIVACY_EXPIRY_NOTE = `
+  <p><strong>Security note:</strong> This link will expire in {{expiresInHours}} hour{{#if plural}}s{{/if}}. If you didn't make this request, please ignore this email - nothing will change.</p>`;
+
+export const EMAIL_TEMPLATES = {
+  welcome: {
+    description: 'Sent after a purchase is fulfilled',
+    subject: 'Welcome to Wurlo - Your {{offerName}} is Active! 🎉',
+    heading: 'Welcome to Wurlo! 🎉',
+    intro: 'Your {{offerName}} is now active.',
+    body: `
+      <h2>Thank you for your purchase!</h2>
+      <p>You now have {{offerName}} to Wurlo's adaptive learning platform. We'll send you early access before our {{#if launchLabel}}{{launchLabel}} {{/if}}launch.</p>
+      <div class="panel">
+        <h3>What's next?</h3>
+        <ul>
+          <li>Check your inbox for a password setup email</li>
+          <li>You'll get early access {{#if launchLabel}}before {{launchLabel}}{{else}}before launch{{/if}}</li>
+          <li>Start learning with AI-powered adaptive courses</li>
+        </ul>
+      </div>
+      <p class="muted">Questions? Just reply to this email and we'll help.</p>`,
+    defaults: { offerName: 'Lifetime Access', launchLabel: LAUNCH_LABEL },
+    sample: { offerName: 'Founder Lifetime Access' },
+  },
+
+  'waitlist-opt-in': {
+    description: 'Double opt-in link sent on waitlist signup',
+    subject: 'Confirm your spot on the Wurlo waitlist',
+    heading: 'Confirm your email ✉️',
+    intro: "One click and you're on the Wurlo waitlist.",
+    body: `
+      <p>Someone (hopefully you!) asked to join the Wurlo waitlist with this address. Confirm it below to claim your place in the queue.</p>
+      <div class="actions"><a class="button" href="{{confirmUrl}}">Confirm My Spot</a></div>
+      <p class="small">If the button doesn't work, copy and paste this link into your browser:<br><a href="{{confirmUrl}}">{{confirmUrl}}</a></p>
+      <div class="note">
+        <p><strong>Note:</strong> This link expires in {{expiresInHours}} hours. If you didn't sign up, just ignore this email and we won't contact you again.</p>
+      </div>`,
+    sample: { confirmUrl: 'https://wurlo.ai/waitlist/confirm?token=preview', expiresInHours: 48 },
+  },
+
+  'waitlist-confirmed': {
+    description: 'Sent once a waitlist signup is confirmed',
+    subject: "You're on the Wurlo Waitlist! 🚀",
+    heading: "You're on the list! 🎉",
+    intro: 'Thanks for joining the Wurlo waitlist.',
+    body: `
+      <p>We're excited to have you! You'll be among the first to know when Wurlo launches{{#if launchLabel}} in {{launchLabel}}{{/if}}.</p>
+      {{#if position}}<p>You're currently <strong>#{{position}}</strong> in the queue.</p>{{/if}}
+      {{#if shareUrl}}
+      <div class="note-accent">
+        <p><strong>Move up the queue:</strong> every friend who joins with your link bumps you closer to the front.</p>
+        <a href="{{shareUrl}}">{{shareUrl}}</a>
+      </div>
+      {{/if}}
+      {{#if statusUrl}}<p class="muted">Check where you stand anytime: <a href="{{statusUrl}}">view your waitlist status</a>.</p>{{/if}}
+      <div class="panel">
+        <h3>What's Wurlo?</h3>
+        <ul>
+          <li>AI-powered adaptive learning platform</li>
+          <li>Personalized courses that adapt to your pace</li>
+          <li>Smart placement tests to start at the right level</li>
+        </ul>
+      </div>
+      <div class="note-info">
+        <p><strong>Limited Founder Offer:</strong> Get lifetime access for a one-time payment before launch. Early supporters get the best deal!</p>
+      </div>
+      <p class="muted">Stay tuned for updates. We'll keep you posted on our progress!</p>`,
+    defaults: { launchLabel: LAUNCH_LABEL },
+    sample: {
+      position: 42,
+      shareUrl: 'https://wurlo.ai/?ref=PREVIEW1',
+      statusUrl: 'https://wurlo.ai/waitlist/status?token=preview',
+    },
+  },
+
+  'waitlist-status-link': {
+    description: 'Personal link to the waitlist status page',
+    subject: 'Your Wurlo waitlist status',
+    heading: 'Where do you stand? 📍',
+    intro: 'Your personal waitlist status link.',
+    body: `
+      <p>Use the button below to see your queue position, when you joined and how many friends you've referred.</p>
+      <div class="actions"><a class="button" href="{{statusUrl}}">View My Status</a></div>
+      <p class="small">This link is personal to you - please don't share it. If you didn't ask for it, you can ignore this email.</p>`,
+    sample: { statusUrl: 'https://wurlo.ai/waitlist/status?token=preview' },
+  },
+
+  'password-setup': {
+    description: 'Password setup link for a newly created account',
+    subject: 'Set Up Your Wurlo Account Password',
+    heading: 'Set Up Your Password 🔐',
+    intro: 'Complete your Wurlo account setup.',
+    body: `
+      <p>You're almost ready to start your learning journey! Click the button below to set up your password and access your account.</p>
+      <div class="actions"><a class="button" href="{{setupUrl}}">Set Up Password</a></div>
+      <p class="small">If the button doesn't work, copy and paste this link into your browser:<br><a href="{{setupUrl}}">{{setupUrl}}</a></p>
+      <div class="note">
+        <p><strong>Security note:</strong> This link will expire in 24 hours. If you didn't request this, please ignore this email.</p>
+      </div>`,
+    sample: { setupUrl: 'https://wurlo.ai/setup-password?token=preview' },
+  },
+
+  'privacy-export': {
+    description: 'Confirmation link for a personal data export',
+    subject: 'Download your Wurlo data',
+    heading: 'Your data export 📦',
+    intro: 'Please confirm this request.',
+    body: `
+      <p>We received a request for a copy of the personal data Wurlo holds about you. Use the button below to download it as a JSON file.</p>
+      <div class="actions"><a class="button" href="{{confirmUrl}}">Download My Data</a></div>
+      <div class="note">${PRIVACY_EXPIRY_NOTE}
+      </div>`,
+    sample: { confirmUrl: 'https://wurlo.ai/privacy/confirm?token=preview', expiresInHours: 24, plural: true },
+  },
+
+  'privacy-erase': {
+    description: 'Confirmation link for account and data deletion',
+    subject: 'Confirm deletion of your Wurlo data',
+    heading: 'Delete your data 🗑️',
+    intro: 'Please confirm this request.',
+    body: `
+      <p>We received a request to permanently delete your Wurlo account and personal data. This cannot be undone. Payment records are kept for accounting but anonymised.</p>
+      <div class="actions"><a class="button" href="{{confirmUrl}}">Delete My Data</a></div>
+      <div class="note-danger">${PRIVACY_EXPIRY_NOTE}
+      </div>`,
+    sample: { confirmUrl: 'https://wurlo.ai/privacy/confirm?token=preview', expiresInHours: 24, plural: true },
+  },
+
+  'plan-refunded': {
+    description: 'A refund cancelled the customer\'s plan',
+    subject: 'Your Wurlo refund has been processed',
+    heading: 'Refund processed',
+    body: `
+      <p>Your payment has been refunded in full, so your paid plan has been cancelled. Refunds usually reach your account within 5-10 working days. We're sorry to see you go.</p>
+      <p>Questions? Just reply to this email.</p>`,
+    sample: {},
+  },
+
+  'plan-suspended': {
+    description: 'A payment dispute paused the customer\'s plan',
+    subject: 'Your Wurlo plan has been paused',
+    heading: 'Plan paused',
+    body: `
+      <p>Your bank has told us the payment for your Wurlo plan is being disputed, so we've paused your plan while the dispute is reviewed. If you didn't mean to dispute the payment, please contact your bank or reply to this email.</p>
+      <p>Questions? Just reply to this email.</p>`,
+    sample: {},
+  },
+
+  'plan-reinstated': {
+    description: 'A dispute was won and the plan is active again',
+    subject: 'Your Wurlo plan is active again',
+    heading: 'Plan restored 🎉',
+    body: `
+      <p>The payment dispute has been resolved and your Wurlo plan is active again. Thanks for your patience.</p>
+      <p>Questions? Just reply to this email.</p>`,
+    sample: {},
+  },
+
+  'plan-revoked': {
+    description: 'A dispute was lost and the plan is cancelled',
+    subject: 'Your Wurlo plan has been cancelled',
+    heading: 'Plan cancelled',
+    body: `
+      <p>The payment dispute for your Wurlo plan was resolved in favour of a refund, so your paid plan has been cancelled. You are welcome to purchase again at any time.</p>
+      <p>Questions? Just reply to this email.</p>`,
+    sample: {},
+  },
+
+  gift: {
+    description: 'Gift redemption code sent to the recipient',
+    subject: "You've been gifted Wurlo! 🎁",
+    heading: "You've got a gift! 🎁",
+    intro: '{{purchaserEmail}} has given you {{offerName}}.',
+    body: `
+      {{#if message}}
+      <div class="panel">
+        <p class="quote">"{{message}}"</p>
+        <p class="byline">— {{purchaserEmail}}</p>
+      </div>
+      {{/if}}
+      <p>Wurlo is an adaptive maths learning platform. Sign in or create an account, then redeem your code:</p>
+      <p class="code">{{code}}</p>
+      <div class="actions"><a class="button" href="{{redeemUrl}}">Redeem My Gift</a></div>
+      <p class="muted">The code can be used once. Questions? Just reply to this email.</p>`,
+    defaults: { offerName: 'Wurlo Lifetime Access' },
+    sample: {
+      code: 'GIFT-PREV-IEW1',
+      message: 'Happy birthday! Good luck with the maths.',
+      offerName: 'Founder Lifetime Access',
+      purchaserEmail: 'friend@example.com',
+      redeemUrl: 'https://wurlo.ai/redeem?code=GIFT-PREV-IEW1',
+    },
+  },
+
+  'licence-ready': {
+    description: 'Organisation admin\'s seat licence is paid and ready',
+    subject: 'Your {{seatCount}} Wurlo seats are ready 🏫',
+    heading: 'Your seats are ready 🏫',
+    intro: '{{seatCount}} seats of {{offerName}} for {{organisationName}}.',
+    body: `
+      <p>Thanks for your purchase! Sign in with this email address to invite your learners. You can reassign or revoke seats at any time and see who has joined.</p>
+      <div class="actions"><a class="button" href="{{manageUrl}}">Manage Seats</a></div>`,
+    defaults: { offerName: 'Wurlo' },
+    sample: { seatCount: 30, offerName: 'Wurlo for Schools', organisationName: 'Hillside Academy', manageUrl: 'https://wurlo.ai/organisation' },
+  },
+
+  'seat-invite': {
+    description: 'Invitation for a learner to take a licence seat',
+    subject: '{{organisationName}} has invited you to Wurlo',
+    heading: "You're invited! 🎓",
+    intro: '{{organisationName}} has a Wurlo seat for you.',
+    body: `
+      <p>Wurlo is an adaptive maths learning platform. Sign in or create an account, then accept your seat:</p>
+      <div class="actions"><a class="button" href="{{acceptUrl}}">Accept My Seat</a></div>
+      <p class="small">This invitation is personal to you - please don't share it. If you weren't expecting it, you can ignore this email.</p>`,
+    sample: { organisationName: 'Hillside Academy', acceptUrl: 'https://wurlo.ai/licence/accept?token=preview' },
+  },
+
+  'ops-alert': {
+    description: 'Operational alert for the team (OPS_ALERT_EMAIL)',
+    layout: 'plain',
+    subject: '[Wurlo alert] {{subject}}',
+    heading: '{{subject}}',
+    body: `
+      <ul>{{#each lines}}<li>{{this}}</li>{{/each}}</ul>`,
+    sample: {
+      subject: '2 order(s) stuck in fulfilment',
+      lines: ['cs_test_preview1 (buyer@example.com) - create_account failed 5 times', 'cs_test_preview2 (other@example.com) - pending 3 hours'],
+    },
+  },
+};
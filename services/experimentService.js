@@ -0,0 +1,311 @@
+/**
+ * Experiment Service
+ *
+ * Server-driven A/B tests for landing copy and pricing. Visitors carry an
+ * anonymous visitor id, issued by us and signed so it can't be made up; each
+ * running experiment hashes it to a variant, so a visitor keeps their variant
+ * across page loads without any cookie on our side. The first assignment is
+ * stored as an exposure and wins from then on, even if the weights change.
+ * Price variants override the offer's price at checkout, re-derived from the
+ * signed id. A client can still ask for fresh ids until one lands in a cheaper
+ * variant, so issuing ids is rate limited per IP.
+ */
+
+import crypto from 'crypto';
+import { createTtlCache } from '../utils/ttlCache.js';
+import { createSignedToken, verifySignedToken } from '../utils/signedTokens.js';
+
+// Running experiments change rarely; a short cache keeps the assignments endpoint off the database
+const experimentCache = createTtlCache({ ttlMs: 30 * 1000, maxEntries: 1 });
+
+const BUCKETS = 10000;
+
+const VISITOR_TOKEN_PURPOSE = 'experiment_visitor';
+const VISITOR_TOKEN_TTL_DAYS = 365;
+
+/**
+ * Create a visitor id for a client that doesn't have one yet
+ *
+ * @returns {{ visitorId: string, token: string }} New visitor id, and the signed token the client keeps
+ */
+export function createVisitorToken() {
+  const visitorId = crypto.randomUUID();
+  const token = createSignedToken(VISITOR_TOKEN_PURPOSE, { visitor: visitorId }, VISITOR_TOKEN_TTL_DAYS * 24 * 60 * 60);
+  return { visitorId, token };
+}
+
+/**
+ * Resolve the visitor id in a token sent by the client
+ *
+ * @param {any} value - Token from the client
+ * @returns {string|null} Visitor id, or null if the token is missing, forged or expired
+ */
+export function verifyVisitorToken(value) {
+  if (!value) return null;
+  return verifySignedToken(String(value), VISITOR_TOKEN_PURPOSE)?.visitor || null;
+}
+
+/**
+ * Load running experiments with their variants (cached briefly)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @returns {Promise<Array>} Experiments, each with a variants array
+ */
+export async function getRunningExperiments(pool) {
+  const cached = experimentCache.get('running');
+  if (cached) return cached;
+
+  const result = await pool.query(
+    `SELECT e.id, e.key, e.offer_id, v.key AS variant_key, v.weight, v.content, v.price_amount
+     FROM experiments e
+     JOIN experiment_variants v ON v.experiment_id = e.id
+     WHERE e.status = 'running'
+     ORDER BY e.id ASC, v.id ASC`
+  );
+
+  const experiments = new Map();
+  for (const row of result.rows) {
+    if (!experiments.has(row.id)) {
+      experiments.set(row.id, { id: row.id, key: row.key, offer_id: row.offer_id, variants: [] });
+    }
+    experiments.get(row.id).variants.push({
+      key: row.variant_key,
+      weight: row.weight,
+      content: row.content || {},
+      price_amount: row.price_amount,
+    });
+  }
+
+  return experimentCache.set('running', [...experiments.values()]);
+}
+
+/**
+ * Pick a visitor's variant deterministically from a hash of the experiment and visitor
+ *
+ * @param {Object} experiment - Experiment with variants
+ * @param {string} visitorId - Visitor id
+ * @returns {Object|null} Variant, or null if every weight is zero
+ */
+export function assignVariant(experiment, visitorId) {
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  if (totalWeight <= 0) return null;
+
+  const hash = crypto.createHash('sha256').update(`${experiment.key}:${visitorId}`).digest();
+  const bucket = hash.readUInt32BE(0) % BUCKETS;
+
+  let threshold = 0;
+  for (const variant of experiment.variants) {
+    threshold += (variant.weight / totalWeight) * BUCKETS;
+    if (bucket < threshold) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Get a visitor's variant in every running experiment
+ *
+ * Variants the visitor has already been shown take precedence over the hash.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} visitorId - Visitor id
+ * @returns {Promise<Array>} [{ experiment, variant }]
+ */
+export async function getAssignments(pool, visitorId) {
+  const experiments = await getRunningExperiments(pool);
+  if (experiments.length === 0) return [];
+
+  const exposures = await pool.query(
+    'SELECT experiment_id, variant_key FROM experiment_exposures WHERE visitor_id = $1 AND experiment_id = ANY($2)',
+    [visitorId, experiments.map(experiment => experiment.id)]
+  );
+  const seen = new Map(exposures.rows.map(row => [String(row.experiment_id), row.variant_key]));
+
+  const assignments = [];
+  for (const experiment of experiments) {
+    const seenKey = seen.get(String(experiment.id));
+    const variant = experiment.variants.find(candidate => candidate.key === seenKey) || assignVariant(experiment, visitorId);
+    if (variant) assignments.push({ experiment, variant });
+  }
+  return assignments;
+}
+
+/**
+ * Store the first time a visitor was shown each experiment
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} visitorId - Visitor id
+ * @param {Array} assignments - From getAssignments
+ * @returns {Promise<void>}
+ */
+export async function recordExposures(pool, visitorId, assignments) {
+  if (assignments.length === 0) return;
+  await pool.query(
+    `INSERT INTO experiment_exposures (experiment_id, visitor_id, variant_key)
+     SELECT * FROM unnest($1::bigint[], $2::text[], $3::text[])
+     ON CONFLICT (experiment_id, visitor_id) DO NOTHING`,
+    [
+      assignments.map(({ experiment }) => experiment.id),
+      assignments.map(() => visitorId),
+      assignments.map(({ variant }) => variant.key),
+    ]
+  );
+}
+
+/**
+ * Record the variants a waitlist signup or checkout was made under
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Array} assignments - From getAssignments
+ * @param {Object} details - { visitorId, email, context ('waitlist' | 'checkout'), sessionId? }
+ * @returns {Promise<void>}
+ */
+export async function recordAssignments(pool, assignments, { visitorId, email, context, sessionId = null }) {
+  if (assignments.length === 0) return;
+  // Conversions without a recorded exposure still count as seen
+  await recordExposures(pool, visitorId, assignments);
+  await pool.query(
+    `INSERT INTO experiment_assignments (experiment_id, variant_key, visitor_id, email, context, stripe_session_id)
+     SELECT experiment_id, variant_key, $3, $4, $5, $6
+     FROM unnest($1::bigint[], $2::text[]) AS a(experiment_id, variant_key)`,
+    [
+      assignments.map(({ experiment }) => experiment.id),
+      assignments.map(({ variant }) => variant.key),
+      visitorId,
+      email,
+      context,
+      sessionId,
+    ]
+  );
+}
+
+/**
+ * Apply a price variant to an offer
+ *
+ * @param {Object} offer - Offer row
+ * @param {Array} assignments - From getAssignments
+ * @returns {Object} Offer with price_amount replaced if the visitor is in a price variant for it
+ */
+export function priceOfferForAssignments(offer, assignments) {
+  const priced = assignments.find(({ experiment, variant }) =>
+    String(experiment.offer_id) === String(offer.id) && variant.price_amount !== null && variant.price_amount !== undefined
+  );
+  return priced ? { ...offer, price_amount: priced.variant.price_amount } : offer;
+}
+
+/**
+ * Assignments as a compact Stripe metadata value ('founder-price:higher,headline:b')
+ *
+ * @param {Array} assignments - From getAssignments
+ * @returns {Object} Metadata entries (empty when not in any experiment)
+ */
+export function toExperimentMetadata(assignments) {
+  if (assignments.length === 0) return {};
+  return {
+    experiments: assignments.map(({ experiment, variant }) => `${experiment.key}:${variant.key}`).join(',').slice(0, 500),
+  };
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t
+    * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Compare a variant's conversion rate with the control's (two-proportion z-test)
+ */
+function compareRates(control, variant) {
+  const p1 = control.visitors > 0 ? control.conversions / control.visitors : 0;
+  const p2 = variant.visitors > 0 ? variant.conversions / variant.visitors : 0;
+  const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+
+  if (control.visitors === 0 || variant.visitors === 0) {
+    return { lift: null, z_score: null, p_value: null, ci95: null, significant: false };
+  }
+
+  const pooled = (control.conversions + variant.conversions) / (control.visitors + variant.visitors);
+  const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / control.visitors + 1 / variant.visitors));
+  const z = pooledSe > 0 ? (p2 - p1) / pooledSe : 0;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+
+  // Interval for the difference in rates uses the unpooled standard error
+  const se = Math.sqrt((p1 * (1 - p1)) / control.visitors + (p2 * (1 - p2)) / variant.visitors);
+  const diff = p2 - p1;
+
+  return {
+    lift: p1 > 0 ? round((p2 - p1) / p1) : null,
+    z_score: round(z, 3),
+    p_value: round(pValue),
+    ci95: [round(diff - 1.96 * se), round(diff + 1.96 * se)],
+    significant: pValue < 0.05,
+  };
+}
+
+const RESULT_METRICS = ['waitlist', 'checkout', 'payment'];
+
+/**
+ * Conversion per variant, compared with the control
+ *
+ * Visitors are exposures; each metric counts distinct visitors who signed up to the
+ * waitlist, started a checkout, or completed payment. The variant keyed 'control' (or
+ * the first variant) is the baseline.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} experimentKey - Experiment key
+ * @returns {Promise<Object|null>} { experiment, control, variants }, or null if not found
+ */
+export async function getExperimentResults(pool, experimentKey) {
+  const found = await pool.query(
+    'SELECT id, key, name, status, offer_id, started_at, ended_at FROM experiments WHERE key = $1',
+    [experimentKey]
+  );
+  const experiment = found.rows[0];
+  if (!experiment) return null;
+
+  const result = await pool.query(
+    `SELECT v.key, v.weight, v.price_amount,
+       (SELECT COUNT(*) FROM experiment_exposures x WHERE x.experiment_id = v.experiment_id AND x.variant_key = v.key) AS visitors,
+       (SELECT COUNT(DISTINCT a.visitor_id) FROM experiment_assignments a
+        WHERE a.experiment_id = v.experiment_id AND a.variant_key = v.key AND a.context = 'waitlist') AS waitlist,
+       (SELECT COUNT(DISTINCT a.visitor_id) FROM experiment_assignments a
+        WHERE a.experiment_id = v.experiment_id AND a.variant_key = v.key AND a.context = 'checkout') AS checkout,
+       (SELECT COUNT(DISTINCT a.visitor_id) FROM experiment_assignments a
+        JOIN seat_reservations r ON r.stripe_session_id = a.stripe_session_id
+        WHERE a.experiment_id = v.experiment_id AND a.variant_key = v.key AND a.context = 'checkout'
+          AND r.status IN ('converted', 'revoked')) AS payment
+     FROM experiment_variants v
+     WHERE v.experiment_id = $1
+     ORDER BY v.id ASC`,
+    [experiment.id]
+  );
+
+  const variants = result.rows.map(row => {
+    const visitors = parseInt(row.visitors, 10) || 0;
+    const counts = Object.fromEntries(RESULT_METRICS.map(metric => [metric, parseInt(row[metric], 10) || 0]));
+    return { key: row.key, weight: row.weight, price_amount: row.price_amount, visitors, counts };
+  });
+  const control = variants.find(variant => variant.key === 'control') || variants[0];
+
+  return {
+    experiment,
+    control: control?.key ?? null,
+    variants: variants.map(variant => ({
+      key: variant.key,
+      weight: variant.weight,
+      price_amount: variant.price_amount,
+      visitors: variant.visitors,
+      metrics: Object.fromEntries(RESULT_METRICS.map(metric => [metric, {
+        conversions: variant.counts[metric],
+        rate: variant.visitors > 0 ? Math.round((variant.counts[metric] / variant.visitors) * 10000) / 10000 : 0,
+        ...(variant === control ? {} : compareRates(
+          { visitors: control.visitors, conversions: control.counts[metric] },
+          { visitors: variant.visitors, conversions: variant.counts[metric] }
+        )),
+      }])),
+    })),
+  };
+}
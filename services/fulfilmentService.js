@@ -0,0 +1,310 @@
+/**
+ * Fulfilment Service
+ *
+ * Persisted post-payment pipeline: account → plan → welcome email → password email.
+ * Progress is stored per checkout session, so a failed step is retried (with
+ * backoff, then again on later sweeps) from where it stopped instead of leaving
+ * the customer half-provisioned. Fulfilments stuck in a step raise an ops alert.
+ */
+
+import { retryWithBackoff } from '../utils/retry.js';
+import { createFirebaseUser, createPasswordResetToken } from './authService.js';
+import { sendWelcomeEmail, sendPasswordSetupEmail, sendOpsAlertEmail } from './emailService.js';
+import { getEmailLocale } from './localeService.js';
+import { getOffer } from './offerService.js';
+import { assignReservationUser } from './seatReservationService.js';
+import { linkRedemptionToPlan } from './promoService.js';
+import { linkSubscriptionPlan } from './subscriptionService.js';
+import { recordCheckoutPayment, getOrder, generateReceiptPdf } from './receiptService.js';
+
+export const FULFILMENT_STEPS = ['account', 'plan', 'welcome_email', 'password_email'];
+
+// Sweeps stop retrying after this many runs; the fulfilment then needs manual attention
+const MAX_RUNS = 5;
+
+// A fulfilment not completed this long after its last progress triggers an alert
+const STUCK_AFTER_MINUTES = parseInt(process.env.FULFILMENT_STUCK_MINUTES, 10) || 30;
+
+// A 'running' fulfilment untouched for this long is assumed to have crashed mid-run
+const STALE_RUNNING_MINUTES = 15;
+
+// Password setup links point at the landing server, which serves the set-password page
+const EMAIL_BASE_URL = 'https://wurlolanding.onrender.com';
+
+const FULFILMENT_COLUMNS = `id, stripe_session_id, stripe_subscription_id, email, offer_id, plan_name, promo_redemption_id,
+  amount_total, currency, step, status, user_id, user_plan_id, payment_id, email_statuses, runs, last_error, created_at, updated_at,
+  completed_at`;
+
+/**
+ * Grant a plan for a checkout session (one plan per session)
+ *
+ * @returns {Promise<number>} user_plans id
+ */
+async function grantPlan(pool, userId, planName, sessionId) {
+  const inserted = await pool.query(
+    `INSERT INTO user_plans (user_id, plan_name, renewal_date, stripe_session_id) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (stripe_session_id) WHERE stripe_session_id IS NOT NULL DO NOTHING
+     RETURNING id`,
+    [userId, planName, null, sessionId]
+  );
+  if (inserted.rows.length > 0) return inserted.rows[0].id;
+
+  const existing = await pool.query('SELECT id FROM user_plans WHERE stripe_session_id = $1', [sessionId]);
+  return existing.rows[0].id;
+}
+
+// The receipt is a nice-to-have: a PDF failure must not hold up the welcome email
+async function buildReceiptAttachment(pool, paymentId) {
+  if (!paymentId) return null;
+  try {
+    const order = await getOrder(pool, paymentId);
+    return order ? await generateReceiptPdf(order) : null;
+  } catch (err) {
+    console.error(`❌ Receipt for payment ${paymentId} could not be generated:`, err.message);
+    return null;
+  }
+}
+
+// Each step is safe to repeat and returns the columns it produced
+const STEP_HANDLERS = {
+  account: async (pool, { admin }, fulfilment) => {
+    const userRecord = await createFirebaseUser(admin, fulfilment.email);
+    await pool.query(
+      'INSERT INTO users (user_id, email, auth_provider) VALUES ($1, $2, $3) ON CONFLICT (email) DO UPDATE SET user_id = $1, auth_provider = $3',
+      [userRecord.uid, fulfilment.email, 'firebase']
+    );
+    return { user_id: userRecord.uid };
+  },
+
+  plan: async (pool, deps, fulfilment) => {
+    const userPlanId = await grantPlan(pool, fulfilment.user_id, fulfilment.plan_name, fulfilment.stripe_session_id);
+    await assignReservationUser(pool, fulfilment.stripe_session_id, fulfilment.user_id);
+    if (fulfilment.promo_redemption_id) {
+      await linkRedemptionToPlan(pool, fulfilment.stripe_session_id, userPlanId);
+    }
+    // Subscription plans take their status and renewal date from Stripe Billing
+    if (fulfilment.stripe_subscription_id) {
+      await linkSubscriptionPlan(pool, fulfilment.stripe_subscription_id, userPlanId);
+    }
+    // Fulfilments queued before amounts were stored have no payment to record
+    let paymentId = null;
+    if (fulfilment.amount_total !== null && fulfilment.currency) {
+      paymentId = await recordCheckoutPayment(pool, {
+        userId: fulfilment.user_id,
+        userPlanId,
+        sessionId: fulfilment.stripe_session_id,
+        amountTotal: fulfilment.amount_total,
+        currency: fulfilment.currency,
+      });
+    }
+    console.log(`✅ User created with ${fulfilment.plan_name} plan:`, fulfilment.user_id);
+    return { user_plan_id: userPlanId, payment_id: paymentId };
+  },
+
+  welcome_email: async (pool, { resend, resendFrom }, fulfilment) => {
+    const offer = fulfilment.offer_id ? await getOffer(pool, fulfilment.offer_id) : null;
+    const sent = await sendWelcomeEmail(pool, resend, resendFrom, fulfilment.email, {
+      offerName: offer?.name,
+      receipt: await buildReceiptAttachment(pool, fulfilment.payment_id),
+    }, { locale: await getEmailLocale(pool, fulfilment.email) });
+    return { email_status: requireEmailHandled(sent, 'welcome') };
+  },
+
+  password_email: async (pool, { resend, resendFrom }, fulfilment) => {
+    const token = await createPasswordResetToken(pool, fulfilment.email);
+    const sent = await sendPasswordSetupEmail(pool, resend, resendFrom, fulfilment.email, token, EMAIL_BASE_URL, {
+      locale: await getEmailLocale(pool, fulfilment.email),
+    });
+    return { email_status: requireEmailHandled(sent, 'password setup') };
+  },
+};
+
+/**
+ * Fail an email step when Resend isn't configured, so the step retries once it is;
+ * a suppressed address can't be helped and is recorded rather than retried.
+ *
+ * @param {Object} sent - Result of sendTemplateEmail
+ * @param {string} label - Email name for the error
+ * @returns {string} Send status to record ('sent' or 'suppressed')
+ */
+function requireEmailHandled(sent, label) {
+  if (sent.status === 'not_configured') {
+    throw new Error(`Resend not configured - cannot send ${label} email`);
+  }
+  return sent.status;
+}
+
+/**
+ * Record a paid checkout for fulfilment (idempotent per session)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} order - { sessionId, email, offerId, planName, promoRedemptionId, subscriptionId, amountTotal, currency }
+ * @returns {Promise<number>} Fulfilment id
+ */
+export async function createFulfilment(pool, {
+  sessionId, email, offerId, planName, promoRedemptionId, subscriptionId = null, amountTotal = null, currency = null,
+}) {
+  const inserted = await pool.query(
+    `INSERT INTO fulfilments (stripe_session_id, email, offer_id, plan_name, promo_redemption_id, stripe_subscription_id,
+       amount_total, currency)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (stripe_session_id) DO NOTHING
+     RETURNING id`,
+    [sessionId, email, offerId, planName, promoRedemptionId, subscriptionId, amountTotal, currency]
+  );
+  if (inserted.rows.length > 0) return inserted.rows[0].id;
+
+  const existing = await pool.query('SELECT id FROM fulfilments WHERE stripe_session_id = $1', [sessionId]);
+  return existing.rows[0].id;
+}
+
+/**
+ * Run a fulfilment from its current step to the end
+ *
+ * Each step is retried with backoff; if it still fails the fulfilment is marked
+ * failed at that step and picked up again by resumeFulfilments.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { admin (null when Firebase is disabled), resend, resendFrom }
+ * @param {number} fulfilmentId - Fulfilment id
+ * @returns {Promise<Object|null>} Final fulfilment state, or null if another run owns it or it is already done
+ */
+export async function runFulfilment(pool, deps, fulfilmentId) {
+  const claimed = await pool.query(
+    `UPDATE fulfilments SET status = 'running', runs = runs + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+       AND (status IN ('pending', 'failed')
+         OR (status = 'running' AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => $2)))
+     RETURNING ${FULFILMENT_COLUMNS}`,
+    [fulfilmentId, STALE_RUNNING_MINUTES]
+  );
+  if (claimed.rows.length === 0) return null;
+
+  let fulfilment = claimed.rows[0];
+  while (fulfilment.step !== 'done') {
+    const step = fulfilment.step;
+    try {
+      if (step === 'account' && !deps.admin) {
+        throw new Error('Firebase not configured - cannot create account');
+      }
+      const output = await retryWithBackoff(() => STEP_HANDLERS[step](pool, deps, fulfilment), {
+        maxRetries: 3,
+        operationName: `Fulfilment ${fulfilment.id} ${step}`,
+      });
+
+      const nextStep = FULFILMENT_STEPS[FULFILMENT_STEPS.indexOf(step) + 1] || 'done';
+      const saved = await pool.query(
+        `UPDATE fulfilments
+         SET step = $2, user_id = COALESCE($3, user_id), user_plan_id = COALESCE($4, user_plan_id),
+             payment_id = COALESCE($5, payment_id), email_statuses = email_statuses || $6::jsonb,
+             last_error = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${FULFILMENT_COLUMNS}`,
+        [
+          fulfilment.id, nextStep, output.user_id ?? null, output.user_plan_id ?? null, output.payment_id ?? null,
+          JSON.stringify(output.email_status ? { [step]: output.email_status } : {}),
+        ]
+      );
+      fulfilment = saved.rows[0];
+    } catch (err) {
+      console.error(`❌ Fulfilment ${fulfilment.id} failed at ${step}:`, err.message);
+      const failed = await pool.query(
+        `UPDATE fulfilments SET status = 'failed', last_error = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING ${FULFILMENT_COLUMNS}`,
+        [fulfilment.id, String(err?.message || err).slice(0, 4000)]
+      );
+      return failed.rows[0];
+    }
+  }
+
+  const completed = await pool.query(
+    `UPDATE fulfilments SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 RETURNING ${FULFILMENT_COLUMNS}`,
+    [fulfilment.id]
+  );
+  console.log(`📦 Fulfilment ${fulfilment.id} completed for:`, fulfilment.email);
+  return completed.rows[0];
+}
+
+/**
+ * Re-run fulfilments that failed or were interrupted
+ *
+ * Failed fulfilments wait 5 minutes per earlier run before the next attempt.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { admin, resend, resendFrom }
+ * @returns {Promise<number>} Number of fulfilments re-run
+ */
+export async function resumeFulfilments(pool, deps) {
+  const due = await pool.query(
+    `SELECT id FROM fulfilments
+     WHERE runs < $1
+       AND ((status IN ('pending', 'failed') AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => 5 * runs))
+         OR (status = 'running' AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => $2)))
+     ORDER BY created_at ASC
+     LIMIT 50`,
+    [MAX_RUNS, STALE_RUNNING_MINUTES]
+  );
+
+  for (const row of due.rows) {
+    await runFulfilment(pool, deps, row.id);
+  }
+  return due.rows.length;
+}
+
+/**
+ * Alert ops about fulfilments stuck in a step (once per fulfilment)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { resend, resendFrom }
+ * @returns {Promise<number>} Number of stuck fulfilments reported
+ */
+export async function alertStuckFulfilments(pool, { resend, resendFrom }) {
+  const stuck = await pool.query(
+    `SELECT id, stripe_session_id, email, step, status, runs, last_error, updated_at
+     FROM fulfilments
+     WHERE status <> 'completed' AND alerted_at IS NULL
+       AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+     ORDER BY created_at ASC`,
+    [STUCK_AFTER_MINUTES]
+  );
+  if (stuck.rows.length === 0) return 0;
+
+  const lines = stuck.rows.map(f =>
+    `#${f.id} ${f.email} - stuck at ${f.step} (${f.status}, ${f.runs} runs) session ${f.stripe_session_id}: ${f.last_error || 'no error recorded'}`
+  );
+  lines.forEach(line => console.error('🚨 Fulfilment stuck:', line));
+
+  await sendOpsAlertEmail(pool, resend, resendFrom, `${stuck.rows.length} order(s) stuck in fulfilment`, lines);
+  await pool.query(
+    'UPDATE fulfilments SET alerted_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+    [stuck.rows.map(f => f.id)]
+  );
+  return stuck.rows.length;
+}
+
+/**
+ * Get fulfilment progress for a checkout session
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} sessionId - Stripe checkout session id
+ * @returns {Promise<Object|null>} { status, step, steps, email_statuses, completed_at }, or null if the session has no fulfilment
+ */
+export async function getFulfilmentStatus(pool, sessionId) {
+  const result = await pool.query(
+    'SELECT step, status, email_statuses, completed_at FROM fulfilments WHERE stripe_session_id = $1',
+    [sessionId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const { step, status, email_statuses, completed_at } = result.rows[0];
+  const currentIndex = step === 'done' ? FULFILMENT_STEPS.length : FULFILMENT_STEPS.indexOf(step);
+  return {
+    status,
+    step,
+    steps: FULFILMENT_STEPS.map((name, index) => ({ name, done: index < currentIndex })),
+    // A done email step may have been skipped for a suppressed address; this says which went out
+    email_statuses,
+    completed_at,
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * Gift Service
+ *
+ * Gift purchases: the buyer pays for an offer on someone else's behalf, the
+ * recipient is emailed a single-use redemption code once payment completes, and
+ * whichever account redeems the code receives the plan.
+ */
+
+import crypto from 'crypto';
+import { isValidEmail } from './authService.js';
+import { sendGiftEmail } from './emailService.js';
+import { getEmailLocale } from './localeService.js';
+import { assignReservationUser } from './seatReservationService.js';
+
+export const GIFT_MESSAGE_MAX = 500;
+
+// No 0/O or 1/I so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const GIFT_COLUMNS = `id, purchaser_email, recipient_email, message, offer_id, plan_name, status, stripe_session_id,
+  code, redeemed_by_user_id, user_plan_id, created_at, paid_at, emailed_at, redeemed_at`;
+
+function generateGiftCode() {
+  const part = () => Array.from({ length: 4 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  return `GIFT-${part()}-${part()}`;
+}
+
+/**
+ * Normalise a redemption code from user input
+ *
+ * @param {any} value - Raw code
+ * @returns {string|null} Uppercase code, or null if malformed
+ */
+export function normalizeGiftCode(value) {
+  const code = String(value ?? '').trim().toUpperCase().replace(/\s+/g, '');
+  return /^GIFT-[A-Z0-9]{4}-[A-Z0-9]{4}$/.test(code) ? code : null;
+}
+
+/**
+ * Read gift details from a checkout request body
+ *
+ * @param {Object} body - Request body; gift mode is { gift: { recipient_email, message } }
+ * @param {string} purchaserEmail - Buyer email (already validated)
+ * @returns {Object} { gift } (null when not a gift) or { error, vars } with a user-facing message and its placeholder values
+ */
+export function validateGiftInput(body, purchaserEmail) {
+  const input = body?.gift;
+  if (!input) return { gift: null };
+
+  const recipientEmail = String(input.recipient_email ?? input.recipientEmail ?? '').trim().toLowerCase();
+  if (!recipientEmail || !isValidEmail(recipientEmail)) {
+    return { error: "Enter a valid email for the gift's recipient." };
+  }
+  if (recipientEmail === purchaserEmail) {
+    return { error: "The gift's recipient must be someone other than you." };
+  }
+
+  const message = String(input.message ?? '').replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, '').trim();
+  if (message.length > GIFT_MESSAGE_MAX) {
+    return { error: 'Gift messages must be {max} characters or fewer.', vars: { max: GIFT_MESSAGE_MAX } };
+  }
+
+  return { gift: { recipientEmail, message: message || null } };
+}
+
+/**
+ * Record a gift for a checkout that is about to be created
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} gift - { purchaserEmail, recipientEmail, message, offer }
+ * @returns {Promise<number>} Gift id
+ */
+export async function createPendingGift(pool, { purchaserEmail, recipientEmail, message, offer }) {
+  const result = await pool.query(
+    `INSERT INTO gifts (purchaser_email, recipient_email, message, offer_id, plan_name)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [purchaserEmail, recipientEmail, message, offer.id, offer.plan_name]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Link a pending gift to its Stripe checkout session
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} giftId - Gift id
+ * @param {string} sessionId - Stripe checkout session id
+ */
+export async function attachGiftSession(pool, giftId, sessionId) {
+  await pool.query('UPDATE gifts SET stripe_session_id = $2 WHERE id = $1', [giftId, sessionId]);
+}
+
+/**
+ * Cancel a gift whose checkout expired or could not be created
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} ref - { sessionId, giftId }
+ */
+export async function cancelPendingGift(pool, { sessionId = null, giftId = null }) {
+  await pool.query(
+    "UPDATE gifts SET status = 'canceled' WHERE (stripe_session_id = $1 OR id = $2) AND status = 'pending'",
+    [sessionId, giftId]
+  );
+}
+
+/**
+ * Invalidate an unredeemed gift code (purchase refunded or dispute lost)
+ *
+ * A gift that was already redeemed is revoked through its user_plans row instead.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} sessionId - Stripe checkout session id
+ * @returns {Promise<boolean>} True if an unredeemed gift was revoked
+ */
+export async function revokeGift(pool, sessionId) {
+  const result = await pool.query(
+    "UPDATE gifts SET status = 'revoked' WHERE stripe_session_id = $1 AND status IN ('pending', 'paid')",
+    [sessionId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Issue the redemption code for a paid gift and email it to the recipient
+ *
+ * Safe to repeat: the code is only generated once and the email only sent once.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { resend, resendFrom, frontendUrl }
+ * @param {string} sessionId - Stripe checkout session id
+ * @param {number} giftId - Gift id from session metadata
+ * @param {Object|null} offer - Offer row bought as a gift
+ * @returns {Promise<void>}
+ */
+export async function deliverGift(pool, { resend, resendFrom, frontendUrl }, sessionId, giftId, offer) {
+  let gift = null;
+  for (let attempt = 0; attempt < 3 && !gift; attempt++) {
+    try {
+      const result = await pool.query(
+        `UPDATE gifts
+         SET status = CASE WHEN status = 'pending' THEN 'paid' ELSE status END,
+             code = COALESCE(code, $3), paid_at = COALESCE(paid_at, CURRENT_TIMESTAMP), stripe_session_id = $1
+         WHERE id = $2
+         RETURNING ${GIFT_COLUMNS}`,
+        [sessionId, giftId, generateGiftCode()]
+      );
+      gift = result.rows[0] || null;
+      if (!gift) return;
+    } catch (err) {
+      // Code collision: try again with a fresh code
+      if (err.code !== '23505') throw err;
+    }
+  }
+  if (!gift) {
+    throw new Error(`Could not issue a unique gift code for gift ${giftId}`);
+  }
+
+  if (gift.emailed_at || gift.status !== 'paid') return;
+
+  // The recipient's own language if we know it, otherwise the buyer's
+  const locale = await getEmailLocale(pool, gift.recipient_email, await getEmailLocale(pool, gift.purchaser_email));
+  const sent = await sendGiftEmail(pool, resend, resendFrom, gift.recipient_email, {
+    code: gift.code,
+    message: gift.message,
+    offerName: offer?.name,
+    purchaserEmail: gift.purchaser_email,
+    redeemUrl: `${frontendUrl}/redeem?code=${encodeURIComponent(gift.code)}`,
+  }, { locale });
+  // Left unmarked so a replay of the checkout event sends it once Resend is set up
+  if (sent.status === 'not_configured') return;
+  await pool.query('UPDATE gifts SET emailed_at = CURRENT_TIMESTAMP WHERE id = $1', [gift.id]);
+  console.log(`🎁 Gift ${gift.id} code sent to:`, gift.recipient_email);
+}
+
+/**
+ * Redeem a gift code onto an account
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} code - Normalised gift code
+ * @param {string} userId - Firebase uid of the redeeming account
+ * @returns {Promise<Object>} { planName, userPlanId } or { error, status } with a user-facing message
+ */
+export async function redeemGift(pool, code, userId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const found = await client.query(`SELECT ${GIFT_COLUMNS} FROM gifts WHERE code = $1 FOR UPDATE`, [code]);
+    const gift = found.rows[0];
+    if (!gift || gift.status === 'revoked' || gift.status === 'canceled') {
+      await client.query('ROLLBACK');
+      return { error: "We couldn't find that gift code.", status: 404 };
+    }
+    if (gift.status === 'redeemed') {
+      await client.query('ROLLBACK');
+      return { error: 'This gift code has already been redeemed.', status: 409 };
+    }
+
+    // Keyed to the gift's checkout session, so a gift can only ever grant one plan
+    const plan = await client.query(
+      `INSERT INTO user_plans (user_id, plan_name, renewal_date, stripe_session_id)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [userId, gift.plan_name, null, gift.stripe_session_id]
+    );
+    const userPlanId = plan.rows[0].id;
+
+    await client.query(
+      `UPDATE gifts SET status = 'redeemed', redeemed_by_user_id = $2, user_plan_id = $3, redeemed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [gift.id, userId, userPlanId]
+    );
+
+    await client.query('COMMIT');
+
+    await assignReservationUser(pool, gift.stripe_session_id, userId);
+    console.log(`🎁 Gift ${gift.id} redeemed by:`, userId);
+    return { planName: gift.plan_name, userPlanId };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List gifts bought by an email address
+ *
+ * Codes are only shown while unredeemed so the buyer can pass them on if the email went astray.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} purchaserEmail - Buyer email
+ * @returns {Promise<Array>} Gifts, newest first
+ */
+export async function listPurchasedGifts(pool, purchaserEmail) {
+  const result = await pool.query(
+    `SELECT g.id, g.recipient_email, g.message, g.status, g.code, g.paid_at, g.redeemed_at, o.name AS offer_name
+     FROM gifts g
+     LEFT JOIN offers o ON o.id = g.offer_id
+     WHERE g.purchaser_email = $1 AND g.status IN ('paid', 'redeemed', 'revoked')
+     ORDER BY g.created_at DESC`,
+    [purchaserEmail]
+  );
+  return result.rows.map(({ code, ...gift }) => ({
+    ...gift,
+    code: gift.status === 'paid' ? code : null,
+  }));
+}
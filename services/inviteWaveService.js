@@ -0,0 +1,197 @@
+/**
+ * Invite Wave Service
+ *
+ * Turns confirmed waitlist contacts into accounts in batches ("waves").
+ * Waves are persisted member by member so an interrupted run can be resumed
+ * without inviting anyone twice.
+ */
+
+import { createFirebaseUser, createPasswordResetToken } from './authService.js';
+import { sendPasswordSetupEmail } from './emailService.js';
+import { getEmailLocale } from './localeService.js';
+import { REFERRAL_POSITION_BUMP } from './referralService.js';
+
+/**
+ * Create a wave from the next N confirmed, uninvited contacts in queue order
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} size - Maximum number of contacts to invite
+ * @param {string|null} createdBy - Operator launching the wave
+ * @returns {Promise<Object>} { waveId, size } where size is the number of contacts actually selected
+ */
+export async function createInviteWave(pool, size, createdBy = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const wave = await client.query(
+      'INSERT INTO invite_waves (size, created_by) VALUES ($1, $2) RETURNING id',
+      [size, createdBy]
+    );
+    const waveId = wave.rows[0].id;
+
+    // Skip anyone already invited, queued in an unfinished wave, skipped by an earlier one or with an account
+    const members = await client.query(
+      `INSERT INTO invite_wave_members (wave_id, waitlist_id, email)
+       SELECT $1, w.id, w.email
+       FROM waitlist w
+       WHERE w.status = 'confirmed'
+         AND w.invited_at IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM invite_wave_members m
+           WHERE m.waitlist_id = w.id AND m.status IN ('pending', 'skipped')
+         )
+         AND NOT EXISTS (SELECT 1 FROM users u WHERE LOWER(u.email) = LOWER(w.email))
+       ORDER BY w.id - w.referral_count * $2, w.id
+       LIMIT $3
+       RETURNING id`,
+      [waveId, REFERRAL_POSITION_BUMP, size]
+    );
+
+    await client.query('UPDATE invite_waves SET size = $1 WHERE id = $2', [members.rowCount, waveId]);
+    await client.query('COMMIT');
+
+    console.log(`🌊 Invite wave ${waveId} created with ${members.rowCount} contact(s)`);
+    return { waveId, size: members.rowCount };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Provision one invited contact: Firebase user, users row, free plan, password setup email
+ *
+ * Every step is idempotent so a retried member never ends up with duplicate rows.
+ * Contacts who signed up some other way since the wave was built are skipped, so an
+ * existing (maybe paid) account is never handed a password setup link.
+ *
+ * @returns {Promise<Object>} { userId } once invited, or { skipped } with the reason
+ */
+async function inviteMember(pool, deps, member) {
+  const { admin, resend, resendFrom, frontendUrl } = deps;
+
+  // An account created by an earlier attempt at this member is ours to finish
+  const existing = await pool.query('SELECT user_id FROM users WHERE LOWER(email) = LOWER($1)', [member.email]);
+  if (existing.rows.length > 0 && existing.rows[0].user_id !== member.user_id) {
+    return { skipped: 'Already has an account' };
+  }
+
+  const userRecord = await createFirebaseUser(admin, member.email);
+
+  await pool.query(
+    'INSERT INTO users (user_id, email, auth_provider) VALUES ($1, $2, $3) ON CONFLICT (email) DO NOTHING',
+    [userRecord.uid, member.email, 'firebase']
+  );
+  await pool.query('UPDATE invite_wave_members SET user_id = $2 WHERE id = $1', [member.id, userRecord.uid]);
+  await pool.query(
+    `INSERT INTO user_plans (user_id, plan_name, status, start_date, renewal_date)
+     SELECT $1, 'free', 'active', CURRENT_DATE, NULL
+     WHERE NOT EXISTS (SELECT 1 FROM user_plans WHERE user_id = $1)`,
+    [userRecord.uid]
+  );
+
+  const token = await createPasswordResetToken(pool, member.email);
+  const sent = await sendPasswordSetupEmail(pool, resend, resendFrom, member.email, token, frontendUrl, {
+    locale: await getEmailLocale(pool, member.email),
+  });
+  if (sent.status === 'not_configured') {
+    throw new Error('Resend not configured - password setup email not sent');
+  }
+  if (sent.status === 'suppressed') {
+    return { skipped: `Password setup email suppressed (${sent.reason})` };
+  }
+
+  return { userId: userRecord.uid };
+}
+
+/**
+ * Process (or resume) a wave, inviting pending members one at a time
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} waveId - Wave to process
+ * @param {Object} deps - Clients used to provision accounts
+ * @param {Object} deps.admin - Firebase Admin instance
+ * @param {Object} deps.resend - Resend client instance
+ * @param {string} deps.resendFrom - Sender email address
+ * @param {string} deps.frontendUrl - Frontend base URL for password setup links
+ * @param {Object} [options]
+ * @param {number} [options.delayMs=1000] - Pause between invites to stay under provider rate limits
+ * @param {boolean} [options.retryFailed=false] - Also retry members that failed on a previous run
+ * @returns {Promise<Object>} { invited, skipped, failed }
+ */
+export async function processInviteWave(pool, waveId, deps, options = {}) {
+  const { delayMs = 1000, retryFailed = false } = options;
+
+  const wave = await pool.query('SELECT id, status FROM invite_waves WHERE id = $1', [waveId]);
+  if (wave.rows.length === 0) {
+    throw new Error(`Invite wave ${waveId} not found`);
+  }
+
+  await pool.query(
+    "UPDATE invite_waves SET status = 'processing', started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = $1",
+    [waveId]
+  );
+
+  const statuses = retryFailed ? ['pending', 'failed'] : ['pending'];
+  const members = await pool.query(
+    'SELECT id, email, user_id FROM invite_wave_members WHERE wave_id = $1 AND status = ANY($2) ORDER BY id',
+    [waveId, statuses]
+  );
+
+  let invited = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const member of members.rows) {
+    try {
+      const result = await inviteMember(pool, deps, member);
+      if (result.skipped) {
+        await pool.query(
+          "UPDATE invite_wave_members SET status = 'skipped', attempts = attempts + 1, error_message = $2 WHERE id = $1",
+          [member.id, result.skipped]
+        );
+        skipped++;
+        console.log(`  ⏭️  Skipped ${member.email}: ${result.skipped}`);
+        continue;
+      }
+
+      await pool.query(
+        `UPDATE invite_wave_members
+         SET status = 'invited', user_id = $2, invited_at = CURRENT_TIMESTAMP, attempts = attempts + 1, error_message = NULL
+         WHERE id = $1`,
+        [member.id, result.userId]
+      );
+      await pool.query('UPDATE waitlist SET invited_at = CURRENT_TIMESTAMP WHERE email = $1', [member.email]);
+      invited++;
+      console.log(`  ✅ Invited ${member.email}`);
+    } catch (err) {
+      await pool.query(
+        "UPDATE invite_wave_members SET status = 'failed', attempts = attempts + 1, error_message = $2 WHERE id = $1",
+        [member.id, err.message]
+      );
+      failed++;
+      console.error(`  ❌ Failed to invite ${member.email}:`, err.message);
+    }
+
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+
+  const remaining = await pool.query(
+    "SELECT COUNT(*) AS count FROM invite_wave_members WHERE wave_id = $1 AND status NOT IN ('invited', 'skipped')",
+    [waveId]
+  );
+  if (parseInt(remaining.rows[0].count, 10) === 0) {
+    await pool.query(
+      "UPDATE invite_waves SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [waveId]
+    );
+  }
+
+  console.log(`🌊 Invite wave ${waveId}: ${invited} invited, ${skipped} skipped, ${failed} failed`);
+  return { invited, skipped, failed };
+}
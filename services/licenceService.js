@@ -0,0 +1,439 @@
+/**
+ * Licence Service
+ *
+ * Bulk seat licences: an organisation (school, tutoring centre) buys N seats of
+ * an offer in one Stripe payment. Its admin invites learners by email; each
+ * accepted invitation becomes a user_plans row linked to the licence. Seats can
+ * be revoked or reassigned to someone else, freeing or reusing the slot.
+ */
+
+import crypto from 'crypto';
+import { isValidEmail } from './authService.js';
+import { sendLicenceReadyEmail } from './emailService.js';
+import { getEmailLocale } from './localeService.js';
+
+export const LICENCE_MIN_SEATS = 2;
+export const LICENCE_MAX_SEATS = parseInt(process.env.LICENCE_MAX_SEATS, 10) || 200;
+
+// Seats that take up a slot on the licence
+const LIVE_SEAT_FILTER = "status IN ('invited', 'assigned')";
+
+/**
+ * Read licence details from a checkout request body
+ *
+ * @param {Object} body - Request body: { organisation_name, seats }
+ * @returns {Object} { licence: { organisationName, seatCount } } or { error, vars } with a user-facing message and its placeholder values
+ */
+export function validateLicenceInput(body) {
+  const organisationName = String(body?.organisation_name ?? body?.organisationName ?? '').trim();
+  if (!organisationName || organisationName.length > 255) {
+    return { error: "Enter your organisation's name." };
+  }
+
+  const seatCount = Number(body?.seats);
+  if (!Number.isInteger(seatCount) || seatCount < LICENCE_MIN_SEATS || seatCount > LICENCE_MAX_SEATS) {
+    return { error: 'Choose between {min} and {max} seats.', vars: { min: LICENCE_MIN_SEATS, max: LICENCE_MAX_SEATS } };
+  }
+
+  return { licence: { organisationName, seatCount } };
+}
+
+/**
+ * Record a licence for a checkout that is about to be created
+ *
+ * The buyer becomes the organisation's admin; buying again with the same email
+ * adds another licence to the same organisation. An existing organisation keeps
+ * its name: the checkout isn't paid (or authenticated) yet.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} licence - { adminEmail, organisationName, seatCount, offer }
+ * @returns {Promise<number>} Licence id
+ */
+export async function createPendingLicence(pool, { adminEmail, organisationName, seatCount, offer }) {
+  const organisation = await pool.query(
+    `INSERT INTO organisations (name, admin_email) VALUES ($1, $2)
+     ON CONFLICT (admin_email) DO UPDATE SET admin_email = organisations.admin_email
+     RETURNING id`,
+    [organisationName, adminEmail]
+  );
+
+  const result = await pool.query(
+    `INSERT INTO seat_licences (organisation_id, offer_id, plan_name, seat_count)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [organisation.rows[0].id, offer.id, offer.plan_name, seatCount]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Link a pending licence to its Stripe checkout session
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} licenceId - Licence id
+ * @param {string} sessionId - Stripe checkout session id
+ */
+export async function attachLicenceSession(pool, licenceId, sessionId) {
+  await pool.query('UPDATE seat_licences SET stripe_session_id = $2 WHERE id = $1', [licenceId, sessionId]);
+}
+
+/**
+ * Cancel a licence whose checkout expired or could not be created
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} ref - { sessionId, licenceId }
+ */
+export async function cancelPendingLicence(pool, { sessionId = null, licenceId = null }) {
+  await pool.query(
+    "UPDATE seat_licences SET status = 'canceled' WHERE (stripe_session_id = $1 OR id = $2) AND status = 'pending'",
+    [sessionId, licenceId]
+  );
+}
+
+/**
+ * Activate a paid licence and tell the admin they can start inviting learners
+ *
+ * Safe to repeat: the email is only sent once.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { resend, resendFrom, frontendUrl }
+ * @param {Object} session - Completed Stripe checkout session
+ * @param {number} licenceId - Licence id from session metadata
+ * @param {Object|null} offer - Offer row the seats are for
+ * @returns {Promise<void>}
+ */
+export async function activateLicence(pool, { resend, resendFrom, frontendUrl }, session, licenceId, offer) {
+  const result = await pool.query(
+    `UPDATE seat_licences l
+     SET status = CASE WHEN l.status = 'pending' THEN 'active' ELSE l.status END,
+         paid_at = COALESCE(l.paid_at, CURRENT_TIMESTAMP), stripe_session_id = $1,
+         amount_total = COALESCE($3, l.amount_total), currency = COALESCE($4, l.currency)
+     FROM organisations o
+     WHERE l.id = $2 AND o.id = l.organisation_id
+     RETURNING l.id, l.seat_count, l.status, l.emailed_at, o.name AS organisation_name, o.admin_email`,
+    [session.id, licenceId, session.amount_total ?? null, session.currency ? session.currency.toUpperCase() : null]
+  );
+  const licence = result.rows[0];
+  if (!licence || licence.emailed_at || licence.status !== 'active') return;
+
+  const sent = await sendLicenceReadyEmail(pool, resend, resendFrom, licence.admin_email, {
+    organisationName: licence.organisation_name,
+    seatCount: licence.seat_count,
+    offerName: offer?.name,
+    manageUrl: `${frontendUrl}/organisation`,
+  }, { locale: await getEmailLocale(pool, licence.admin_email) });
+  // Without Resend nothing went out; keep emailed_at empty so a replayed event can send it
+  if (sent.status === 'not_configured') return;
+  await pool.query('UPDATE seat_licences SET emailed_at = CURRENT_TIMESTAMP WHERE id = $1', [licence.id]);
+  console.log(`🏫 Licence ${licence.id} (${licence.seat_count} seats) active for:`, licence.organisation_name);
+}
+
+const LICENCE_STATUS_TRANSITIONS = {
+  suspended: ['active'],
+  active: ['suspended'],
+  revoked: ['pending', 'active', 'suspended'],
+};
+
+/**
+ * Change the status of the licence bought in a checkout, and of every seat plan on it
+ *
+ * Used by refunds and disputes. Seats revoked individually stay revoked.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} sessionId - Stripe checkout session id
+ * @param {string} status - New status ('active', 'suspended', 'revoked')
+ * @returns {Promise<boolean>} True if a licence changed status
+ */
+export async function setLicenceStatus(pool, sessionId, status) {
+  const result = await pool.query(
+    'UPDATE seat_licences SET status = $2 WHERE stripe_session_id = $1 AND status = ANY($3) RETURNING id',
+    [sessionId, status, LICENCE_STATUS_TRANSITIONS[status]]
+  );
+  if (result.rows.length === 0) return false;
+
+  const licenceId = result.rows[0].id;
+  await pool.query(
+    "UPDATE user_plans SET status = $2 WHERE licence_id = $1 AND status <> 'revoked'",
+    [licenceId, status]
+  );
+  console.log(`🏫 Licence ${licenceId} is now ${status}`);
+  return true;
+}
+
+/**
+ * Get the organisation an account administers
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Signed-in account email
+ * @returns {Promise<Object|null>} { id, name, admin_email }, or null if the account isn't an org admin
+ */
+export async function getOrganisationForAdmin(pool, email) {
+  const result = await pool.query(
+    'SELECT id, name, admin_email FROM organisations WHERE admin_email = $1',
+    [String(email || '').toLowerCase()]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Seat usage for every paid licence an organisation holds
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} organisationId - Organisation id
+ * @returns {Promise<Array>} Licences with seat counts and their live and revoked seats
+ */
+export async function getOrganisationUsage(pool, organisationId) {
+  const licences = await pool.query(
+    `SELECT l.id, l.plan_name, l.seat_count, l.status, l.paid_at, o.name AS offer_name
+     FROM seat_licences l
+     LEFT JOIN offers o ON o.id = l.offer_id
+     WHERE l.organisation_id = $1 AND l.status NOT IN ('pending', 'canceled')
+     ORDER BY l.paid_at DESC, l.id DESC`,
+    [organisationId]
+  );
+  if (licences.rows.length === 0) return [];
+
+  const seats = await pool.query(
+    `SELECT id, licence_id, email, status, invited_at, assigned_at, revoked_at
+     FROM licence_seats
+     WHERE licence_id = ANY($1)
+     ORDER BY invited_at ASC, id ASC`,
+    [licences.rows.map(licence => licence.id)]
+  );
+
+  return licences.rows.map(licence => {
+    const licenceSeats = seats.rows.filter(seat => String(seat.licence_id) === String(licence.id));
+    const assigned = licenceSeats.filter(seat => seat.status === 'assigned').length;
+    const invited = licenceSeats.filter(seat => seat.status === 'invited').length;
+    return {
+      ...licence,
+      assigned,
+      invited,
+      available: Math.max(licence.seat_count - assigned - invited, 0),
+      seats: licenceSeats.map(({ licence_id, ...seat }) => seat),
+    };
+  });
+}
+
+/**
+ * Invite a learner onto a free seat, inside a transaction that holds the licence lock
+ *
+ * @returns {Promise<Object>} { seat: { id, email, token, licence_id } } or { error, vars, status }
+ */
+async function inviteOnLockedLicence(client, licence, email) {
+  if (licence.status !== 'active') {
+    return { error: "This licence isn't active, so seats can't be assigned.", status: 409 };
+  }
+
+  const live = await client.query(
+    `SELECT COUNT(*) AS count FROM licence_seats WHERE licence_id = $1 AND ${LIVE_SEAT_FILTER}`,
+    [licence.id]
+  );
+  if (parseInt(live.rows[0].count, 10) >= licence.seat_count) {
+    return { error: 'All {count} seats on this licence are in use.', vars: { count: licence.seat_count }, status: 409 };
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  try {
+    const result = await client.query(
+      `INSERT INTO licence_seats (licence_id, email, invite_token) VALUES ($1, $2, $3) RETURNING id`,
+      [licence.id, email, token]
+    );
+    return { seat: { id: result.rows[0].id, email, token, licence_id: licence.id } };
+  } catch (err) {
+    if (err.code === '23505') {
+      return { error: '{email} already has a seat on this licence.', vars: { email }, status: 409 };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Run a seat change in a transaction with the licence row locked
+ */
+async function withLockedLicence(pool, organisationId, licenceId, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const found = await client.query(
+      'SELECT id, seat_count, status, plan_name FROM seat_licences WHERE id = $1 AND organisation_id = $2 FOR UPDATE',
+      [licenceId, organisationId]
+    );
+    if (found.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'Licence not found.', status: 404 };
+    }
+
+    const result = await fn(client, found.rows[0]);
+    await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke a seat and the plan granted through it, inside a licence transaction
+ */
+async function revokeSeatOnLockedLicence(client, licence, seatId) {
+  const result = await client.query(
+    `UPDATE licence_seats SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND licence_id = $2 AND status <> 'revoked'
+     RETURNING id, email, user_plan_id`,
+    [seatId, licence.id]
+  );
+  const seat = result.rows[0];
+  if (!seat) {
+    return { error: 'Seat not found.', status: 404 };
+  }
+  if (seat.user_plan_id) {
+    await client.query("UPDATE user_plans SET status = 'revoked' WHERE id = $1", [seat.user_plan_id]);
+  }
+  return { seat };
+}
+
+/**
+ * Find which licence a seat belongs to, scoped to the organisation
+ */
+async function findSeatLicenceId(pool, organisationId, seatId) {
+  const result = await pool.query(
+    `SELECT s.licence_id FROM licence_seats s
+     JOIN seat_licences l ON l.id = s.licence_id
+     WHERE s.id = $1 AND l.organisation_id = $2`,
+    [seatId, organisationId]
+  );
+  return result.rows[0]?.licence_id ?? null;
+}
+
+/**
+ * Invite a learner by email to a free seat on a licence
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} organisationId - Admin's organisation id
+ * @param {number} licenceId - Licence id
+ * @param {string} email - Learner email
+ * @returns {Promise<Object>} { seat } including the invite token, or { error, vars, status } with a user-facing message and its placeholder values
+ */
+export async function inviteLearner(pool, organisationId, licenceId, email) {
+  const learnerEmail = String(email ?? '').trim().toLowerCase();
+  if (!learnerEmail || !isValidEmail(learnerEmail)) {
+    return { error: 'Enter a valid email for the learner.', status: 400 };
+  }
+  return withLockedLicence(pool, organisationId, licenceId, (client, licence) =>
+    inviteOnLockedLicence(client, licence, learnerEmail)
+  );
+}
+
+/**
+ * Revoke a seat (the learner loses access and the slot is freed)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} organisationId - Admin's organisation id
+ * @param {number} seatId - Seat id
+ * @returns {Promise<Object>} { seat } or { error, status }
+ */
+export async function revokeSeat(pool, organisationId, seatId) {
+  const licenceId = await findSeatLicenceId(pool, organisationId, seatId);
+  if (!licenceId) return { error: 'Seat not found.', status: 404 };
+
+  return withLockedLicence(pool, organisationId, licenceId, (client, licence) =>
+    revokeSeatOnLockedLicence(client, licence, seatId)
+  );
+}
+
+/**
+ * Move a seat to a different learner: the current holder loses access and the new one is invited
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} organisationId - Admin's organisation id
+ * @param {number} seatId - Seat id being reassigned
+ * @param {string} email - New learner email
+ * @returns {Promise<Object>} { seat } for the new invitation, or { error, vars, status }
+ */
+export async function reassignSeat(pool, organisationId, seatId, email) {
+  const learnerEmail = String(email ?? '').trim().toLowerCase();
+  if (!learnerEmail || !isValidEmail(learnerEmail)) {
+    return { error: 'Enter a valid email for the learner.', status: 400 };
+  }
+
+  const licenceId = await findSeatLicenceId(pool, organisationId, seatId);
+  if (!licenceId) return { error: 'Seat not found.', status: 404 };
+
+  return withLockedLicence(pool, organisationId, licenceId, async (client, licence) => {
+    const revoked = await revokeSeatOnLockedLicence(client, licence, seatId);
+    if (revoked.error) return revoked;
+    return inviteOnLockedLicence(client, licence, learnerEmail);
+  });
+}
+
+/**
+ * Accept a seat invitation onto the signed-in account
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} token - Invite token from the email
+ * @param {string} userId - Firebase uid of the accepting account
+ * @returns {Promise<Object>} { planName, organisationName } or { error, status } with a user-facing message
+ */
+export async function acceptSeatInvite(pool, token, userId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const found = await client.query(
+      `SELECT s.id, s.status, s.licence_id, l.plan_name, l.status AS licence_status, o.name AS organisation_name
+       FROM licence_seats s
+       JOIN seat_licences l ON l.id = s.licence_id
+       JOIN organisations o ON o.id = l.organisation_id
+       WHERE s.invite_token = $1
+       FOR UPDATE OF s`,
+      [token]
+    );
+    const seat = found.rows[0];
+    if (!seat || seat.status === 'revoked') {
+      await client.query('ROLLBACK');
+      return { error: "This invitation isn't valid any more. Ask your organisation for a new one.", status: 404 };
+    }
+    if (seat.status === 'assigned') {
+      await client.query('ROLLBACK');
+      return { error: 'This invitation has already been accepted.', status: 409 };
+    }
+    if (seat.licence_status !== 'active') {
+      await client.query('ROLLBACK');
+      return { error: "Your organisation's licence isn't active right now.", status: 409 };
+    }
+
+    const plan = await client.query(
+      `INSERT INTO user_plans (user_id, plan_name, renewal_date, licence_id)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [userId, seat.plan_name, null, seat.licence_id]
+    );
+
+    await client.query(
+      `UPDATE licence_seats SET status = 'assigned', user_id = $2, user_plan_id = $3, assigned_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [seat.id, userId, plan.rows[0].id]
+    );
+
+    await client.query('COMMIT');
+    console.log(`🏫 Seat ${seat.id} on licence ${seat.licence_id} accepted by:`, userId);
+    return { planName: seat.plan_name, organisationName: seat.organisation_name };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Build the link in a seat invitation email
+ *
+ * @param {string} frontendUrl - Frontend base URL
+ * @param {string} token - Invite token
+ * @returns {string} Invitation link
+ */
+export function buildSeatInviteUrl(frontendUrl, token) {
+  return `${frontendUrl}/licence/accept?token=${encodeURIComponent(token)}`;
+}
@@ -0,0 +1,69 @@
+/**
+ * Locale Service
+ *
+ * Stored language preferences, keyed by email so background jobs (fulfilment,
+ * webhooks, invite waves) can send emails in the right language without a request.
+ * A locale chosen by the person always wins over one detected from their browser.
+ */
+
+import { DEFAULT_LOCALE, matchLocale } from '../utils/i18n.js';
+
+/**
+ * Get the stored locale for an email
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Email address
+ * @returns {Promise<string|null>} Supported locale, or null if none is stored
+ */
+export async function getLocalePreference(pool, email) {
+  const result = await pool.query(
+    'SELECT locale FROM locale_preferences WHERE email = $1',
+    [String(email ?? '').trim().toLowerCase()]
+  );
+  return matchLocale(result.rows[0]?.locale);
+}
+
+/**
+ * Locale to email someone in, falling back to en-GB
+ *
+ * Never throws: a failed lookup sends the email in English rather than not at all.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Recipient email
+ * @param {string} [fallback] - Locale to use when nothing is stored (e.g. the current request's)
+ * @returns {Promise<string>} Supported locale
+ */
+export async function getEmailLocale(pool, email, fallback = DEFAULT_LOCALE) {
+  try {
+    return (await getLocalePreference(pool, email)) || fallback;
+  } catch (err) {
+    console.error('❌ Could not load locale preference:', err.message);
+    return fallback;
+  }
+}
+
+/**
+ * Store a locale for an email
+ *
+ * A detected locale never replaces a chosen one; a chosen locale replaces whatever is stored.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Email address
+ * @param {string} locale - Locale to store
+ * @param {Object} [options]
+ * @param {boolean} [options.chosen=false] - True when the person picked the language themselves
+ * @returns {Promise<string|null>} Stored locale, or null if the locale isn't supported
+ */
+export async function setLocalePreference(pool, email, locale, { chosen = false } = {}) {
+  const supported = matchLocale(locale);
+  if (!supported) return null;
+
+  await pool.query(
+    `INSERT INTO locale_preferences (email, locale, source)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (email) DO UPDATE SET locale = EXCLUDED.locale, source = EXCLUDED.source, updated_at = CURRENT_TIMESTAMP
+     WHERE $3 = 'chosen' OR locale_preferences.source = 'detected'`,
+    [String(email).trim().toLowerCase(), supported, chosen ? 'chosen' : 'detected']
+  );
+  return supported;
+}
@@ -0,0 +1,90 @@
+/**
+ * Offer Service
+ *
+ * Product catalogue for checkout. Each offer has a price, optional seat cap,
+ * sale window and the plan it grants, so new tiers need a database row rather
+ * than a deploy. Offers with a billing interval are sold as Stripe subscriptions.
+ */
+
+const OFFER_COLUMNS = `id, slug, name, description, price_amount, currency, seat_cap, plan_name,
+  billing_interval, starts_at, ends_at, is_active, is_default`;
+
+/**
+ * Get an offer by its public slug or numeric id
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string|number} productId - Offer slug or id
+ * @returns {Promise<Object|null>} Offer row, or null if not found
+ */
+export async function getOffer(pool, productId) {
+  const value = String(productId ?? '').trim();
+  if (!value) return null;
+
+  const result = /^\d+$/.test(value)
+    ? await pool.query(`SELECT ${OFFER_COLUMNS} FROM offers WHERE id = $1`, [parseInt(value, 10)])
+    : await pool.query(`SELECT ${OFFER_COLUMNS} FROM offers WHERE slug = $1`, [value]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get the default offer (used when checkout doesn't name a product)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @returns {Promise<Object|null>} Offer row, or null if none is marked default
+ */
+export async function getDefaultOffer(pool) {
+  const result = await pool.query(`SELECT ${OFFER_COLUMNS} FROM offers WHERE is_default = TRUE LIMIT 1`);
+  return result.rows[0] || null;
+}
+
+/**
+ * List offers currently on sale
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @returns {Promise<Array>} Offer rows, cheapest first
+ */
+export async function listActiveOffers(pool) {
+  const result = await pool.query(
+    `SELECT ${OFFER_COLUMNS} FROM offers
+     WHERE is_active = TRUE
+       AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP)
+       AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)
+     ORDER BY price_amount ASC, id ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Check whether an offer can be bought right now
+ *
+ * @param {Object} offer - Offer row
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True if active and inside its sale window
+ */
+export function isOfferOnSale(offer, now = new Date()) {
+  if (!offer || !offer.is_active) return false;
+  if (offer.starts_at && new Date(offer.starts_at) > now) return false;
+  if (offer.ends_at && new Date(offer.ends_at) <= now) return false;
+  return true;
+}
+
+/**
+ * Shape an offer for API responses
+ *
+ * @param {Object} offer - Offer row
+ * @returns {Object} Public offer fields
+ */
+export function toPublicOffer(offer) {
+  return {
+    id: offer.slug,
+    name: offer.name,
+    description: offer.description,
+    price: offer.price_amount / 100,
+    price_amount: offer.price_amount,
+    currency: offer.currency,
+    billing_interval: offer.billing_interval,
+    seat_cap: offer.seat_cap,
+    starts_at: offer.starts_at,
+    ends_at: offer.ends_at,
+  };
+}
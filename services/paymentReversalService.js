@@ -0,0 +1,246 @@
+/**
+ * Payment Reversal Service
+ *
+ * Refunds and disputes on checkout purchases. A full refund or lost dispute
+ * revokes the plan and frees its seat; an open dispute suspends the plan until
+ * it is closed. Every reversal is written to the payments ledger and the
+ * customer is emailed about the change to their access.
+ */
+
+import { revokeReservation } from './seatReservationService.js';
+import { sendPlanAccessEmail } from './emailService.js';
+import { getEmailLocale } from './localeService.js';
+import { revokeGift } from './giftService.js';
+import { setLicenceStatus } from './licenceService.js';
+
+// Disabling the Firebase account as well is opt-in; by default only the plan changes
+const DISABLE_USER_ON_REVOCATION = process.env.DISABLE_USER_ON_REVOCATION === 'true';
+
+/**
+ * Find the seat reservation and plan bought with a payment intent
+ *
+ * Purchases from before payment intents were stored are matched through their
+ * checkout session instead.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} stripe - Stripe client instance
+ * @param {string} paymentIntentId - Stripe payment intent id
+ * @returns {Promise<Object|null>} { reservation, plan } (plan may be null), or null if not a known purchase
+ */
+async function findPurchase(pool, stripe, paymentIntentId) {
+  let result = await pool.query(
+    `SELECT id, email, plan_name, status, stripe_session_id, user_id
+     FROM seat_reservations WHERE stripe_payment_intent_id = $1`,
+    [paymentIntentId]
+  );
+
+  if (result.rows.length === 0) {
+    const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+    const sessionId = sessions.data[0]?.id;
+    if (!sessionId) return null;
+
+    result = await pool.query(
+      `UPDATE seat_reservations SET stripe_payment_intent_id = $2 WHERE stripe_session_id = $1
+       RETURNING id, email, plan_name, status, stripe_session_id, user_id`,
+      [sessionId, paymentIntentId]
+    );
+    if (result.rows.length === 0) return null;
+  }
+
+  const reservation = result.rows[0];
+  const planResult = await pool.query(
+    `SELECT id, user_id, plan_name, status FROM user_plans
+     WHERE stripe_session_id = $1 OR (stripe_session_id IS NULL AND user_id = $2 AND plan_name = $3)
+     ORDER BY (stripe_session_id = $1) DESC NULLS LAST, id DESC
+     LIMIT 1`,
+    [reservation.stripe_session_id, reservation.user_id, reservation.plan_name]
+  );
+
+  return { reservation, plan: planResult.rows[0] || null };
+}
+
+/**
+ * Write a refund or dispute entry to the payments ledger
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} entry - Ledger entry
+ * @returns {Promise<void>}
+ */
+async function recordPayment(pool, { userId, planId, amount, currency, status, chargeId, disputeId = null, refundId = null }) {
+  if (!userId) return;
+  await pool.query(
+    `INSERT INTO payments (user_id, plan_id, amount, currency, payment_status, stripe_charge_id, stripe_dispute_id, stripe_refund_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (stripe_refund_id) WHERE stripe_refund_id IS NOT NULL DO NOTHING`,
+    [userId, planId, amount / 100, currency.toUpperCase(), status, chargeId, disputeId, refundId]
+  );
+}
+
+/**
+ * Change a plan's status and, if configured, the Firebase account's disabled flag
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object|null} admin - firebase-admin instance, or null when Firebase is disabled
+ * @param {Object|null} plan - user_plans row
+ * @param {string} status - New plan status ('active', 'suspended', 'revoked')
+ * @returns {Promise<boolean>} True if the plan status changed
+ */
+async function setPlanStatus(pool, admin, plan, status) {
+  if (!plan || plan.status === status) return false;
+
+  await pool.query('UPDATE user_plans SET status = $2 WHERE id = $1', [plan.id, status]);
+
+  if (admin && DISABLE_USER_ON_REVOCATION && plan.user_id) {
+    try {
+      await admin.auth().updateUser(plan.user_id, { disabled: status !== 'active' });
+    } catch (err) {
+      console.error('❌ Could not update Firebase user:', plan.user_id, err.message);
+    }
+  }
+
+  console.log(`💳 Plan ${plan.id} (${plan.plan_name}) is now ${status}`);
+  return true;
+}
+
+/**
+ * Revoke a purchase: plan (or licence seats) revoked, unredeemed gift code invalidated
+ * and seat freed for someone else
+ */
+async function revokePurchase(pool, admin, purchase) {
+  const changed = await setPlanStatus(pool, admin, purchase.plan, 'revoked');
+  const giftRevoked = await revokeGift(pool, purchase.reservation.stripe_session_id);
+  const licenceRevoked = await setLicenceStatus(pool, purchase.reservation.stripe_session_id, 'revoked');
+  await revokeReservation(pool, purchase.reservation.id);
+  return changed || giftRevoked || licenceRevoked;
+}
+
+function notifyCustomer(pool, deps, email, change) {
+  getEmailLocale(pool, email)
+    .then(locale => sendPlanAccessEmail(pool, deps.resend, deps.resendFrom, email, change, { locale }))
+    .catch(err => console.error('❌ Plan access email failed:', err));
+}
+
+/**
+ * Handle charge.refunded
+ *
+ * A full refund revokes the plan; partial refunds are only recorded. The charge only
+ * carries the running total refunded, so each refund is listed from Stripe and written
+ * as its own ledger entry keyed on the refund id: earlier refunds already recorded are
+ * skipped, and a replayed event adds nothing.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { stripe, admin, resend, resendFrom }
+ * @param {Object} charge - Stripe charge object
+ * @returns {Promise<void>}
+ */
+export async function handleChargeRefunded(pool, deps, charge) {
+  if (!charge.payment_intent) return;
+  const purchase = await findPurchase(pool, deps.stripe, charge.payment_intent);
+  if (!purchase) {
+    console.log('ℹ️  Refund for unknown purchase ignored:', charge.id);
+    return;
+  }
+
+  const fullRefund = charge.refunded === true;
+  const refunds = await deps.stripe.refunds.list({ charge: charge.id, limit: 100 });
+  const counted = refunds.data
+    .filter(refund => refund.status !== 'failed' && refund.status !== 'canceled')
+    .sort((a, b) => a.created - b.created);
+
+  let refundedSoFar = 0;
+  for (const refund of counted) {
+    refundedSoFar += refund.amount;
+    await recordPayment(pool, {
+      userId: purchase.plan?.user_id || purchase.reservation.user_id,
+      planId: purchase.plan?.id || null,
+      amount: -refund.amount,
+      currency: refund.currency || charge.currency,
+      status: refundedSoFar >= charge.amount ? 'refunded' : 'partially_refunded',
+      chargeId: charge.id,
+      refundId: refund.id,
+    });
+  }
+
+  if (fullRefund && (await revokePurchase(pool, deps.admin, purchase))) {
+    notifyCustomer(pool, deps, purchase.reservation.email, 'refunded');
+  }
+}
+
+/**
+ * Handle charge.dispute.created - suspends the plan (or licence) while the dispute is open
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { stripe, admin, resend, resendFrom }
+ * @param {Object} dispute - Stripe dispute object
+ * @returns {Promise<void>}
+ */
+export async function handleDisputeCreated(pool, deps, dispute) {
+  if (!dispute.payment_intent) return;
+  const purchase = await findPurchase(pool, deps.stripe, dispute.payment_intent);
+  if (!purchase) {
+    console.log('ℹ️  Dispute for unknown purchase ignored:', dispute.id);
+    return;
+  }
+
+  await recordPayment(pool, {
+    userId: purchase.plan?.user_id || purchase.reservation.user_id,
+    planId: purchase.plan?.id || null,
+    amount: -dispute.amount,
+    currency: dispute.currency,
+    status: 'disputed',
+    chargeId: dispute.charge,
+    disputeId: dispute.id,
+  });
+
+  if (await setLicenceStatus(pool, purchase.reservation.stripe_session_id, 'suspended')) {
+    notifyCustomer(pool, deps, purchase.reservation.email, 'suspended');
+    return;
+  }
+  if (purchase.plan?.status === 'revoked') return;
+  if (await setPlanStatus(pool, deps.admin, purchase.plan, 'suspended')) {
+    notifyCustomer(pool, deps, purchase.reservation.email, 'suspended');
+  }
+}
+
+/**
+ * Handle charge.dispute.closed - reinstates the plan (or licence) if we won, revokes it if we lost
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { stripe, admin, resend, resendFrom }
+ * @param {Object} dispute - Stripe dispute object
+ * @returns {Promise<void>}
+ */
+export async function handleDisputeClosed(pool, deps, dispute) {
+  if (!dispute.payment_intent) return;
+  const purchase = await findPurchase(pool, deps.stripe, dispute.payment_intent);
+  if (!purchase) {
+    console.log('ℹ️  Dispute for unknown purchase ignored:', dispute.id);
+    return;
+  }
+
+  const won = dispute.status === 'won' || dispute.status === 'warning_closed';
+  await recordPayment(pool, {
+    userId: purchase.plan?.user_id || purchase.reservation.user_id,
+    planId: purchase.plan?.id || null,
+    amount: won ? dispute.amount : 0,
+    currency: dispute.currency,
+    status: won ? 'dispute_won' : 'dispute_lost',
+    chargeId: dispute.charge,
+    disputeId: dispute.id,
+  });
+
+  if (won) {
+    if (await setLicenceStatus(pool, purchase.reservation.stripe_session_id, 'active')) {
+      notifyCustomer(pool, deps, purchase.reservation.email, 'reinstated');
+      return;
+    }
+    if (purchase.plan?.status === 'suspended' && (await setPlanStatus(pool, deps.admin, purchase.plan, 'active'))) {
+      notifyCustomer(pool, deps, purchase.reservation.email, 'reinstated');
+    }
+    return;
+  }
+
+  if (await revokePurchase(pool, deps.admin, purchase)) {
+    notifyCustomer(pool, deps, purchase.reservation.email, 'revoked');
+  }
+}
@@ -853,7 +853,15 @@ async function generateLegacyPlanPdf(plan, meta) {
   return renderHtmlToPdf(html, meta);
 }
 
-async function renderHtmlToPdf(html, meta) {
+/**
+ * Render a full HTML document to an A4 PDF with headless Chromium.
+ * Shared by learning plan PDFs and billing receipts.
+ *
+ * @param {string} html - Complete HTML document
+ * @param {Object} [meta] - Document metadata (unused by the renderer itself)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export async function renderHtmlToPdf(html, meta) {
   let browser;
   try {
     console.log('[PDF] Starting Chromium/Puppeteer PDF generation...');
@@ -0,0 +1,349 @@
+/**
+ * Privacy Service
+ *
+ * GDPR subject access (export) and erasure for waitlist contacts and users.
+ * Both flows are confirmed through a signed link emailed to the data subject.
+ */
+
+import crypto from 'crypto';
+import { createSignedToken, verifySignedToken } from '../utils/signedTokens.js';
+import { hashSuppressedEmail } from './emailDeliveryService.js';
+
+/**
+ * Hours a privacy confirmation link stays valid
+ */
+export const PRIVACY_LINK_TTL_HOURS = 1;
+
+const TOKEN_PURPOSES = {
+  export: 'privacy_export',
+  erase: 'privacy_erase',
+};
+
+/**
+ * Create a signed token confirming a privacy request
+ *
+ * @param {'export'|'erase'} action - Requested action
+ * @param {string} email - Data subject email
+ * @returns {string} Signed token
+ */
+export function createPrivacyToken(action, email) {
+  return createSignedToken(TOKEN_PURPOSES[action], { email }, PRIVACY_LINK_TTL_HOURS * 60 * 60);
+}
+
+/**
+ * Resolve the email a privacy token was issued for
+ *
+ * @param {'export'|'erase'} action - Expected action
+ * @param {string} token - Token from the confirmation link
+ * @returns {string|null} Email, or null if the token is invalid or expired
+ */
+export function verifyPrivacyToken(action, token) {
+  const payload = verifySignedToken(token, TOKEN_PURPOSES[action]);
+  return payload?.email || null;
+}
+
+/**
+ * Run a query against a table that may not exist in every deployment
+ * (the landing and app servers share a database but not every table).
+ */
+async function queryOptionalTable(client, sql, params) {
+  try {
+    return (await client.query(sql, params)).rows;
+  } catch (err) {
+    if (err.code === '42P01') return []; // undefined_table
+    throw err;
+  }
+}
+
+/**
+ * Find the app user ids linked to an email
+ *
+ * @param {Object} client - PostgreSQL pool or client
+ * @param {Object|null} admin - Firebase Admin instance, or null if Firebase is disabled
+ * @param {string} email - Data subject email
+ * @returns {Promise<string[]>} User ids
+ */
+async function findUserIds(client, admin, email) {
+  const rows = await queryOptionalTable(client, 'SELECT user_id FROM users WHERE LOWER(email) = $1', [email]);
+  const userIds = new Set(rows.map(row => row.user_id));
+
+  if (admin) {
+    try {
+      const userRecord = await admin.auth().getUserByEmail(email);
+      userIds.add(userRecord.uid);
+    } catch (err) {
+      if (err.code !== 'auth/user-not-found') throw err;
+    }
+  }
+
+  return [...userIds];
+}
+
+/**
+ * Collect everything we hold about a data subject into a JSON-serialisable bundle
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object|null} admin - Firebase Admin instance, or null if Firebase is disabled
+ * @param {string} email - Data subject email
+ * @returns {Promise<Object>} Export bundle
+ */
+export async function exportSubjectData(pool, admin, email) {
+  const userIds = await findUserIds(pool, admin, email);
+
+  const bundle = {
+    exported_at: new Date().toISOString(),
+    email,
+    waitlist: await queryOptionalTable(pool, 'SELECT * FROM waitlist WHERE email = $1', [email]),
+    invite_wave_members: await queryOptionalTable(
+      pool,
+      'SELECT wave_id, email, status, user_id, attempts, invited_at FROM invite_wave_members WHERE LOWER(email) = $1 OR user_id = ANY($2)',
+      [email, userIds]
+    ),
+    password_tokens: await queryOptionalTable(
+      pool,
+      'SELECT email, expires_at, used FROM password_tokens WHERE email = $1',
+      [email]
+    ),
+    users: await queryOptionalTable(pool, 'SELECT * FROM users WHERE user_id = ANY($1)', [userIds]),
+    user_plans: await queryOptionalTable(pool, 'SELECT * FROM user_plans WHERE user_id = ANY($1)', [userIds]),
+    payments: await queryOptionalTable(pool, 'SELECT * FROM payments WHERE user_id = ANY($1)', [userIds]),
+    subscriptions: await queryOptionalTable(
+      pool,
+      `SELECT * FROM subscriptions
+       WHERE LOWER(email) = $1 OR user_plan_id IN (SELECT id FROM user_plans WHERE user_id = ANY($2))`,
+      [email, userIds]
+    ),
+    user_onboarding: await queryOptionalTable(pool, 'SELECT * FROM user_onboarding WHERE user_id = ANY($1)', [userIds]),
+    placement_tests: await queryOptionalTable(pool, 'SELECT * FROM test_sessions WHERE student_id = ANY($1)', [userIds]),
+    placement_attempts: await queryOptionalTable(pool, 'SELECT * FROM placement_attempts WHERE user_id = ANY($1)', [userIds]),
+    placement_attempt_questions: await queryOptionalTable(
+      pool,
+      'SELECT * FROM placement_attempt_questions WHERE user_id = ANY($1)',
+      [userIds]
+    ),
+    api_usage: await queryOptionalTable(pool, 'SELECT * FROM api_usage WHERE user_id = ANY($1)', [userIds]),
+    reviews: await queryOptionalTable(pool, 'SELECT * FROM reviews WHERE user_id = ANY($1)', [userIds]),
+    seat_reservations: await queryOptionalTable(
+      pool,
+      'SELECT * FROM seat_reservations WHERE LOWER(email) = $1 OR email_canonical = $1 OR user_id = ANY($2)',
+      [email, userIds]
+    ),
+    promo_redemptions: await queryOptionalTable(pool, 'SELECT * FROM promo_redemptions WHERE LOWER(email) = $1', [email]),
+    fulfilments: await queryOptionalTable(
+      pool,
+      'SELECT * FROM fulfilments WHERE LOWER(email) = $1 OR user_id = ANY($2)',
+      [email, userIds]
+    ),
+    organisations: await queryOptionalTable(pool, 'SELECT * FROM organisations WHERE LOWER(admin_email) = $1', [email]),
+    licence_seats: await queryOptionalTable(
+      pool,
+      'SELECT id, licence_id, email, status, user_id, invited_at, assigned_at, revoked_at FROM licence_seats WHERE LOWER(email) = $1 OR user_id = ANY($2)',
+      [email, userIds]
+    ),
+    checkout_attributions: await queryOptionalTable(pool, 'SELECT * FROM checkout_attributions WHERE LOWER(email) = $1', [email]),
+    experiment_assignments: await queryOptionalTable(
+      pool,
+      'SELECT variant_key, context, created_at FROM experiment_assignments WHERE LOWER(email) = $1',
+      [email]
+    ),
+    gifts: await queryOptionalTable(
+      pool,
+      'SELECT * FROM gifts WHERE LOWER(purchaser_email) = $1 OR LOWER(recipient_email) = $1 OR redeemed_by_user_id = ANY($2)',
+      [email, userIds]
+    ),
+    locale_preferences: await queryOptionalTable(pool, 'SELECT * FROM locale_preferences WHERE email = $1', [email]),
+    email_sends: await queryOptionalTable(
+      pool,
+      'SELECT template, status, created_at, delivered_at FROM email_sends WHERE email = $1',
+      [email]
+    ),
+    email_suppressions: await queryOptionalTable(pool, 'SELECT * FROM email_suppressions WHERE email = $1', [email]),
+    firebase_accounts: [],
+  };
+
+  if (admin) {
+    for (const uid of userIds) {
+      try {
+        const userRecord = await admin.auth().getUser(uid);
+        bundle.firebase_accounts.push({
+          uid: userRecord.uid,
+          email: userRecord.email,
+          email_verified: userRecord.emailVerified,
+          display_name: userRecord.displayName || null,
+          created_at: userRecord.metadata?.creationTime || null,
+          last_sign_in_at: userRecord.metadata?.lastSignInTime || null,
+          providers: (userRecord.providerData || []).map(provider => provider.providerId),
+        });
+      } catch (err) {
+        if (err.code !== 'auth/user-not-found') throw err;
+      }
+    }
+  }
+
+  return bundle;
+}
+
+/**
+ * Erase a data subject's personal data
+ *
+ * Payment rows are kept for accounting but anonymised: they are detached from the
+ * user and plan and re-keyed to a random pseudonym. Purchase records that seat caps,
+ * promo limits and gift codes depend on (seat reservations, promo redemptions,
+ * fulfilments, gifts) are kept the same way, with the email replaced by the pseudonym
+ * and any free text removed. A suppression list entry is kept under a keyed hash of
+ * the address so erasure never lets us start emailing it again.
+ *
+ * Live Stripe subscriptions are canceled first, so erasing the plan doesn't leave
+ * the subscription billing; their rows are then anonymised like payments.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { admin, stripe }
+ * @param {Object|null} deps.admin - Firebase Admin instance, or null if Firebase is disabled
+ * @param {Object} deps.stripe - Stripe client instance
+ * @param {string} email - Data subject email
+ * @returns {Promise<Object>} Counts of erased rows per table
+ */
+export async function eraseSubjectData(pool, { admin, stripe }, email) {
+  const userIds = await findUserIds(pool, admin, email);
+  // Random, so nobody holding the address can link the pseudonym back to it
+  const anonymisedId = `erased_${crypto.randomBytes(12).toString('hex')}`;
+  const erased = {};
+
+  // Stripe can't join the transaction either; cancel first so a failure leaves everything in place to retry
+  const subscriptions = await queryOptionalTable(
+    pool,
+    `SELECT stripe_subscription_id FROM subscriptions
+     WHERE (LOWER(email) = $1 OR user_plan_id IN (SELECT id FROM user_plans WHERE user_id = ANY($2)))
+       AND status NOT IN ('canceled', 'incomplete_expired')`,
+    [email, userIds]
+  );
+  erased.subscriptions_canceled = 0;
+  for (const { stripe_subscription_id: subscriptionId } of subscriptions) {
+    try {
+      await stripe.subscriptions.cancel(subscriptionId);
+      erased.subscriptions_canceled++;
+    } catch (err) {
+      if (err.code !== 'resource_missing') throw err;
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Tables missing from this deployment are skipped; the savepoint keeps the transaction usable
+    const run = async (sql, params, countAs = null) => {
+      try {
+        await client.query('SAVEPOINT optional_table');
+        const result = await client.query(sql, params);
+        await client.query('RELEASE SAVEPOINT optional_table');
+        if (countAs) erased[countAs] = (erased[countAs] || 0) + result.rowCount;
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT optional_table');
+        if (err.code !== '42P01') throw err; // undefined_table
+      }
+    };
+
+    // Anonymise payments first so deleting plans doesn't cascade into them
+    await run('UPDATE user_plans SET last_payment_id = NULL WHERE user_id = ANY($1)', [userIds]);
+    await run('UPDATE payments SET user_id = $2, plan_id = NULL WHERE user_id = ANY($1)', [userIds, anonymisedId], 'payments_anonymised');
+    await run(
+      `UPDATE subscriptions SET email = $3, stripe_customer_id = $3, user_plan_id = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE LOWER(email) = $1 OR user_plan_id IN (SELECT id FROM user_plans WHERE user_id = ANY($2))`,
+      [email, userIds, anonymisedId],
+      'subscriptions_anonymised'
+    );
+
+    // Purchase records stay (they count towards seat caps and promo limits) but lose the email
+    await run(
+      `UPDATE seat_reservations SET email = $3, email_canonical = $3, user_id = NULL
+       WHERE LOWER(email) = $1 OR email_canonical = $1 OR user_id = ANY($2)`,
+      [email, userIds, anonymisedId],
+      'seat_reservations_anonymised'
+    );
+    await run('UPDATE promo_redemptions SET email = $2 WHERE LOWER(email) = $1', [email, anonymisedId], 'promo_redemptions_anonymised');
+    await run(
+      'UPDATE fulfilments SET email = $3, user_id = NULL WHERE LOWER(email) = $1 OR user_id = ANY($2)',
+      [email, userIds, anonymisedId],
+      'fulfilments_anonymised'
+    );
+    // The gift message involves both people, so it goes whichever of them is erased
+    await run(
+      'UPDATE gifts SET purchaser_email = $2, message = NULL WHERE LOWER(purchaser_email) = $1',
+      [email, anonymisedId],
+      'gifts_anonymised'
+    );
+    await run(
+      'UPDATE gifts SET recipient_email = $2, message = NULL WHERE LOWER(recipient_email) = $1',
+      [email, anonymisedId],
+      'gifts_anonymised'
+    );
+    await run('UPDATE gifts SET redeemed_by_user_id = NULL WHERE redeemed_by_user_id = ANY($1)', [userIds]);
+    // The organisation and its licences outlive their admin; an erased learner's seat is freed for reassignment
+    await run('UPDATE organisations SET admin_email = $2 WHERE LOWER(admin_email) = $1', [email, anonymisedId], 'organisations_anonymised');
+    await run(
+      `UPDATE licence_seats
+       SET email = $3, user_id = NULL, user_plan_id = NULL,
+           status = 'revoked', revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE LOWER(email) = $1 OR user_id = ANY($2)`,
+      [email, userIds, anonymisedId],
+      'licence_seats_anonymised'
+    );
+
+    await run('DELETE FROM checkout_attributions WHERE LOWER(email) = $1', [email], 'checkout_attributions');
+    // Assignments still count towards experiment results, just without the email
+    await run('UPDATE experiment_assignments SET email = NULL WHERE LOWER(email) = $1', [email], 'experiment_assignments_anonymised');
+    await run('DELETE FROM placement_attempt_questions WHERE user_id = ANY($1)', [userIds], 'placement_attempt_questions');
+    await run('DELETE FROM placement_attempts WHERE user_id = ANY($1)', [userIds], 'placement_attempts');
+    await run('DELETE FROM test_questions WHERE session_id IN (SELECT id FROM test_sessions WHERE student_id = ANY($1))', [userIds]);
+    await run('DELETE FROM test_sessions WHERE student_id = ANY($1)', [userIds], 'placement_tests');
+    await run('DELETE FROM user_onboarding WHERE user_id = ANY($1)', [userIds], 'user_onboarding');
+    await run('DELETE FROM api_usage WHERE user_id = ANY($1)', [userIds], 'api_usage');
+    // Reviews are published under the reviewer's name, so they go rather than being anonymised
+    await run('DELETE FROM reviews WHERE user_id = ANY($1)', [userIds], 'reviews');
+    await run('DELETE FROM user_plans WHERE user_id = ANY($1)', [userIds], 'user_plans');
+    await run('DELETE FROM users WHERE user_id = ANY($1) OR LOWER(email) = $2', [userIds, email], 'users');
+    await run('DELETE FROM password_tokens WHERE email = $1', [email], 'password_tokens');
+    await run('DELETE FROM waitlist WHERE email = $1', [email], 'waitlist');
+    // Wave history keeps its counts; the member row just stops pointing at the person
+    await run(
+      'UPDATE invite_wave_members SET email = $3, user_id = NULL, error_message = NULL WHERE LOWER(email) = $1 OR user_id = ANY($2)',
+      [email, userIds, anonymisedId],
+      'invite_wave_members_anonymised'
+    );
+    await run('DELETE FROM locale_preferences WHERE email = $1', [email], 'locale_preferences');
+    await run('DELETE FROM email_events WHERE email = $1', [email], 'email_events');
+    await run('DELETE FROM email_sends WHERE email = $1', [email], 'email_sends');
+    // Keep suppressions so we never mail the address again, keyed by its hash instead
+    await run(
+      `UPDATE email_suppressions
+       SET email = $2, email_hash = $3, detail = NULL, provider_message_id = NULL
+       WHERE email = $1`,
+      [email, anonymisedId, hashSuppressedEmail(email)],
+      'email_suppressions_anonymised'
+    );
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Firebase deletion can't join the transaction; do it once the database is clean
+  erased.firebase_accounts = 0;
+  if (admin) {
+    for (const uid of userIds) {
+      try {
+        await admin.auth().deleteUser(uid);
+        erased.firebase_accounts++;
+      } catch (err) {
+        if (err.code !== 'auth/user-not-found') throw err;
+      }
+    }
+  }
+
+  console.log('🗑️  Personal data erased for subject', anonymisedId, erased);
+  return erased;
+}
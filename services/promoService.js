@@ -0,0 +1,264 @@
+/**
+ * Promo Service
+ *
+ * Our own promo codes for checkout. Codes are validated server-side, mirrored to
+ * Stripe as coupons, and redemptions follow the checkout session lifecycle:
+ * pending while the session is open, redeemed on payment, released on expiry.
+ * Pending redemptions count towards usage limits so a code can't be oversubscribed.
+ */
+
+const PROMO_COLUMNS = `id, code, discount_type, discount_value, currency, max_redemptions, offer_id,
+  expires_at, is_active, stripe_coupon_id`;
+
+// Used = redeemed, or pending on a checkout that hasn't expired yet
+const USED_REDEMPTION_FILTER = "(status = 'redeemed' OR (status = 'pending' AND expires_at > CURRENT_TIMESTAMP))";
+
+/**
+ * Normalise a promo code from user input
+ *
+ * @param {any} value - Raw code
+ * @returns {string|null} Uppercase code, or null if empty or malformed
+ */
+export function normalizePromoCode(value) {
+  const code = String(value ?? '').trim().toUpperCase();
+  return /^[A-Z0-9_-]{3,50}$/.test(code) ? code : null;
+}
+
+/**
+ * Get a promo code by its code
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} code - Normalised code
+ * @returns {Promise<Object|null>} Promo code row, or null if not found
+ */
+export async function getPromoCode(pool, code) {
+  const result = await pool.query(`SELECT ${PROMO_COLUMNS} FROM promo_codes WHERE code = $1`, [code]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Work out the discount a promo code gives on an offer
+ *
+ * Does not check usage limits; those are enforced atomically by reservePromoRedemption.
+ *
+ * @param {Object|null} promo - Promo code row
+ * @param {Object} offer - Offer row
+ * @returns {Object} { discountAmount, finalAmount } or { error } with a user-facing message
+ */
+export function applyPromoToOffer(promo, offer) {
+  if (!promo || !promo.is_active) {
+    return { error: 'This promo code is not valid.' };
+  }
+  if (promo.expires_at && new Date(promo.expires_at) <= new Date()) {
+    return { error: 'This promo code has expired.' };
+  }
+  if (promo.offer_id && promo.offer_id !== offer.id) {
+    return { error: "This promo code can't be used with this offer." };
+  }
+  if (promo.discount_type === 'fixed' && promo.currency.toLowerCase() !== offer.currency.toLowerCase()) {
+    return { error: "This promo code can't be used with this offer." };
+  }
+
+  const discountAmount = promo.discount_type === 'percent'
+    ? Math.round(offer.price_amount * promo.discount_value / 100)
+    : Math.min(promo.discount_value, offer.price_amount);
+
+  return { discountAmount, finalAmount: offer.price_amount - discountAmount };
+}
+
+/**
+ * Look up a code as typed by a customer and price it against an offer
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {any} rawCode - Code from the request body
+ * @param {Object} offer - Offer row
+ * @returns {Promise<Object>} { promo, discountAmount, finalAmount } or { error } with a user-facing message
+ */
+export async function resolvePromoForOffer(pool, rawCode, offer) {
+  const code = normalizePromoCode(rawCode);
+  const promo = code ? await getPromoCode(pool, code) : null;
+  const applied = applyPromoToOffer(promo, offer);
+  if (applied.error) return applied;
+  return { promo, ...applied };
+}
+
+/**
+ * Count redemptions that use up a code's limit
+ *
+ * @param {Object} client - PostgreSQL pool or client
+ * @param {number} promoCodeId - Promo code id
+ * @returns {Promise<number>} Redeemed plus open pending redemptions
+ */
+async function countUsedRedemptions(client, promoCodeId) {
+  const result = await client.query(
+    `SELECT COUNT(*) AS count FROM promo_redemptions WHERE promo_code_id = $1 AND ${USED_REDEMPTION_FILTER}`,
+    [promoCodeId]
+  );
+  return parseInt(result.rows[0].count, 10) || 0;
+}
+
+/**
+ * Check whether a code still has redemptions left (non-binding preview)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} promo - Promo code row
+ * @returns {Promise<boolean>} True if the code is under its usage limit
+ */
+export async function hasRedemptionsLeft(pool, promo) {
+  if (promo.max_redemptions === null) return true;
+  return (await countUsedRedemptions(pool, promo.id)) < promo.max_redemptions;
+}
+
+/**
+ * Hold a redemption for a checkout, if the code's usage limit allows
+ *
+ * Any earlier pending redemption of the code by the same buyer is released first, so
+ * repeat clicks on Pay don't use up a limited code (reserveSeat expires the earlier
+ * checkout session along with its seat hold).
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} promo - Promo code row
+ * @param {string} email - Buyer email
+ * @param {number} discountAmount - Discount applied, in minor units
+ * @param {Date} expiresAt - When the hold lapses (same as the checkout's seat hold)
+ * @returns {Promise<number|null>} Redemption id, or null if the limit has been reached
+ */
+export async function reservePromoRedemption(pool, promo, email, discountAmount, expiresAt) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`promo_redemptions:${promo.id}`]);
+
+    await client.query(
+      `UPDATE promo_redemptions SET status = 'released'
+       WHERE promo_code_id = $1 AND LOWER(email) = LOWER($2) AND status = 'pending'`,
+      [promo.id, email]
+    );
+
+    if (promo.max_redemptions !== null && (await countUsedRedemptions(client, promo.id)) >= promo.max_redemptions) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const result = await client.query(
+      `INSERT INTO promo_redemptions (promo_code_id, email, discount_amount, expires_at)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [promo.id, email, discountAmount, expiresAt]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0].id;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get (or create and remember) the Stripe coupon mirroring a promo code
+ *
+ * Serialised per promo code with an advisory lock so concurrent first checkouts
+ * with a new code share one coupon instead of each creating their own.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} stripe - Stripe client instance
+ * @param {Object} promo - Promo code row
+ * @returns {Promise<string>} Stripe coupon id
+ */
+export async function getStripeCouponId(pool, stripe, promo) {
+  if (promo.stripe_coupon_id) return promo.stripe_coupon_id;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`promo_coupon:${promo.id}`]);
+
+    // Another checkout may have created it while we waited for the lock
+    const current = await client.query('SELECT stripe_coupon_id FROM promo_codes WHERE id = $1', [promo.id]);
+    if (current.rows[0]?.stripe_coupon_id) {
+      await client.query('COMMIT');
+      return current.rows[0].stripe_coupon_id;
+    }
+
+    const coupon = await stripe.coupons.create({
+      name: promo.code,
+      duration: 'once',
+      ...(promo.discount_type === 'percent'
+        ? { percent_off: promo.discount_value }
+        : { amount_off: promo.discount_value, currency: promo.currency.toLowerCase() }),
+      metadata: { promo_code_id: String(promo.id) },
+    });
+
+    await client.query('UPDATE promo_codes SET stripe_coupon_id = $2 WHERE id = $1', [promo.id, coupon.id]);
+    await client.query('COMMIT');
+    return coupon.id;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Link a pending redemption to its Stripe checkout session
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} redemptionId - Redemption id
+ * @param {string} sessionId - Stripe checkout session id
+ */
+export async function attachPromoSession(pool, redemptionId, sessionId) {
+  await pool.query('UPDATE promo_redemptions SET stripe_session_id = $2 WHERE id = $1', [redemptionId, sessionId]);
+}
+
+/**
+ * Mark a redemption as used after payment
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} sessionId - Stripe checkout session id
+ * @param {number|null} redemptionId - Redemption id from session metadata, if present
+ * @returns {Promise<boolean>} True if a redemption was completed
+ */
+export async function completePromoRedemption(pool, sessionId, redemptionId = null) {
+  const result = await pool.query(
+    `UPDATE promo_redemptions
+     SET status = 'redeemed', redeemed_at = COALESCE(redeemed_at, CURRENT_TIMESTAMP), stripe_session_id = $1
+     WHERE (stripe_session_id = $1 OR id = $2) AND status <> 'redeemed'`,
+    [sessionId, redemptionId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Record the user_plans row a redemption paid for
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} sessionId - Stripe checkout session id
+ * @param {number} userPlanId - user_plans id
+ */
+export async function linkRedemptionToPlan(pool, sessionId, userPlanId) {
+  await pool.query(
+    'UPDATE promo_redemptions SET user_plan_id = $2 WHERE stripe_session_id = $1',
+    [sessionId, userPlanId]
+  );
+}
+
+/**
+ * Release a pending redemption (checkout expired or could not be created)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} ref - Which redemption to release
+ * @param {string} [ref.sessionId] - Stripe checkout session id
+ * @param {number} [ref.redemptionId] - Redemption id
+ * @returns {Promise<boolean>} True if a pending redemption was released
+ */
+export async function releasePromoRedemption(pool, { sessionId = null, redemptionId = null }) {
+  const result = await pool.query(
+    `UPDATE promo_redemptions SET status = 'released'
+     WHERE (stripe_session_id = $1 OR id = $2) AND status = 'pending'`,
+    [sessionId, redemptionId]
+  );
+  return result.rowCount > 0;
+}
@@ -0,0 +1,217 @@
+/**
+ * Receipt Service
+ *
+ * Order history and branded PDF receipts built from the payments ledger.
+ * Checkout purchases are recorded by fulfilment and subscription renewals by
+ * the invoice webhook; refunds and disputes are recorded as their own entries.
+ */
+
+import { renderHtmlToPdf } from './placementSummaryService.js';
+
+const ORDER_COLUMNS = `p.id, p.user_id, p.plan_id, p.amount, p.currency, p.payment_status, p.created_at,
+  p.stripe_session_id, p.stripe_invoice_id, up.plan_name`;
+
+const STATUS_LABELS = {
+  completed: 'Paid',
+  refunded: 'Refunded',
+  partially_refunded: 'Partially refunded',
+  disputed: 'Disputed',
+  dispute_won: 'Dispute resolved',
+  dispute_lost: 'Dispute lost',
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a major-unit amount for display
+ *
+ * @param {number} amount - Amount in major units (pounds, dollars)
+ * @param {string} currency - ISO currency code
+ * @returns {string} e.g. '£29.00'
+ */
+export function formatMoney(amount, currency) {
+  return new Intl.NumberFormat('en-GB', { style: 'currency', currency: String(currency || 'GBP').toUpperCase() })
+    .format(amount);
+}
+
+function receiptNumber(paymentId) {
+  return `WRL-${String(paymentId).padStart(6, '0')}`;
+}
+
+/**
+ * Record the payment for a fulfilled checkout (idempotent per session)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} payment - { userId, userPlanId, sessionId, amountTotal (minor units), currency }
+ * @returns {Promise<number>} payments id
+ */
+export async function recordCheckoutPayment(pool, { userId, userPlanId, sessionId, amountTotal, currency }) {
+  const inserted = await pool.query(
+    `INSERT INTO payments (user_id, plan_id, amount, currency, payment_status, stripe_session_id)
+     VALUES ($1, $2, $3, $4, 'completed', $5)
+     ON CONFLICT (stripe_session_id) WHERE stripe_session_id IS NOT NULL DO NOTHING
+     RETURNING id`,
+    [userId, userPlanId, amountTotal / 100, currency.toUpperCase(), sessionId]
+  );
+  const paymentId = inserted.rows[0]?.id
+    ?? (await pool.query('SELECT id FROM payments WHERE stripe_session_id = $1', [sessionId])).rows[0].id;
+
+  await pool.query('UPDATE user_plans SET last_payment_id = $2 WHERE id = $1', [userPlanId, paymentId]);
+  return paymentId;
+}
+
+/**
+ * Record a paid subscription renewal invoice (idempotent per invoice)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} payment - { userId, userPlanId, invoiceId, amountPaid (minor units), currency }
+ * @returns {Promise<void>}
+ */
+export async function recordInvoicePayment(pool, { userId, userPlanId, invoiceId, amountPaid, currency }) {
+  const inserted = await pool.query(
+    `INSERT INTO payments (user_id, plan_id, amount, currency, payment_status, stripe_invoice_id)
+     VALUES ($1, $2, $3, $4, 'completed', $5)
+     ON CONFLICT (stripe_invoice_id) WHERE stripe_invoice_id IS NOT NULL DO NOTHING
+     RETURNING id`,
+    [userId, userPlanId, amountPaid / 100, currency.toUpperCase(), invoiceId]
+  );
+  if (inserted.rows.length > 0) {
+    await pool.query('UPDATE user_plans SET last_payment_id = $2 WHERE id = $1', [userPlanId, inserted.rows[0].id]);
+  }
+}
+
+/**
+ * Shape a payments row for API responses
+ */
+function toOrder(row) {
+  return {
+    id: row.id,
+    receipt_number: receiptNumber(row.id),
+    plan_name: row.plan_name,
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    status: row.payment_status,
+    created_at: row.created_at,
+    receipt_url: `/api/billing/orders/${row.id}/receipt.pdf`,
+  };
+}
+
+/**
+ * List a user's payments, newest first
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} userId - Firebase uid
+ * @returns {Promise<Array>} Orders
+ */
+export async function listOrders(pool, userId) {
+  const result = await pool.query(
+    `SELECT ${ORDER_COLUMNS}
+     FROM payments p
+     LEFT JOIN user_plans up ON up.id = p.plan_id
+     WHERE p.user_id = $1
+     ORDER BY p.created_at DESC NULLS LAST, p.id DESC`,
+    [userId]
+  );
+  return result.rows.map(toOrder);
+}
+
+/**
+ * Get one payment with the details a receipt needs
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} paymentId - payments id
+ * @param {string|null} userId - Owner to check against; null skips the check (internal use)
+ * @returns {Promise<Object|null>} Order with email, offer name and discount, or null if not found
+ */
+export async function getOrder(pool, paymentId, userId = null) {
+  const result = await pool.query(
+    `SELECT ${ORDER_COLUMNS}, u.email, o.name AS offer_name, pr.discount_amount
+     FROM payments p
+     LEFT JOIN user_plans up ON up.id = p.plan_id
+     LEFT JOIN users u ON u.user_id = p.user_id
+     LEFT JOIN fulfilments f ON f.stripe_session_id = p.stripe_session_id
+     LEFT JOIN offers o ON o.id = f.offer_id
+     LEFT JOIN promo_redemptions pr ON pr.stripe_session_id = p.stripe_session_id AND pr.status = 'redeemed'
+     WHERE p.id = $1 AND ($2::text IS NULL OR p.user_id = $2)`,
+    [paymentId, userId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    ...toOrder(row),
+    email: row.email,
+    description: row.offer_name || `Wurlo ${row.plan_name || ''} plan`.replace(/\s+/g, ' '),
+    discount: row.discount_amount ? row.discount_amount / 100 : 0,
+  };
+}
+
+function renderReceiptHtml(order) {
+  const total = formatMoney(order.amount, order.currency);
+  const subtotal = formatMoney(order.amount + order.discount, order.currency);
+  const date = order.created_at
+    ? new Date(order.created_at).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <style>
+      body { margin: 0; font-family: 'Inter', 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #1f2937; }
+      .header { background: linear-gradient(135deg, #4F46E5, #06B6D4); color: #fff; padding: 32px 40px; border-radius: 16px; }
+      .header h1 { margin: 0; font-size: 28px; }
+      .header p { margin: 8px 0 0; font-size: 14px; opacity: 0.9; }
+      .meta { display: flex; justify-content: space-between; margin: 32px 0; font-size: 14px; line-height: 1.6; }
+      .meta strong { display: block; color: #475569; font-size: 12px; text-transform: uppercase; letter-spacing: 0.05em; }
+      table { width: 100%; border-collapse: collapse; font-size: 14px; }
+      th { text-align: left; color: #475569; font-size: 12px; text-transform: uppercase; border-bottom: 2px solid #e2e8f0; padding: 8px 0; }
+      td { padding: 12px 0; border-bottom: 1px solid #e2e8f0; }
+      .amount { text-align: right; }
+      .total td { font-weight: 700; font-size: 16px; border-bottom: none; }
+      .footer { margin-top: 48px; font-size: 12px; color: #475569; text-align: center; }
+    </style>
+  </head>
+  <body>
+    <div class="header">
+      <h1>Receipt</h1>
+      <p>Wurlo · Smarter paths, faster progress.</p>
+    </div>
+    <div class="meta">
+      <div><strong>Receipt number</strong>${escapeHtml(order.receipt_number)}</div>
+      <div><strong>Date</strong>${escapeHtml(date)}</div>
+      <div><strong>Billed to</strong>${escapeHtml(order.email || '')}</div>
+      <div><strong>Status</strong>${escapeHtml(STATUS_LABELS[order.status] || order.status)}</div>
+    </div>
+    <table>
+      <thead><tr><th>Description</th><th class="amount">Amount</th></tr></thead>
+      <tbody>
+        <tr><td>${escapeHtml(order.description)}</td><td class="amount">${escapeHtml(subtotal)}</td></tr>
+        ${order.discount > 0 ? `<tr><td>Discount</td><td class="amount">-${escapeHtml(formatMoney(order.discount, order.currency))}</td></tr>` : ''}
+        <tr class="total"><td>Total</td><td class="amount">${escapeHtml(total)}</td></tr>
+      </tbody>
+    </table>
+    <div class="footer">
+      Questions about this receipt? Just reply to any Wurlo email.<br>
+      © ${new Date().getFullYear()} Wurlo
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Render a branded PDF receipt
+ *
+ * @param {Object} order - Order from getOrder
+ * @returns {Promise<Object>} { filename, content } where content is the PDF Buffer
+ */
+export async function generateReceiptPdf(order) {
+  const content = await renderHtmlToPdf(renderReceiptHtml(order), { title: `Wurlo receipt ${order.receipt_number}` });
+  return { filename: `wurlo-receipt-${order.receipt_number}.pdf`, content };
+}
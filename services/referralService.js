@@ -0,0 +1,120 @@
+/**
+ * Referral Service
+ *
+ * Referral codes, share links and queue positions for the waitlist.
+ * Each verified referral (a referred contact confirming their email) moves the
+ * referrer up the queue by a fixed number of places.
+ */
+
+import crypto from 'crypto';
+
+// Unambiguous alphabet (no 0/O, 1/I/L) so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Places a referrer moves up the queue for each verified referral
+ */
+export const REFERRAL_POSITION_BUMP = parseInt(process.env.REFERRAL_POSITION_BUMP, 10) || 5;
+
+/**
+ * Generate a random referral code
+ *
+ * @returns {string} Referral code, e.g. "K7QMZP3A"
+ */
+export function generateReferralCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+/**
+ * Normalise a referral code from user input
+ *
+ * @param {any} value - Raw code from request body or query string
+ * @returns {string|null} Uppercase code, or null if it cannot be a valid code
+ */
+export function normalizeReferralCode(value) {
+  const code = String(value ?? '').trim().toUpperCase();
+  // Accept any short alphanumeric code: rows backfilled by migration use hex codes
+  return /^[A-Z0-9]{6,16}$/.test(code) ? code : null;
+}
+
+/**
+ * Build the public share link for a referral code
+ *
+ * @param {string} frontendUrl - Frontend base URL
+ * @param {string} code - Referral code
+ * @returns {string} Share URL
+ */
+export function buildShareUrl(frontendUrl, code) {
+  return `${frontendUrl}/?ref=${encodeURIComponent(code)}`;
+}
+
+/**
+ * Credit a verified referral to the owner of a referral code
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} code - Referrer's referral code
+ * @returns {Promise<boolean>} True if a referrer was credited
+ */
+export async function creditReferral(pool, code) {
+  const result = await pool.query(
+    'UPDATE waitlist SET referral_count = referral_count + 1 WHERE referral_code = $1 RETURNING email',
+    [code]
+  );
+  if (result.rowCount > 0) {
+    console.log('🔗 Referral credited to:', result.rows[0].email);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Get a contact's current queue position (1-based)
+ *
+ * Position is join order among confirmed contacts, moved up by
+ * REFERRAL_POSITION_BUMP places per verified referral.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Contact email
+ * @returns {Promise<number|null>} Position, or null if the email is not a confirmed contact
+ */
+export async function getQueuePosition(pool, email) {
+  const result = await pool.query(
+    `SELECT position FROM (
+       SELECT email, ROW_NUMBER() OVER (ORDER BY id - referral_count * $2, id) AS position
+       FROM waitlist
+       WHERE status = 'confirmed'
+     ) ranked
+     WHERE email = $1`,
+    [email, REFERRAL_POSITION_BUMP]
+  );
+  return result.rows.length > 0 ? parseInt(result.rows[0].position, 10) : null;
+}
+
+/**
+ * Look up the public summary for a referral code
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} code - Referral code
+ * @returns {Promise<Object|null>} { code, referrerName, referralCount, position } or null if unknown
+ */
+export async function getReferralSummary(pool, code) {
+  const result = await pool.query(
+    "SELECT email, first_name, referral_count FROM waitlist WHERE referral_code = $1 AND status = 'confirmed'",
+    [code]
+  );
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    code,
+    referrerName: row.first_name || null,
+    referralCount: row.referral_count,
+    position: await getQueuePosition(pool, row.email),
+  };
+}
@@ -0,0 +1,326 @@
+/**
+ * Review Service
+ *
+ * Validation, AI moderation, persistence and cached listing of reviews.
+ * Reviews that pass moderation go live immediately; anything flagged (or that
+ * could not be screened) waits in a pending queue for manual approval.
+ */
+
+import { createGeminiClient } from './geminiClient.js';
+import { parseGeminiJsonText } from './geminiUtils.js';
+import { createTtlCache } from '../utils/ttlCache.js';
+
+export const REVIEW_LIMITS = {
+  nameMax: 60,
+  titleMax: 100,
+  textMin: 20,
+  textMax: 2000,
+};
+
+export const REVIEW_PAGE_SIZE = { default: 10, max: 50 };
+
+// Listing and stats are read on every landing page view; a short TTL keeps them cheap
+// while new reviews still show up within seconds (submissions also clear the caches)
+const listCache = createTtlCache({ ttlMs: 60 * 1000 });
+const statsCache = createTtlCache({ ttlMs: 60 * 1000 });
+
+// Keyset ordering per sort; the trailing (created_at, id) keeps the order total.
+// `after` builds the condition for rows following a cursor, given its placeholders.
+const SORTS = {
+  newest: {
+    orderBy: 'created_at DESC, id DESC',
+    after: (r, c, i) => `(created_at, id) < (${c}::timestamp, ${i})`,
+  },
+  highest: {
+    orderBy: 'rating DESC, created_at DESC, id DESC',
+    after: (r, c, i) => `(rating, created_at, id) < (${r}, ${c}::timestamp, ${i})`,
+  },
+  lowest: {
+    orderBy: 'rating ASC, created_at DESC, id DESC',
+    after: (r, c, i) => `(rating > ${r} OR (rating = ${r} AND (created_at, id) < (${c}::timestamp, ${i})))`,
+  },
+};
+
+// Created on first use so the landing server still starts without GEMINI_API_KEY
+let geminiClient = null;
+
+function getGeminiClient() {
+  if (!geminiClient) {
+    geminiClient = createGeminiClient({ model: 'gemini-2.5-flash' });
+  }
+  return geminiClient;
+}
+
+function sanitizeInput(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u001F\u007F]/g, '')
+    .replace(/[<>`$]/g, '')
+    .trim();
+}
+
+/**
+ * Validate and normalise a review submission
+ *
+ * @param {Object} body - Request body
+ * @param {string|null} fallbackName - Display name to use when none is given
+ * @returns {Object} { review } on success or { error, vars } with a user-facing message and its placeholder values
+ */
+export function validateReviewInput(body, fallbackName) {
+  const rating = Number(body?.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return { error: 'Rating must be a whole number from 1 to 5.' };
+  }
+
+  const name = sanitizeInput(body?.name || fallbackName);
+  if (!name) {
+    return { error: 'Name is required.' };
+  }
+  if (name.length > REVIEW_LIMITS.nameMax) {
+    return { error: 'Name must be {max} characters or fewer.', vars: { max: REVIEW_LIMITS.nameMax } };
+  }
+
+  const title = sanitizeInput(body?.title);
+  if (title.length > REVIEW_LIMITS.titleMax) {
+    return { error: 'Title must be {max} characters or fewer.', vars: { max: REVIEW_LIMITS.titleMax } };
+  }
+
+  const reviewText = sanitizeInput(body?.review_text ?? body?.reviewText);
+  if (reviewText.length < REVIEW_LIMITS.textMin || reviewText.length > REVIEW_LIMITS.textMax) {
+    return { error: 'Review must be between {min} and {max} characters.', vars: { min: REVIEW_LIMITS.textMin, max: REVIEW_LIMITS.textMax } };
+  }
+
+  return { review: { rating, name, title: title || null, reviewText } };
+}
+
+/**
+ * Screen review text with Gemini
+ *
+ * @param {Object} review - Validated review
+ * @returns {Promise<Object>} { approved, reason }; approved is false if Gemini is unavailable
+ */
+export async function moderateReview({ name, title, reviewText }) {
+  const moderationPrompt = `You are a content moderator for public product reviews of Wurlo, an adaptive maths learning platform.
+Return ONLY a compact JSON object with the following shape:
+{
+  "approved": true | false,
+  "reason": "Short sentence explaining the decision"
+}
+
+Set "approved": false if the review contains:
+• Hate, harassment, threats, or discrimination
+• Sexual or explicit material
+• Personal data (phone numbers, addresses, emails) or links
+• Spam, advertising, or content unrelated to Wurlo
+• Profanity or abusive language
+
+Honest negative reviews are fine and must be approved.
+
+Review to moderate:
+
+Name: ${name}
+Title: ${title || '(none)'}
+Text: ${reviewText}
+`;
+
+  const contents = [
+    {
+      role: 'user',
+      parts: [{ text: moderationPrompt }],
+    },
+  ];
+
+  try {
+    const data = await getGeminiClient().generateContent(contents);
+    const text = data?.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
+    const parsed = parseGeminiJsonText(text) || {};
+    return {
+      approved: parsed.approved === true,
+      reason: String(parsed.reason ?? '').trim() || null,
+    };
+  } catch (err) {
+    console.error('❌ Review moderation failed:', err.message);
+    return { approved: false, reason: 'Automatic moderation unavailable' };
+  }
+}
+
+/**
+ * Check whether a user holds a paid plan
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} userId - User identifier
+ * @returns {Promise<boolean>} True if the user has an active non-free plan
+ */
+export async function hasPaidPlan(pool, userId) {
+  const result = await pool.query(
+    `SELECT 1 FROM user_plans
+     WHERE user_id = $1 AND plan_name <> 'free' AND COALESCE(status, 'active') = 'active'
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Moderate and store a review
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} userId - Author's user id
+ * @param {Object} review - Validated review from validateReviewInput
+ * @returns {Promise<Object>} Stored review row including status
+ */
+export async function submitReview(pool, userId, review) {
+  const [moderation, isVerified] = await Promise.all([
+    moderateReview(review),
+    hasPaidPlan(pool, userId),
+  ]);
+  const status = moderation.approved ? 'published' : 'pending';
+
+  const result = await pool.query(
+    `INSERT INTO reviews (user_id, name, rating, title, review_text, is_verified, status, moderation_reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id, name, rating, title, review_text, is_verified, status, created_at`,
+    [userId, review.name, review.rating, review.title, review.reviewText, isVerified, status, moderation.reason]
+  );
+
+  if (status === 'published') {
+    listCache.clear();
+    statsCache.clear();
+  }
+
+  console.log(`📝 Review ${result.rows[0].id} submitted (${status}) by:`, userId);
+  return result.rows[0];
+}
+
+// created_at travels as Postgres text so the cursor keeps microsecond precision and no timezone shift
+function encodeCursor(row) {
+  const payload = { r: row.rating, c: row.cursor_created_at, i: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { r, c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isInteger(r) || !Number.isInteger(i) || !/^\d{4}-\d{2}-\d{2}[ T][\d:.]+$/.test(c)) return null;
+    return { r, c, i };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse listing options from a query string
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} { options } on success or { error, vars } with a user-facing message and its placeholder values
+ */
+export function parseReviewListQuery(query) {
+  const sort = query.sort ? String(query.sort) : 'newest';
+  if (!SORTS[sort]) {
+    return { error: 'Sort must be one of: {sorts}.', vars: { sorts: Object.keys(SORTS).join(', ') } };
+  }
+
+  const minRating = query.min_rating !== undefined ? Number(query.min_rating) : 1;
+  if (!Number.isInteger(minRating) || minRating < 1 || minRating > 5) {
+    return { error: 'min_rating must be a whole number from 1 to 5.' };
+  }
+
+  const limit = query.limit !== undefined ? Number(query.limit) : REVIEW_PAGE_SIZE.default;
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: 'limit must be a positive whole number.' };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor.' };
+    }
+  }
+
+  return {
+    options: {
+      sort,
+      minRating,
+      verifiedOnly: ['true', '1', 'yes'].includes(String(query.verified ?? '').toLowerCase()),
+      limit: Math.min(limit, REVIEW_PAGE_SIZE.max),
+      cursor,
+    },
+  };
+}
+
+/**
+ * List published reviews, one page at a time
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} options - Options from parseReviewListQuery
+ * @returns {Promise<Object>} { reviews, nextCursor }
+ */
+export async function listReviews(pool, options) {
+  const cacheKey = JSON.stringify(options);
+  const cached = listCache.get(cacheKey);
+  if (cached) return cached;
+
+  const { sort, minRating, verifiedOnly, limit, cursor } = options;
+  const params = [minRating];
+  const where = ["status = 'published'", 'rating >= $1'];
+
+  if (verifiedOnly) {
+    where.push('is_verified = TRUE');
+  }
+  if (cursor) {
+    params.push(cursor.r, cursor.c, cursor.i);
+    where.push(SORTS[sort].after('$2', '$3', '$4'));
+  }
+  params.push(limit + 1);
+
+  const result = await pool.query(
+    `SELECT id, name, rating, title, review_text, is_verified, created_at, created_at::text AS cursor_created_at
+     FROM reviews
+     WHERE ${where.join(' AND ')}
+     ORDER BY ${SORTS[sort].orderBy}
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const page = {
+    reviews: rows.map(({ cursor_created_at, ...review }) => review),
+    nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null,
+  };
+
+  return listCache.set(cacheKey, page);
+}
+
+/**
+ * Aggregate rating stats for published reviews
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @returns {Promise<Object>} { avgRating, reviewCount, histogram } where histogram maps 1-5 to counts
+ */
+export async function getReviewStats(pool) {
+  const cached = statsCache.get('stats');
+  if (cached) return cached;
+
+  const result = await pool.query(
+    "SELECT rating, COUNT(*) AS count FROM reviews WHERE status = 'published' GROUP BY rating"
+  );
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let reviewCount = 0;
+  for (const row of result.rows) {
+    const count = parseInt(row.count, 10) || 0;
+    if (histogram[row.rating] !== undefined) {
+      histogram[row.rating] = count;
+    }
+    total += row.rating * count;
+    reviewCount += count;
+  }
+
+  return statsCache.set('stats', {
+    avgRating: reviewCount > 0 ? parseFloat((total / reviewCount).toFixed(1)) : 0,
+    reviewCount,
+    histogram,
+  });
+}
@@ -0,0 +1,301 @@
+/**
+ * Seat Reservation Service
+ *
+ * Atomic seat holds for capped offers (e.g. founder seats).
+ * A checkout holds a seat for the lifetime of its Stripe session; the hold is
+ * converted when payment completes and released when the session expires.
+ * Sold and reserved counts both come from the seat_reservations table; a
+ * licence checkout holds all of its seats in one reservation (quantity).
+ */
+
+/**
+ * Lifetime of a checkout session holding a seat (Stripe's minimum is 30 minutes)
+ */
+export const SEAT_HOLD_MINUTES = 30;
+
+// Holds outlive their session slightly so a seat is never re-sold while Stripe still accepts payment
+const HOLD_GRACE_MINUTES = 5;
+
+// Active = sold, or held by a session that hasn't expired yet
+const ACTIVE_SEAT_FILTER = "(status = 'converted' OR (status = 'held' AND expires_at > CURRENT_TIMESTAMP))";
+
+/**
+ * Reserve a seat on an offer if any are left
+ *
+ * Serialised per offer with an advisory lock so concurrent checkouts can't both take the last seat.
+ * With supersede, the buyer's earlier single-seat plan holds on the offer are released so
+ * repeat clicks don't eat seats; the sessions behind them are returned so the caller can
+ * expire them (expireCheckoutSessions). Checkouts aren't authenticated, so only holds under
+ * the exact same email are touched (never a canonical variant), and gift and licence
+ * checkouts are left alone.
+ * Offers without a seat cap always succeed.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Buyer email
+ * @param {Object} offer - Offer row (id, plan_name, seat_cap)
+ * @param {Object} [options]
+ * @param {number} [options.quantity=1] - Seats to hold (more than one for licence checkouts)
+ * @param {string} [options.canonicalEmail] - Buyer's canonical email (see utils/emailHygiene.js), defaults to email
+ * @param {boolean} [options.onePerPerson=false] - Refuse a capped offer to anyone who already bought it
+ * @param {boolean} [options.supersede=false] - Release the buyer's earlier plan holds (plan checkouts only)
+ * @returns {Promise<Object|null>} { reservationId, expiresAt, supersededSessionIds } where expiresAt is when
+ *   the hold lapses, { alreadyPurchased: true } if onePerPerson refused it, or null if sold out
+ */
+export async function reserveSeat(pool, email, offer, { quantity = 1, canonicalEmail = null, onePerPerson = false, supersede = false } = {}) {
+  const canonical = canonicalEmail || email;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`seat_reservations:${offer.id}`]);
+
+    const superseded = supersede
+      ? await client.query(
+        `UPDATE seat_reservations r SET status = 'released', released_at = CURRENT_TIMESTAMP
+         WHERE r.email = $1 AND r.offer_id = $2 AND r.status = 'held' AND r.quantity = 1
+           AND r.stripe_session_id IS NOT NULL
+           AND NOT EXISTS (SELECT 1 FROM gifts g WHERE g.stripe_session_id = r.stripe_session_id)
+         RETURNING r.stripe_session_id`,
+        [email, offer.id]
+      )
+      : { rows: [] };
+
+    if (offer.seat_cap !== null && offer.seat_cap !== undefined) {
+      // Seats bought as gifts went to someone else, so they don't count
+      if (onePerPerson) {
+        const owned = await client.query(
+          `SELECT 1 FROM seat_reservations r
+           WHERE (r.email = $1 OR r.email_canonical = $2) AND r.offer_id = $3 AND r.status = 'converted' AND r.quantity = 1
+             AND NOT EXISTS (SELECT 1 FROM gifts g WHERE g.stripe_session_id = r.stripe_session_id)
+           LIMIT 1`,
+          [email, canonical, offer.id]
+        );
+        if (owned.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return { alreadyPurchased: true };
+        }
+      }
+
+      const active = await client.query(
+        `SELECT COALESCE(SUM(quantity), 0) AS count FROM seat_reservations WHERE offer_id = $1 AND ${ACTIVE_SEAT_FILTER}`,
+        [offer.id]
+      );
+      if (parseInt(active.rows[0].count, 10) + quantity > offer.seat_cap) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+    }
+
+    const expiresAt = new Date(Date.now() + (SEAT_HOLD_MINUTES + HOLD_GRACE_MINUTES) * 60 * 1000);
+    const result = await client.query(
+      `INSERT INTO seat_reservations (email, email_canonical, offer_id, plan_name, status, expires_at, quantity)
+       VALUES ($1, $2, $3, $4, 'held', $5, $6) RETURNING id`,
+      [email, canonical, offer.id, offer.plan_name, expiresAt, quantity]
+    );
+
+    await client.query('COMMIT');
+    return {
+      reservationId: result.rows[0].id,
+      expiresAt,
+      supersededSessionIds: superseded.rows.map(row => row.stripe_session_id).filter(Boolean),
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Expire checkout sessions whose seat holds were released
+ *
+ * A released hold no longer counts against the cap, so its session must not stay payable.
+ * Best-effort: a session that already completed or expired is left alone, and a paid
+ * session whose hold was released is re-checked against the cap by convertReservation.
+ *
+ * @param {Object} stripe - Stripe client instance
+ * @param {string[]} sessionIds - Stripe checkout session ids
+ * @returns {Promise<void>}
+ */
+export async function expireCheckoutSessions(stripe, sessionIds = []) {
+  for (const sessionId of sessionIds) {
+    try {
+      await stripe.checkout.sessions.expire(sessionId);
+      console.log('🎟️  Superseded checkout session expired:', sessionId);
+    } catch (err) {
+      // Already complete or expired; nothing to do
+      console.warn('⚠️  Could not expire checkout session:', sessionId, err.message);
+    }
+  }
+}
+
+/**
+ * Link a held seat to the Stripe checkout session that owns it
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} reservationId - Reservation id
+ * @param {string} sessionId - Stripe checkout session id
+ */
+export async function attachCheckoutSession(pool, reservationId, sessionId) {
+  await pool.query(
+    'UPDATE seat_reservations SET stripe_session_id = $2 WHERE id = $1',
+    [reservationId, sessionId]
+  );
+}
+
+/**
+ * Convert a hold into a sold seat after payment
+ *
+ * A hold that is still held (even if it lapsed) is converted: the customer has paid
+ * and its seat was never given to anyone else. A released hold (superseded by a later
+ * checkout, or its session outlived it) no longer counts against the cap, so it is only
+ * converted if the offer still has room; otherwise it is returned with oversold: true
+ * and left released.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} sessionId - Stripe checkout session id
+ * @param {number|null} reservationId - Reservation id from session metadata, if present
+ * @param {string|null} paymentIntentId - Stripe payment intent, used to match later refunds and disputes
+ * @returns {Promise<Object|null>} Converted reservation ({ ..., oversold: true } if there was no room),
+ *   or null if none matched
+ */
+export async function convertReservation(pool, sessionId, reservationId = null, paymentIntentId = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const found = await client.query(
+      `SELECT r.id, r.offer_id, r.status, r.quantity, o.seat_cap
+       FROM seat_reservations r
+       LEFT JOIN offers o ON o.id = r.offer_id
+       WHERE (r.stripe_session_id = $1 OR r.id = $2) AND r.status <> 'converted'
+       ORDER BY (r.stripe_session_id = $1) DESC NULLS LAST
+       LIMIT 1`,
+      [sessionId, reservationId]
+    );
+    const pending = found.rows[0];
+    if (!pending) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // Re-check the cap under the same lock reserveSeat takes, so this can't race a new hold
+    if (pending.status !== 'held' && pending.seat_cap !== null && pending.seat_cap !== undefined) {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`seat_reservations:${pending.offer_id}`]);
+      const active = await client.query(
+        `SELECT COALESCE(SUM(quantity), 0) AS count FROM seat_reservations
+         WHERE offer_id = $1 AND id <> $2 AND ${ACTIVE_SEAT_FILTER}`,
+        [pending.offer_id, pending.id]
+      );
+      if (parseInt(active.rows[0].count, 10) + pending.quantity > pending.seat_cap) {
+        await client.query('ROLLBACK');
+        console.warn(`⚠️  Seat reservation ${pending.id} was paid after its hold was released and the offer is full`);
+        return { id: pending.id, offer_id: pending.offer_id, status: pending.status, oversold: true };
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE seat_reservations
+       SET status = 'converted', converted_at = COALESCE(converted_at, CURRENT_TIMESTAMP), stripe_session_id = $1,
+           stripe_payment_intent_id = COALESCE($3, stripe_payment_intent_id)
+       WHERE id = $2 AND status <> 'converted'
+       RETURNING id, email, offer_id, plan_name, status`,
+      [sessionId, pending.id, paymentIntentId]
+    );
+    await client.query('COMMIT');
+
+    const reservation = result.rows[0];
+    if (!reservation) return null;
+    console.log(`🎟️  Seat reservation ${reservation.id} converted (${reservation.plan_name})`);
+    return reservation;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record which user a sold seat belongs to
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} sessionId - Stripe checkout session id
+ * @param {string} userId - Firebase uid
+ */
+export async function assignReservationUser(pool, sessionId, userId) {
+  await pool.query(
+    'UPDATE seat_reservations SET user_id = $2 WHERE stripe_session_id = $1',
+    [sessionId, userId]
+  );
+}
+
+/**
+ * Release a held seat (checkout expired or could not be created)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} ref - Which reservation to release
+ * @param {string} [ref.sessionId] - Stripe checkout session id
+ * @param {number} [ref.reservationId] - Reservation id
+ * @returns {Promise<boolean>} True if a held seat was released
+ */
+export async function releaseReservation(pool, { sessionId = null, reservationId = null }) {
+  const result = await pool.query(
+    `UPDATE seat_reservations SET status = 'released', released_at = CURRENT_TIMESTAMP
+     WHERE (stripe_session_id = $1 OR id = $2) AND status = 'held'`,
+    [sessionId, reservationId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Free a sold seat again (purchase refunded or dispute lost)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} reservationId - Reservation id
+ * @returns {Promise<boolean>} True if a sold seat was revoked
+ */
+export async function revokeReservation(pool, reservationId) {
+  const result = await pool.query(
+    `UPDATE seat_reservations SET status = 'revoked', released_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'converted'`,
+    [reservationId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Mark lapsed holds as released (housekeeping; lapsed holds already stop counting)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @returns {Promise<number>} Number of holds released
+ */
+export async function releaseExpiredHolds(pool) {
+  const result = await pool.query(
+    `UPDATE seat_reservations SET status = 'released', released_at = CURRENT_TIMESTAMP
+     WHERE status = 'held' AND expires_at <= CURRENT_TIMESTAMP`
+  );
+  return result.rowCount;
+}
+
+/**
+ * Count sold and currently reserved seats for an offer
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} offerId - Offer id
+ * @returns {Promise<Object>} { sold, reserved }
+ */
+export async function getSeatCounts(pool, offerId) {
+  const result = await pool.query(
+    `SELECT
+       COALESCE(SUM(quantity) FILTER (WHERE status = 'converted'), 0) AS sold,
+       COALESCE(SUM(quantity) FILTER (WHERE status = 'held' AND expires_at > CURRENT_TIMESTAMP), 0) AS reserved
+     FROM seat_reservations
+     WHERE offer_id = $1`,
+    [offerId]
+  );
+  return {
+    sold: parseInt(result.rows[0].sold, 10) || 0,
+    reserved: parseInt(result.rows[0].reserved, 10) || 0,
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * Stripe Event Service
+ *
+ * Ledger of verified webhook events. Each event is stored with its processing
+ * status so re-deliveries of a processed event short-circuit, and failed events
+ * can be re-run from the stored payload (scripts/replayStripeEvents.js).
+ */
+
+// A 'processing' event untouched for this long is assumed to have crashed mid-run
+const STALE_PROCESSING_MINUTES = 10;
+
+/**
+ * Store an event and claim it for processing
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<boolean>} True if this caller should process the event
+ */
+async function claimNewEvent(pool, event) {
+  const inserted = await pool.query(
+    `INSERT INTO stripe_events (id, type, payload) VALUES ($1, $2, $3)
+     ON CONFLICT (id) DO NOTHING RETURNING id`,
+    [event.id, event.type, JSON.stringify(event)]
+  );
+  if (inserted.rowCount > 0) return true;
+
+  // Seen before: only a failed or stalled attempt may be retried
+  return claimStoredEvent(pool, event.id, { force: false });
+}
+
+/**
+ * Claim a stored event for another attempt
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} eventId - Stripe event id
+ * @param {Object} options
+ * @param {boolean} options.force - Also re-run events that already processed
+ * @returns {Promise<boolean>} True if the event was claimed
+ */
+async function claimStoredEvent(pool, eventId, { force }) {
+  const result = await pool.query(
+    `UPDATE stripe_events
+     SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+       AND (status = 'failed'
+         OR (status = 'processing' AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => $2))
+         OR ($3 AND status = 'processed'))
+     RETURNING id`,
+    [eventId, STALE_PROCESSING_MINUTES, force]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Run a claimed event through its handler and record the outcome
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} event - Stripe event
+ * @param {Function} handler - async (event) => void; throws on failure
+ * @returns {Promise<Object>} { status: 'processed' } or { status: 'failed', error }
+ */
+async function runClaimedEvent(pool, event, handler) {
+  try {
+    await handler(event);
+    await pool.query(
+      `UPDATE stripe_events
+       SET status = 'processed', last_error = NULL, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [event.id]
+    );
+    return { status: 'processed' };
+  } catch (err) {
+    console.error(`❌ Stripe event ${event.id} (${event.type}) failed:`, err);
+    await pool.query(
+      "UPDATE stripe_events SET status = 'failed', last_error = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [event.id, String(err?.stack || err).slice(0, 4000)]
+    );
+    return { status: 'failed', error: err };
+  }
+}
+
+/**
+ * Record and process a webhook event exactly once
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} event - Verified Stripe event
+ * @param {Function} handler - async (event) => void; throws on failure
+ * @returns {Promise<Object>} { status: 'processed'|'failed'|'duplicate', error? }
+ */
+export async function processStripeEvent(pool, event, handler) {
+  if (!(await claimNewEvent(pool, event))) {
+    console.log(`ℹ️  Stripe event ${event.id} already handled - skipping`);
+    return { status: 'duplicate' };
+  }
+  return runClaimedEvent(pool, event, handler);
+}
+
+/**
+ * Re-run a stored event from its saved payload
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} eventId - Stripe event id
+ * @param {Function} handler - async (event) => void; throws on failure
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Also re-run events that already processed
+ * @returns {Promise<Object>} { status: 'processed'|'failed'|'not_found'|'skipped', error? }
+ */
+export async function replayStripeEvent(pool, eventId, handler, { force = false } = {}) {
+  const stored = await pool.query('SELECT payload, status FROM stripe_events WHERE id = $1', [eventId]);
+  if (stored.rows.length === 0) return { status: 'not_found' };
+
+  if (!(await claimStoredEvent(pool, eventId, { force }))) {
+    return { status: 'skipped', current: stored.rows[0].status };
+  }
+  return runClaimedEvent(pool, stored.rows[0].payload, handler);
+}
+
+/**
+ * List events whose last attempt failed
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {number} [limit=100] - Maximum rows
+ * @returns {Promise<Array>} { id, type, attempts, last_error, received_at, updated_at } rows, oldest first
+ */
+export async function listFailedStripeEvents(pool, limit = 100) {
+  const result = await pool.query(
+    `SELECT id, type, attempts, last_error, received_at, updated_at
+     FROM stripe_events WHERE status = 'failed'
+     ORDER BY received_at ASC LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
@@ -0,0 +1,184 @@
+/**
+ * Stripe Webhook Service
+ *
+ * Handlers for verified Stripe events. Handlers throw on failure so the event
+ * ledger can mark the event failed and it can be replayed later; every step is
+ * safe to repeat for the same event. Post-payment provisioning is handed to the
+ * fulfilment pipeline (services/fulfilmentService.js).
+ */
+
+import { getOffer } from './offerService.js';
+import { convertReservation, releaseReservation } from './seatReservationService.js';
+import { completePromoRedemption, releasePromoRedemption } from './promoService.js';
+import { createFulfilment, runFulfilment } from './fulfilmentService.js';
+import { sendOpsAlertEmail } from './emailService.js';
+import { handleChargeRefunded, handleDisputeCreated, handleDisputeClosed } from './paymentReversalService.js';
+import { refreshSubscription, handleSubscriptionChanged, handleSubscriptionInvoice } from './subscriptionService.js';
+import { deliverGift, cancelPendingGift } from './giftService.js';
+import { activateLicence, cancelPendingLicence } from './licenceService.js';
+import { normalizeEmail } from '../utils/emailHygiene.js';
+
+/**
+ * Release the seat, promo redemption, gift and licence held by an abandoned checkout
+ */
+async function handleCheckoutExpired(pool, deps, session) {
+  const released = await releaseReservation(pool, {
+    sessionId: session.id,
+    reservationId: parseInt(session.metadata?.reservation_id, 10) || null,
+  });
+  if (released) {
+    console.log('🎟️  Seat released for expired session:', session.id);
+  }
+  await releasePromoRedemption(pool, {
+    sessionId: session.id,
+    redemptionId: parseInt(session.metadata?.promo_redemption_id, 10) || null,
+  });
+  await cancelPendingGift(pool, {
+    sessionId: session.id,
+    giftId: parseInt(session.metadata?.gift_id, 10) || null,
+  });
+  await cancelPendingLicence(pool, {
+    sessionId: session.id,
+    licenceId: parseInt(session.metadata?.licence_id, 10) || null,
+  });
+}
+
+/**
+ * Undo a checkout that was paid after its seat hold was released and the offer filled up
+ *
+ * Refunds the payment (or cancels the subscription), drops the promo redemption, gift and
+ * licence it held, and tells the team. Stripe idempotency keys make a replay safe.
+ */
+async function handleOversoldCheckout(pool, deps, session, email) {
+  const actions = [];
+  if (session.payment_intent) {
+    await deps.stripe.refunds.create(
+      { payment_intent: session.payment_intent, metadata: { reason: 'offer_sold_out' } },
+      { idempotencyKey: `oversold-refund:${session.id}` }
+    );
+    actions.push('payment refunded');
+  }
+  if (session.mode === 'subscription' && session.subscription) {
+    const subscriptionId = typeof session.subscription === 'string' ? session.subscription : session.subscription.id;
+    await deps.stripe.subscriptions.cancel(subscriptionId);
+    actions.push(`subscription ${subscriptionId} canceled (refund the first invoice manually)`);
+  }
+
+  await releasePromoRedemption(pool, {
+    sessionId: session.id,
+    redemptionId: parseInt(session.metadata?.promo_redemption_id, 10) || null,
+  });
+  await cancelPendingGift(pool, { sessionId: session.id, giftId: parseInt(session.metadata?.gift_id, 10) || null });
+  await cancelPendingLicence(pool, { sessionId: session.id, licenceId: parseInt(session.metadata?.licence_id, 10) || null });
+
+  console.warn('🚨 Oversold checkout undone:', session.id, actions.join(', '));
+  await sendOpsAlertEmail(pool, deps.resend, deps.resendFrom, 'Checkout paid after its offer sold out', [
+    `${session.id} (${email}) paid for a seat whose hold had been released, and the offer is full.`,
+    actions.length ? `Done: ${actions.join(', ')}.` : 'No payment to refund was found; check the session in Stripe.',
+  ]).catch(err => console.error('❌ Oversold checkout alert failed:', err));
+}
+
+/**
+ * Record a paid checkout: sell the seat, use the promo code and queue fulfilment
+ *
+ * Account, plan and emails are provisioned by the fulfilment pipeline, which
+ * persists its progress and retries failed steps on its own.
+ */
+async function handleCheckoutCompleted(pool, deps, session) {
+  const email = session.customer_details?.email || session.customer_email;
+  if (!email) return;
+
+  // The held seat is now sold
+  const reservation = await convertReservation(pool, session.id, parseInt(session.metadata?.reservation_id, 10) || null, session.payment_intent || null);
+  if (reservation?.oversold) {
+    await handleOversoldCheckout(pool, deps, session, email);
+    return;
+  }
+
+  // The promo code (if any) counts as used
+  const promoRedemptionId = parseInt(session.metadata?.promo_redemption_id, 10) || null;
+  if (promoRedemptionId) {
+    await completePromoRedemption(pool, session.id, promoRedemptionId);
+  }
+
+  // The plan comes from the offer that was sold (sessions from before offers existed were founder)
+  const offer = session.metadata?.offer_id ? await getOffer(pool, session.metadata.offer_id) : null;
+
+  // Add to waitlist as confirmed - a completed payment proves the address (idempotent)
+  await pool.query(
+    `INSERT INTO waitlist (email, status, confirmed_at, email_canonical) VALUES ($1, 'confirmed', CURRENT_TIMESTAMP, $2)
+     ON CONFLICT (email) DO UPDATE SET status = 'confirmed', confirmed_at = COALESCE(waitlist.confirmed_at, CURRENT_TIMESTAMP)`,
+    [email.toLowerCase(), normalizeEmail(email)]
+  );
+
+  // Gifts: the plan goes to whoever redeems the emailed code, not the buyer
+  const giftId = parseInt(session.metadata?.gift_id, 10) || null;
+  if (giftId) {
+    await deliverGift(pool, deps, session.id, giftId, offer);
+    return;
+  }
+
+  // Seat licences: learners get plans when they accept the admin's invitations
+  const licenceId = parseInt(session.metadata?.licence_id, 10) || null;
+  if (licenceId) {
+    await activateLicence(pool, deps, session, licenceId, offer);
+    return;
+  }
+
+  // Subscription checkouts: store the subscription so fulfilment can link the plan to it
+  let subscriptionId = null;
+  if (session.mode === 'subscription' && session.subscription) {
+    subscriptionId = typeof session.subscription === 'string' ? session.subscription : session.subscription.id;
+    await refreshSubscription(pool, deps.stripe, subscriptionId, { sessionId: session.id, email, offerId: offer?.id ?? null });
+  }
+
+  const fulfilmentId = await createFulfilment(pool, {
+    sessionId: session.id,
+    email,
+    offerId: offer?.id ?? null,
+    planName: offer?.plan_name || 'founder',
+    promoRedemptionId,
+    subscriptionId,
+    amountTotal: session.amount_total ?? null,
+    currency: session.currency ?? null,
+  });
+
+  // Runs in the background so Stripe gets a quick response; failures are retried by resumeFulfilments.
+  // Scripts that exit after handling the event wait for it instead.
+  const run = runFulfilment(pool, deps, fulfilmentId).catch(err => console.error('❌ Fulfilment run error:', err));
+  if (deps.waitForFulfilment) {
+    await run;
+  }
+}
+
+const EVENT_HANDLERS = {
+  'checkout.session.completed': handleCheckoutCompleted,
+  'checkout.session.expired': handleCheckoutExpired,
+  // Refunds and disputes revoke or suspend the plan bought with the charge
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated,
+  'charge.dispute.closed': handleDisputeClosed,
+  // Subscription status and renewal dates are kept in sync with Stripe Billing
+  'customer.subscription.created': handleSubscriptionChanged,
+  'customer.subscription.updated': handleSubscriptionChanged,
+  'customer.subscription.deleted': handleSubscriptionChanged,
+  'customer.subscription.paused': handleSubscriptionChanged,
+  'customer.subscription.resumed': handleSubscriptionChanged,
+  'invoice.paid': handleSubscriptionInvoice,
+  'invoice.payment_failed': handleSubscriptionInvoice,
+};
+
+/**
+ * Handle a verified Stripe event (unhandled types are ignored)
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { stripe, admin (null when Firebase is disabled), resend, resendFrom, frontendUrl, waitForFulfilment? }
+ * @param {Object} event - Stripe event
+ * @returns {Promise<void>}
+ * @throws {Error} If any step fails; the event can be safely re-run
+ */
+export async function handleStripeEvent(pool, deps, event) {
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) return;
+  await handler(pool, deps, event.data.object);
+}
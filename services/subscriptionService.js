@@ -0,0 +1,212 @@
+/**
+ * Subscription Service
+ *
+ * Keeps user_plans in sync with Stripe Billing subscriptions. Webhook events
+ * only tell us which subscription changed; the current state is always
+ * re-read from Stripe so out-of-order deliveries can't roll a plan back.
+ * Failed renewals keep access for a grace period before the plan is suspended.
+ */
+
+import { recordInvoicePayment } from './receiptService.js';
+
+export const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10) || 7;
+
+function toTimestamp(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000) : null;
+}
+
+function idOf(value) {
+  return typeof value === 'string' ? value : value?.id || null;
+}
+
+/**
+ * Work out a plan's status from its subscription
+ *
+ * @param {Object} subscription - subscriptions row
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string} user_plans status ('active', 'suspended', 'canceled')
+ */
+export function planStatusForSubscription(subscription, now = new Date()) {
+  switch (subscription.status) {
+    case 'active':
+    case 'trialing':
+      return 'active';
+    case 'past_due':
+      return subscription.grace_until && new Date(subscription.grace_until) > now ? 'active' : 'suspended';
+    case 'canceled':
+      return 'canceled';
+    default:
+      // unpaid, incomplete, incomplete_expired, paused
+      return 'suspended';
+  }
+}
+
+/**
+ * Copy a subscription's state onto its linked plan
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} subscription - subscriptions row
+ * @returns {Promise<void>}
+ */
+async function syncPlan(pool, subscription) {
+  if (!subscription.user_plan_id) return;
+
+  const status = planStatusForSubscription(subscription);
+  await pool.query(
+    'UPDATE user_plans SET status = $2, renewal_date = $3 WHERE id = $1',
+    [subscription.user_plan_id, status, status === 'canceled' ? null : subscription.current_period_end]
+  );
+  console.log(`🔁 Plan ${subscription.user_plan_id} synced with subscription ${subscription.stripe_subscription_id}: ${status}`);
+}
+
+/**
+ * Re-read a subscription from Stripe, store it and sync its plan
+ *
+ * A subscription entering past_due starts its grace period; any other status clears it.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} stripe - Stripe client instance
+ * @param {string} subscriptionId - Stripe subscription id
+ * @param {Object} [origin] - Checkout details, known when called from checkout.session.completed
+ * @param {string} [origin.sessionId] - Stripe checkout session id
+ * @param {string} [origin.email] - Buyer email
+ * @param {number} [origin.offerId] - Offer id
+ * @returns {Promise<Object>} Stored subscriptions row
+ */
+export async function refreshSubscription(pool, stripe, subscriptionId, { sessionId = null, email = null, offerId = null } = {}) {
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+
+  // Newer API versions report the billing period per subscription item
+  const periodEnd = subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end;
+  const metadataOfferId = parseInt(subscription.metadata?.offer_id, 10) || null;
+
+  const result = await pool.query(
+    `INSERT INTO subscriptions (stripe_subscription_id, stripe_customer_id, stripe_session_id, email, offer_id,
+       status, current_period_end, cancel_at_period_end, grace_until)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+       CASE WHEN $6 = 'past_due' THEN CURRENT_TIMESTAMP + make_interval(days => $9) END)
+     ON CONFLICT (stripe_subscription_id) DO UPDATE SET
+       stripe_session_id = COALESCE(subscriptions.stripe_session_id, EXCLUDED.stripe_session_id),
+       email = COALESCE(subscriptions.email, EXCLUDED.email),
+       offer_id = COALESCE(subscriptions.offer_id, EXCLUDED.offer_id),
+       status = EXCLUDED.status,
+       current_period_end = EXCLUDED.current_period_end,
+       cancel_at_period_end = EXCLUDED.cancel_at_period_end,
+       grace_until = CASE WHEN EXCLUDED.status = 'past_due'
+         THEN COALESCE(subscriptions.grace_until, EXCLUDED.grace_until) END,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [
+      subscription.id,
+      idOf(subscription.customer),
+      sessionId,
+      email,
+      offerId ?? metadataOfferId,
+      subscription.status,
+      toTimestamp(periodEnd),
+      subscription.cancel_at_period_end === true,
+      GRACE_PERIOD_DAYS,
+    ]
+  );
+
+  const stored = result.rows[0];
+  await syncPlan(pool, stored);
+  return stored;
+}
+
+/**
+ * Link the plan granted by fulfilment to its subscription and sync it
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} subscriptionId - Stripe subscription id
+ * @param {number} userPlanId - user_plans id
+ * @returns {Promise<void>}
+ */
+export async function linkSubscriptionPlan(pool, subscriptionId, userPlanId) {
+  const result = await pool.query(
+    `UPDATE subscriptions SET user_plan_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE stripe_subscription_id = $1 RETURNING *`,
+    [subscriptionId, userPlanId]
+  );
+  if (result.rows.length > 0) {
+    await syncPlan(pool, result.rows[0]);
+  }
+}
+
+/**
+ * Handle customer.subscription.* events
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { stripe }
+ * @param {Object} subscription - Stripe subscription object from the event
+ * @returns {Promise<void>}
+ */
+export async function handleSubscriptionChanged(pool, { stripe }, subscription) {
+  await refreshSubscription(pool, stripe, subscription.id);
+}
+
+/**
+ * Handle invoice.paid and invoice.payment_failed for subscription invoices
+ *
+ * Paid renewals are added to the payments ledger; the first invoice is recorded
+ * by fulfilment along with the checkout.
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {Object} deps - { stripe }
+ * @param {Object} invoice - Stripe invoice object from the event
+ * @returns {Promise<void>}
+ */
+export async function handleSubscriptionInvoice(pool, { stripe }, invoice) {
+  // Newer API versions moved the subscription under invoice.parent
+  const subscriptionId = idOf(invoice.subscription) || idOf(invoice.parent?.subscription_details?.subscription);
+  if (!subscriptionId) return;
+  const subscription = await refreshSubscription(pool, stripe, subscriptionId);
+
+  if (invoice.status !== 'paid' || invoice.billing_reason === 'subscription_create' || !subscription.user_plan_id) return;
+  const plan = await pool.query('SELECT user_id FROM user_plans WHERE id = $1', [subscription.user_plan_id]);
+  if (plan.rows.length === 0) return;
+
+  await recordInvoicePayment(pool, {
+    userId: plan.rows[0].user_id,
+    userPlanId: subscription.user_plan_id,
+    invoiceId: invoice.id,
+    amountPaid: invoice.amount_paid,
+    currency: invoice.currency,
+  });
+}
+
+/**
+ * Suspend plans whose renewal is still failing after the grace period
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @returns {Promise<number>} Number of plans suspended
+ */
+export async function expireGracePeriods(pool) {
+  const result = await pool.query(
+    `UPDATE user_plans p SET status = 'suspended'
+     FROM subscriptions s
+     WHERE s.user_plan_id = p.id AND s.status = 'past_due' AND s.grace_until <= CURRENT_TIMESTAMP
+       AND p.status = 'active'`
+  );
+  return result.rowCount;
+}
+
+/**
+ * Get the Stripe customer behind a user's most recent subscription
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} userId - Firebase uid
+ * @returns {Promise<string|null>} Stripe customer id, or null if the user never subscribed
+ */
+export async function getCustomerIdForUser(pool, userId) {
+  const result = await pool.query(
+    `SELECT s.stripe_customer_id
+     FROM subscriptions s
+     JOIN user_plans p ON p.id = s.user_plan_id
+     WHERE p.user_id = $1
+     ORDER BY s.created_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0]?.stripe_customer_id || null;
+}
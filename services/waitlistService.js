@@ -0,0 +1,140 @@
+/**
+ * Waitlist Service
+ *
+ * Double opt-in and status lookups for waitlist signups.
+ * New contacts start as 'pending' and only count once they confirm via a signed email link.
+ */
+
+import { createSignedToken, verifySignedToken } from '../utils/signedTokens.js';
+import { getQueuePosition } from './referralService.js';
+
+const CONFIRM_TOKEN_PURPOSE = 'waitlist_confirm';
+const STATUS_TOKEN_PURPOSE = 'waitlist_status';
+
+/**
+ * Hours an unconfirmed signup is kept before it expires
+ */
+export const CONFIRMATION_TTL_HOURS = parseInt(process.env.WAITLIST_CONFIRM_TTL_HOURS, 10) || 48;
+
+/**
+ * Days a status lookup link stays valid
+ */
+export const STATUS_LINK_TTL_DAYS = 30;
+
+/**
+ * Build the confirmation link for a pending signup
+ *
+ * @param {string} frontendUrl - Frontend base URL
+ * @param {string} email - Contact email
+ * @returns {string} Confirmation URL
+ */
+export function buildConfirmationUrl(frontendUrl, email) {
+  const token = createSignedToken(CONFIRM_TOKEN_PURPOSE, { email }, CONFIRMATION_TTL_HOURS * 60 * 60);
+  return `${frontendUrl}/confirm-waitlist?token=${token}`;
+}
+
+/**
+ * Resolve the email a confirmation token was issued for
+ *
+ * @param {string} token - Token from the confirmation link
+ * @returns {string|null} Email, or null if the token is invalid or expired
+ */
+export function verifyConfirmationToken(token) {
+  const payload = verifySignedToken(token, CONFIRM_TOKEN_PURPOSE);
+  return payload?.email || null;
+}
+
+/**
+ * Mark a pending signup as confirmed
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Contact email
+ * @returns {Promise<Object>} { found, newlyConfirmed, row }
+ */
+export async function confirmWaitlistSignup(pool, email) {
+  const updated = await pool.query(
+    `UPDATE waitlist SET status = 'confirmed', confirmed_at = CURRENT_TIMESTAMP
+     WHERE email = $1 AND status = 'pending'
+     RETURNING email, first_name, referral_code, referred_by`,
+    [email]
+  );
+  if (updated.rowCount > 0) {
+    return { found: true, newlyConfirmed: true, row: updated.rows[0] };
+  }
+
+  // Already confirmed (link clicked twice) or expired and removed
+  const existing = await pool.query(
+    'SELECT email, first_name, referral_code, referred_by FROM waitlist WHERE email = $1',
+    [email]
+  );
+  return { found: existing.rows.length > 0, newlyConfirmed: false, row: existing.rows[0] || null };
+}
+
+/**
+ * Delete signups that were never confirmed within the confirmation window
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @returns {Promise<number>} Number of expired rows removed
+ */
+export async function expireUnconfirmedSignups(pool) {
+  const result = await pool.query(
+    `DELETE FROM waitlist
+     WHERE status = 'pending' AND joined_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 hour')`,
+    [CONFIRMATION_TTL_HOURS]
+  );
+  if (result.rowCount > 0) {
+    console.log(`🧹 Expired ${result.rowCount} unconfirmed waitlist signup(s)`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Build the signed status lookup link for a contact
+ *
+ * @param {string} frontendUrl - Frontend base URL
+ * @param {string} email - Contact email
+ * @returns {string} Status page URL
+ */
+export function buildStatusUrl(frontendUrl, email) {
+  const token = createSignedToken(STATUS_TOKEN_PURPOSE, { email }, STATUS_LINK_TTL_DAYS * 24 * 60 * 60);
+  return `${frontendUrl}/waitlist-status?token=${token}`;
+}
+
+/**
+ * Resolve the email a status token was issued for
+ *
+ * @param {string} token - Token from the status link
+ * @returns {string|null} Email, or null if the token is invalid or expired
+ */
+export function verifyStatusToken(token) {
+  const payload = verifySignedToken(token, STATUS_TOKEN_PURPOSE);
+  return payload?.email || null;
+}
+
+/**
+ * Get a contact's waitlist status
+ *
+ * @param {Object} pool - PostgreSQL pool instance
+ * @param {string} email - Contact email
+ * @returns {Promise<Object|null>} { email, firstName, status, joinedAt, confirmedAt, position, referralCount, referralCode } or null
+ */
+export async function getWaitlistStatus(pool, email) {
+  const result = await pool.query(
+    `SELECT email, first_name, status, joined_at, confirmed_at, referral_count, referral_code
+     FROM waitlist WHERE email = $1`,
+    [email]
+  );
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    email: row.email,
+    firstName: row.first_name,
+    status: row.status,
+    joinedAt: row.joined_at,
+    confirmedAt: row.confirmed_at,
+    position: row.status === 'confirmed' ? await getQueuePosition(pool, email) : null,
+    referralCount: row.referral_count,
+    referralCode: row.referral_code,
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Bundled list of disposable / throwaway email domains.
+ * Not exhaustive - covers the services most often used for fake signups.
+ * Add domains here as they show up in the waitlist.
+ */
+
+export const DISPOSABLE_DOMAINS = new Set([
+  '0-mail.com',
+  '10minutemail.com',
+  '10minutemail.net',
+  '20minutemail.com',
+  '33mail.com',
+  'anonbox.net',
+  'anonymbox.com',
+  'burnermail.io',
+  'byom.de',
+  'cock.li',
+  'deadaddress.com',
+  'discard.email',
+  'discardmail.com',
+  'discardmail.de',
+  'dispostable.com',
+  'dropmail.me',
+  'emailondeck.com',
+  'emailtemporanea.net',
+  'emailfake.com',
+  'fakeinbox.com',
+  'fakemail.net',
+  'fakemailgenerator.com',
+  'getairmail.com',
+  'getnada.com',
+  'guerrillamail.biz',
+  'guerrillamail.com',
+  'guerrillamail.de',
+  'guerrillamail.info',
+  'guerrillamail.net',
+  'guerrillamail.org',
+  'guerrillamailblock.com',
+  'harakirimail.com',
+  'inboxbear.com',
+  'inboxkitten.com',
+  'incognitomail.org',
+  'jetable.org',
+  'kasmail.com',
+  'mail-temp.com',
+  'mail.tm',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailexpire.com',
+  'mailforspam.com',
+  'mailinator.com',
+  'mailinator.net',
+  'mailinator2.com',
+  'mailnesia.com',
+  'mailnull.com',
+  'mailpoof.com',
+  'mailsac.com',
+  'mintemail.com',
+  'moakt.com',
+  'mohmal.com',
+  'mvrht.net',
+  'mytemp.email',
+  'mytrashmail.com',
+  'nada.email',
+  'no-spam.ws',
+  'nowmymail.com',
+  'one-time.email',
+  'sharklasers.com',
+  'spam4.me',
+  'spambog.com',
+  'spambox.us',
+  'spamgourmet.com',
+  'spamex.com',
+  'spamfree24.org',
+  'spaml.com',
+  'tempail.com',
+  'tempinbox.com',
+  'tempm.com',
+  'temp-mail.io',
+  'temp-mail.org',
+  'tempmail.dev',
+  'tempmail.net',
+  'tempmailaddress.com',
+  'tempmailo.com',
+  'tempr.email',
+  'throwam.com',
+  'throwawaymail.com',
+  'tmail.ws',
+  'tmpmail.net',
+  'tmpmail.org',
+  'trash-mail.com',
+  'trashmail.com',
+  'trashmail.de',
+  'trashmail.net',
+  'trbvm.com',
+  'wegwerfmail.de',
+  'wegwerfmail.net',
+  'yopmail.com',
+  'yopmail.fr',
+  'yopmail.net',
+  'zetmail.com',
+]);
@@ -0,0 +1,201 @@
+/**
+ * Email hygiene.
+ * Format and disposable-domain checks, a canonical form for spotting the same
+ * mailbox behind different spellings (Gmail dots, plus aliases), and "did you
+ * mean" suggestions for common domain typos.
+ */
+
+import { DISPOSABLE_DOMAINS } from './disposableDomains.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Gmail ignores dots in the local part and treats googlemail.com as the same mailbox
+const GMAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+// Providers that deliver user+anything@ to user@
+const PLUS_ADDRESSING_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'hotmail.co.uk', 'live.com', 'live.co.uk',
+  'icloud.com', 'me.com', 'mac.com', 'fastmail.com', 'proton.me', 'protonmail.com',
+]);
+
+// Domains people actually use, checked against for typos
+const POPULAR_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'live.co.uk',
+  'yahoo.com', 'yahoo.co.uk', 'icloud.com', 'me.com', 'aol.com', 'msn.com', 'btinternet.com',
+  'sky.com', 'virginmedia.com', 'protonmail.com', 'proton.me', 'gmx.com', 'mail.com', 'ymail.com', 'email.com',
+];
+
+// Typos too far from the real domain for edit distance to catch
+const KNOWN_TYPOS = {
+  'gmai.com': 'gmail.com',
+  'gamil.com': 'gmail.com',
+  'gmial.com': 'gmail.com',
+  'gnail.com': 'gmail.com',
+  'gmail.co': 'gmail.com',
+  'gmail.co.uk': 'gmail.com',
+  'hotmai.com': 'hotmail.com',
+  'hotmial.com': 'hotmail.com',
+  'hotmal.com': 'hotmail.com',
+  'outlok.com': 'outlook.com',
+  'yaho.com': 'yahoo.com',
+  'yahoo.co': 'yahoo.com',
+  'iclod.com': 'icloud.com',
+  'icloud.co': 'icloud.com',
+};
+
+const TLD_TYPOS = {
+  con: 'com',
+  cmo: 'com',
+  ocm: 'com',
+  vom: 'com',
+  comm: 'com',
+  cm: 'com',
+  om: 'com',
+  couk: 'co.uk',
+  'co.um': 'co.uk',
+  'co.k': 'co.uk',
+};
+
+/**
+ * Levenshtein distance, capped: stops early once it exceeds `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function splitEmail(email) {
+  const at = email.lastIndexOf('@');
+  return { local: email.slice(0, at), domain: email.slice(at + 1) };
+}
+
+/**
+ * Check an email's format (no disposable-domain or typo checks).
+ *
+ * @param {string} email - Email to validate
+ * @returns {boolean} True if valid email format
+ */
+export function isValidEmailFormat(email) {
+  return EMAIL_PATTERN.test(String(email ?? ''));
+}
+
+/**
+ * Check whether an email uses a disposable domain (subdomains included).
+ *
+ * @param {string} email - Lowercase email
+ * @returns {boolean} True if the domain is on the bundled disposable list
+ */
+export function isDisposableEmail(email) {
+  const parts = splitEmail(email).domain.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (DISPOSABLE_DOMAINS.has(parts.slice(i).join('.'))) return true;
+  }
+  return false;
+}
+
+/**
+ * Canonical form of an email, identical for every spelling of the same mailbox.
+ * Used to spot one person signing up more than once, never as a delivery address.
+ * canonical_email() in database/migrations/021_add_canonical_emails.sql must give the same result.
+ *
+ * @param {string} email - Email (any case)
+ * @returns {string} Lowercase canonical email
+ *
+ * @example
+ * normalizeEmail('Jane.Doe+wurlo@googlemail.com'); // 'janedoe@gmail.com'
+ */
+export function normalizeEmail(email) {
+  const { local, domain } = splitEmail(String(email).trim().toLowerCase());
+  let canonicalLocal = local;
+  let canonicalDomain = domain;
+
+  if (PLUS_ADDRESSING_DOMAINS.has(domain)) {
+    canonicalLocal = canonicalLocal.split('+')[0];
+  }
+  if (GMAIL_DOMAINS.has(domain)) {
+    canonicalLocal = canonicalLocal.replace(/\./g, '');
+    canonicalDomain = 'gmail.com';
+  }
+  return `${canonicalLocal}@${canonicalDomain}`;
+}
+
+/**
+ * Suggest a correction for a mistyped domain ("gmial.com" -> "gmail.com").
+ *
+ * @param {string} email - Lowercase email
+ * @returns {string|null} Suggested full email, or null if the domain looks right
+ */
+export function suggestEmail(email) {
+  const { local, domain } = splitEmail(email);
+  if (POPULAR_DOMAINS.includes(domain)) return null;
+
+  if (KNOWN_TYPOS[domain]) {
+    return `${local}@${KNOWN_TYPOS[domain]}`;
+  }
+
+  // Wrong top-level domain on an otherwise fine name ("outlook.con")
+  const dot = domain.indexOf('.');
+  const name = domain.slice(0, dot);
+  const tld = domain.slice(dot + 1);
+  const fixedDomain = TLD_TYPOS[tld] ? `${name}.${TLD_TYPOS[tld]}` : domain;
+  if (fixedDomain !== domain && !POPULAR_DOMAINS.includes(fixedDomain)) {
+    return `${local}@${fixedDomain}`;
+  }
+
+  // Close to a popular domain ("hotmali.com", "yahooo.com"); short domains only allow one slip
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of POPULAR_DOMAINS) {
+    const maxDistance = candidate.length >= 9 ? 2 : 1;
+    const distance = editDistance(fixedDomain, candidate, maxDistance);
+    if (distance <= maxDistance && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  if (best) return `${local}@${best}`;
+
+  return fixedDomain !== domain ? `${local}@${fixedDomain}` : null;
+}
+
+/**
+ * Full hygiene check for an email entered in a form.
+ *
+ * A likely typo is reported as an error (with the suggestion) until the client
+ * confirms the address is right by resubmitting with `acceptTypos`.
+ *
+ * @param {any} rawEmail - Email from the request body
+ * @param {Object} [options]
+ * @param {boolean} [options.acceptTypos=false] - Client confirmed the address despite a suggestion
+ * @returns {Object} { email, canonicalEmail } or { error, suggestion } with a user-facing message
+ */
+export function checkEmail(rawEmail, { acceptTypos = false } = {}) {
+  const email = String(rawEmail ?? '').trim().toLowerCase();
+  if (!email || !isValidEmailFormat(email)) {
+    return { error: 'Enter a valid email.', suggestion: null };
+  }
+
+  if (isDisposableEmail(email)) {
+    return { error: "Disposable email addresses can't be used. Enter your regular email.", suggestion: null };
+  }
+
+  const suggestion = acceptTypos ? null : suggestEmail(email);
+  if (suggestion) {
+    return { error: `Did you mean ${suggestion}?`, suggestion };
+  }
+
+  return { email, canonicalEmail: normalizeEmail(email) };
+}
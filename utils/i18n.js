@@ -0,0 +1,114 @@
+/**
+ * Localisation helpers.
+ * API messages and email templates are written in British English (en-GB) in
+ * the code, and that English text is the catalogue key: locales/es.js maps
+ * each message to its Spanish translation. Anything without a translation is
+ * sent in English, so a new message never breaks a response.
+ *
+ * Messages can carry {placeholders}, filled after translation:
+ *   translate('es', 'Invitation sent to {email}.', { email })
+ */
+
+import enGB from '../locales/en-GB.js';
+import es from '../locales/es.js';
+
+export const DEFAULT_LOCALE = 'en-GB';
+
+const CATALOGUES = {
+  'en-GB': enGB,
+  es,
+};
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGUES);
+
+/**
+ * Map a language tag to a supported locale.
+ * Any English variant uses en-GB and any Spanish variant uses es.
+ *
+ * @param {string} tag - BCP 47 language tag, e.g. 'es-MX'
+ * @returns {string|null} Supported locale, or null if the language isn't supported
+ */
+export function matchLocale(tag) {
+  const value = String(tag ?? '').trim().toLowerCase();
+  if (!value) return null;
+
+  const exact = SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === value);
+  if (exact) return exact;
+
+  const language = value.split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.find(locale => locale.toLowerCase().split('-')[0] === language) ?? null;
+}
+
+/**
+ * Pick the best supported locale from an Accept-Language header.
+ *
+ * @param {string} header - Accept-Language header, e.g. 'es-ES,es;q=0.9,en;q=0.8'
+ * @returns {string|null} Supported locale, or null if none of the languages is supported
+ */
+export function negotiateLocale(header) {
+  const ranges = String(header ?? '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const quality = q ? Number(q.slice(2)) : 1;
+      return { tag, quality: Number.isFinite(quality) ? quality : 0, index };
+    })
+    .filter(range => range.tag && range.tag !== '*' && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const range of ranges) {
+    const locale = matchLocale(range.tag);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+function fill(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (vars[name] === undefined ? placeholder : String(vars[name])));
+}
+
+/**
+ * Translate a message.
+ *
+ * @param {string} locale - Supported locale
+ * @param {string} message - English message (the catalogue key)
+ * @param {Object} [vars] - Values for {placeholders}
+ * @returns {string} Translated message, or the English one if there is no translation
+ */
+export function translate(locale, message, vars = {}) {
+  if (message === null || message === undefined) return message;
+  const translated = CATALOGUES[locale]?.messages?.[message] ?? message;
+  return fill(translated, vars);
+}
+
+/**
+ * English name of a locale's language (for prompts to language models).
+ *
+ * @param {string} locale - Supported locale
+ * @returns {string} Language name, e.g. 'Spanish'
+ */
+export function getLanguageName(locale) {
+  return CATALOGUES[locale]?.name ?? CATALOGUES[DEFAULT_LOCALE].name;
+}
+
+/**
+ * Localised copy for an email template.
+ *
+ * @param {string} locale - Supported locale
+ * @param {string} templateName - Email template name
+ * @returns {Object} Template fields to override (subject, heading, intro, body); empty when untranslated
+ */
+export function getEmailTranslation(locale, templateName) {
+  return CATALOGUES[locale]?.emails?.[templateName] ?? {};
+}
+
+/**
+ * Localised copy for the shared email layout (footer, sign-off).
+ *
+ * @param {string} locale - Supported locale
+ * @returns {Object} Layout strings, English ones filling any gaps
+ */
+export function getLayoutStrings(locale) {
+  return { ...CATALOGUES[DEFAULT_LOCALE].layout, ...CATALOGUES[locale]?.layout, lang: locale in CATALOGUES ? locale : DEFAULT_LOCALE };
+}
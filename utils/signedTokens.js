@@ -0,0 +1,85 @@
+/**
+ * Signed link tokens.
+ * Stateless HMAC-signed tokens for links sent by email (confirmations, status lookups).
+ * The purpose is part of the signed payload so a token issued for one flow
+ * cannot be replayed against another.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Resolve the signing secret from the environment.
+ *
+ * @returns {string} Secret used to sign link tokens
+ * @throws {Error} If no secret is configured
+ */
+function getSigningSecret() {
+  const secret = process.env.LINK_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('LINK_SIGNING_SECRET must be set to sign email links.');
+  }
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Keyed hash of a value, for matching data we mustn't keep in the clear
+ * (e.g. an erased address that must stay suppressed).
+ *
+ * @param {string} value - Value to hash
+ * @returns {string} Hex HMAC-SHA256 under the signing secret
+ */
+export function keyedHash(value) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(String(value)).digest('hex');
+}
+
+/**
+ * Create a signed token.
+ *
+ * @param {string} purpose - Flow the token is valid for, e.g. 'waitlist_confirm'
+ * @param {Object} payload - Data to embed (kept small, it ends up in a URL)
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {string} URL-safe token
+ */
+export function createSignedToken(purpose, payload, ttlSeconds) {
+  const body = {
+    ...payload,
+    purpose,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+  };
+  const data = Buffer.from(JSON.stringify(body)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Verify a signed token.
+ *
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Expected purpose
+ * @returns {Object|null} Embedded payload, or null if the token is malformed, forged, expired or for another purpose
+ */
+export function verifySignedToken(token, purpose) {
+  const [data, signature] = String(token || '').split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (body.purpose !== purpose) return null;
+  if (!body.exp || body.exp < Math.floor(Date.now() / 1000)) return null;
+
+  return body;
+}
@@ -0,0 +1,279 @@
+/**
+ * Email template engine.
+ * Renders named email templates into the shared Wurlo layout, inlines the
+ * styles email clients need, and derives the plain-text part from the HTML so
+ * the two never drift apart.
+ *
+ * Template syntax:
+ *   {{name}}                       - variable, HTML-escaped (dotted paths allowed)
+ *   {{{name}}}                     - variable, inserted as-is
+ *   {{#if name}}...{{else}}...{{/if}}
+ *   {{#each list}}...{{this}}...{{/each}}
+ *
+ * Template bodies use plain tags (p, h2, h3, ul, li, a) and a few classes
+ * (button, actions, panel, note, note-danger, note-info, note-accent, small,
+ * muted, quote, byline, code); their inline styles come from BODY_STYLES.
+ */
+
+const FONT_STACK = "'Inter','Segoe UI',Roboto,Helvetica,Arial,sans-serif";
+const BRAND_GRADIENT = 'linear-gradient(135deg, #4F46E5, #06B6D4)';
+
+const BODY_STYLES = {
+  p: 'margin:0 0 16px;font-size:15px;line-height:1.7;color:#1f2937;',
+  'p.small': 'margin:24px 0 0;font-size:13px;line-height:1.6;color:#64748b;',
+  'p.muted': 'margin:24px 0 0;font-size:14px;line-height:1.6;color:#475569;',
+  'p.quote': 'margin:0;font-size:15px;line-height:1.7;color:#1f2937;font-style:italic;white-space:pre-line;',
+  'p.byline': 'margin:8px 0 0;font-size:13px;color:#475569;',
+  'p.code': 'margin:24px 0;text-align:center;font-size:24px;font-weight:700;letter-spacing:2px;color:#4F46E5;',
+  h2: 'margin:0 0 16px;font-size:20px;font-weight:700;color:#1f2937;',
+  h3: 'margin:0 0 12px;font-size:16px;font-weight:700;color:#1f2937;',
+  ul: 'margin:0;padding:0 0 0 20px;color:#475569;font-size:14px;line-height:1.6;',
+  li: 'margin-bottom:8px;',
+  a: 'color:#4F46E5;word-break:break-all;',
+  'a.button': `display:inline-block;background:${BRAND_GRADIENT};color:#ffffff;padding:16px 32px;border-radius:12px;text-decoration:none;font-weight:700;font-size:16px;`,
+  'div.actions': 'text-align:center;margin:32px 0;',
+  'div.panel': 'background:#f1f5f9;border-radius:12px;padding:20px;margin:24px 0;',
+  'div.note': 'background:#fef3c7;border-left:4px solid #f59e0b;padding:16px;margin:24px 0;border-radius:8px;color:#92400e;',
+  'div.note-danger': 'background:#fee2e2;border-left:4px solid #ef4444;padding:16px;margin:24px 0;border-radius:8px;color:#991b1b;',
+  'div.note-info': 'background:#dbeafe;border-left:4px solid #3b82f6;padding:16px;margin:24px 0;border-radius:8px;color:#1e40af;',
+  'div.note-accent': 'background:#ecfeff;border-left:4px solid #06B6D4;padding:16px;margin:24px 0;border-radius:8px;color:#155e75;',
+};
+
+// Paragraphs inside notes take the note's colour rather than the body text colour
+const NOTE_PARAGRAPH_STYLE = 'margin:0;font-size:14px;line-height:1.6;color:inherit;';
+
+// Layout copy used when the caller doesn't pass localised strings
+const DEFAULT_STRINGS = {
+  lang: 'en-GB',
+  tagline: 'Smarter paths, faster progress.',
+  signOff: '— The Wurlo Team',
+};
+
+/**
+ * Escape text for HTML output.
+ *
+ * @param {any} value - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function lookup(scope, path) {
+  if (path === 'this') return scope.this;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), scope);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Find the {{else}} and closing tag that belong to a block opened at `start`, skipping nested blocks.
+ */
+function findBlockEnd(template, start, kind) {
+  const tagPattern = /\{\{(#if|#each|\/if|\/each|else)\b[^}]*\}\}/g;
+  tagPattern.lastIndex = start;
+  let depth = 0;
+  let elseAt = null;
+  let match;
+
+  while ((match = tagPattern.exec(template))) {
+    const tag = match[1];
+    if (tag.startsWith('#')) {
+      depth += 1;
+    } else if (tag === 'else') {
+      if (depth === 0 && elseAt === null) elseAt = { start: match.index, end: tagPattern.lastIndex };
+    } else if (depth > 0) {
+      depth -= 1;
+    } else if (tag === `/${kind}`) {
+      return { elseAt, start: match.index, end: tagPattern.lastIndex };
+    } else {
+      break;
+    }
+  }
+  throw new Error(`Unclosed {{#${kind}}} block in email template`);
+}
+
+/**
+ * Fill a template string with variables.
+ *
+ * @param {string} template - Template text
+ * @param {Object} variables - Values for the placeholders
+ * @returns {string} Rendered text
+ */
+export function renderString(template, variables = {}) {
+  let output = '';
+  let cursor = 0;
+  const openPattern = /\{\{#(if|each)\s+([\w.]+)\s*\}\}/g;
+  let match;
+
+  while ((match = openPattern.exec(template))) {
+    const [, kind, path] = match;
+    const block = findBlockEnd(template, openPattern.lastIndex, kind);
+    const inner = template.slice(openPattern.lastIndex, block.elseAt ? block.elseAt.start : block.start);
+    const otherwise = block.elseAt ? template.slice(block.elseAt.end, block.start) : '';
+    const value = lookup(variables, path);
+
+    output += interpolate(template.slice(cursor, match.index), variables);
+    if (kind === 'if') {
+      output += renderString(isTruthy(value) ? inner : otherwise, variables);
+    } else if (isTruthy(value)) {
+      output += [].concat(value).map(item => renderString(inner, { ...variables, this: item })).join('');
+    } else {
+      output += renderString(otherwise, variables);
+    }
+
+    cursor = block.end;
+    openPattern.lastIndex = block.end;
+  }
+
+  return output + interpolate(template.slice(cursor), variables);
+}
+
+function interpolate(text, variables) {
+  // One pass, so braces inside inserted values are never treated as placeholders
+  return text.replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (_, rawPath, path) =>
+    rawPath ? String(lookup(variables, rawPath) ?? '') : escapeHtml(lookup(variables, path))
+  );
+}
+
+/**
+ * Add the inline styles from BODY_STYLES to a template body.
+ */
+function inlineStyles(html) {
+  let inNote = false;
+  return html.replace(/<(\/?)(p|h2|h3|ul|li|a|div)\b([^>]*)>/g, (tag, closing, name, attrs) => {
+    if (closing) {
+      if (name === 'div') inNote = false;
+      return tag;
+    }
+    if (/\sstyle=/.test(attrs)) return tag;
+
+    const className = attrs.match(/\sclass="([^"]+)"/)?.[1];
+    if (name === 'div' && className?.startsWith('note')) inNote = true;
+
+    const style = name === 'p' && inNote && !className
+      ? NOTE_PARAGRAPH_STYLE
+      : BODY_STYLES[`${name}.${className}`] ?? BODY_STYLES[name];
+    if (!style) return tag;
+
+    return `<${name}${attrs.replace(/\sclass="[^"]+"/, '')} style="${style}">`;
+  });
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Derive a plain-text version of an email body.
+ *
+ * Links become "Label: url" (or just the url when the label is the url), list
+ * items become bullets and block elements become paragraphs.
+ *
+ * @param {string} html - Rendered HTML body
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  const text = html
+    // Source formatting isn't content; structure comes from the tags below
+    .replace(/\s+/g, ' ')
+    .replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+      const labelText = label.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+      return !labelText || labelText === href ? href : `${labelText}: ${href}`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<\/(p|h1|h2|h3|div|ul)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return decodeEntities(text);
+}
+
+function renderLayout({ heading, intro, body }, strings) {
+  return `
+        <!DOCTYPE html>
+        <html lang="${escapeHtml(strings.lang)}">
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1">
+          </head>
+          <body style="margin:0;padding:0;background:#f8fafc;font-family:${FONT_STACK};">
+            <div style="max-width:600px;margin:40px auto;background:#ffffff;border-radius:24px;overflow:hidden;box-shadow:0 20px 45px rgba(79,70,229,0.15);">
+              <div style="background:${BRAND_GRADIENT};padding:32px 40px;color:#fff;">
+                <h1 style="margin:0;font-size:28px;font-weight:700;">${heading}</h1>
+                ${intro ? `<p style="margin:12px 0 0;font-size:16px;line-height:1.6;">${intro}</p>` : ''}
+              </div>
+              <div style="padding:32px 40px;">
+                ${body}
+              </div>
+              <div style="padding:20px 40px;background:#f1f5f9;font-size:12px;line-height:1.6;color:#475569;text-align:center;">
+                © ${new Date().getFullYear()} Wurlo. ${escapeHtml(strings.tagline)}
+              </div>
+            </div>
+          </body>
+        </html>
+      `;
+}
+
+function renderPlainLayout({ heading, body }) {
+  return `
+        <div style="font-family:${FONT_STACK};font-size:14px;line-height:1.6;color:#1f2937;">
+          <h2 style="margin:0 0 16px;font-size:18px;">${heading}</h2>
+          ${body}
+        </div>
+      `;
+}
+
+/**
+ * Render an email template.
+ *
+ * @param {Object} template - Template definition
+ * @param {string} template.subject - Subject line (template string)
+ * @param {string} template.heading - Heading shown in the layout header (template string)
+ * @param {string} [template.intro] - Line under the heading (template string)
+ * @param {string} template.body - Body HTML (template string)
+ * @param {'default'|'plain'} [template.layout='default'] - 'plain' for internal mail without branding
+ * @param {Object} [template.defaults] - Values used for missing variables
+ * @param {Object} [variables] - Template variables
+ * @param {Object} [strings] - Localised layout copy ({ lang, tagline, signOff })
+ * @returns {{ subject: string, html: string, text: string }} Rendered email
+ */
+export function renderTemplate(template, variables = {}, strings = {}) {
+  const layoutStrings = { ...DEFAULT_STRINGS, ...strings };
+  // Missing values (undefined or null) fall back to the template's defaults
+  const given = Object.fromEntries(Object.entries(variables).filter(([, value]) => value !== undefined && value !== null));
+  const values = { ...template.defaults, ...given };
+  const heading = renderString(template.heading, values);
+  const intro = template.intro ? renderString(template.intro, values) : '';
+  const body = renderString(template.body, values);
+
+  // Subjects are plain text, so variables go in unescaped
+  const subject = decodeEntities(renderString(template.subject, values)).replace(/\s+/g, ' ').trim();
+
+  const plain = template.layout === 'plain';
+  const html = plain
+    ? renderPlainLayout({ heading, body: inlineStyles(body) })
+    : renderLayout({ heading, intro, body: inlineStyles(body) }, layoutStrings);
+
+  const textParts = [htmlToText(heading), intro ? htmlToText(intro) : null, htmlToText(body), plain ? null : layoutStrings.signOff];
+  const text = textParts.filter(Boolean).join('\n\n');
+
+  return { subject, html, text };
+}
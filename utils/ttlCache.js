@@ -0,0 +1,47 @@
+/**
+ * Minimal in-memory TTL cache.
+ * Good enough for a single landing server instance; entries are per-process
+ * and disappear on restart.
+ */
+
+/**
+ * Create a cache whose entries expire after a fixed time.
+ *
+ * @param {Object} options
+ * @param {number} options.ttlMs - Entry lifetime in milliseconds
+ * @param {number} [options.maxEntries=500] - Oldest entries are evicted beyond this size
+ * @returns {Object} { get, set, clear }
+ *
+ * @example
+ * const cache = createTtlCache({ ttlMs: 30000 });
+ * const hit = cache.get(key) ?? cache.set(key, await load());
+ */
+export function createTtlCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    if (entries.size > maxEntries) {
+      // Maps iterate in insertion order, so the first key is the oldest
+      entries.delete(entries.keys().next().value);
+    }
+    return value;
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return { get, set, clear };
+}